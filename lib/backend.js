@@ -0,0 +1,61 @@
+const {asTransactionObject} = require('@iota/transaction-converter')
+const {attachToTangle} = require('./pow')
+
+// with a POW provider the bundle is attached locally, so that the node only has to store and broadcast it
+function createIotaBackend(iota, {pow} = {}) {
+    return {
+        async fetchTransactions(addresses) {
+            const hashes = await iota.findTransactions({
+                addresses
+            })
+            return hashes.length > 0 ? await iota.getTransactionObjects(hashes) : []
+        },
+        async attachTrytes(trytes, {depth, mwm, reference}) {
+            if (!pow) {
+                return await iota.sendTrytes(trytes, depth, mwm, reference)
+            }
+            const {trunkTransaction, branchTransaction} = await iota.getTransactionsToApprove(depth, reference)
+            const attached = await attachToTangle(trunkTransaction, branchTransaction, mwm, trytes, pow)
+            await iota.storeAndBroadcast(attached)
+            return attached.map(t => asTransactionObject(t))
+        },
+        async getConfirmations(hashes) {
+            return await iota.getLatestInclusion(hashes)
+        }
+    }
+}
+
+// a tangle held in memory, which accepts bundles without POW
+function createMemoryBackend() {
+    const transactions = new Map()
+    return {
+        async fetchTransactions(addresses) {
+            return Array.from(transactions.values()).filter(tx => addresses.includes(tx.address))
+        },
+        async attachTrytes(trytes) {
+            const bundle = trytes.map(t => asTransactionObject(t))
+            bundle.forEach(tx => transactions.set(tx.hash, tx))
+            return bundle
+        },
+        // there are no milestones, so every stored transaction counts as confirmed
+        async getConfirmations(hashes) {
+            return hashes.map(hash => transactions.has(hash))
+        },
+        getTransactions() {
+            return Array.from(transactions.values())
+        },
+        clear() {
+            transactions.clear()
+        }
+    }
+}
+
+function getBackend(iota) {
+    return typeof iota.fetchTransactions == 'function' ? iota : createIotaBackend(iota)
+}
+
+module.exports = {
+    createIotaBackend,
+    createMemoryBackend,
+    getBackend
+}
@@ -0,0 +1,201 @@
+const fs = require("fs")
+const file = require("./file")
+
+const MAGIC = "RAAMKEYS"
+const VERSION = 1
+const HEADER_LENGTH = 16
+const HASH_TRITS = 243
+const KEY_FRAGMENTS = 27
+const TRITS_PER_BYTE = 5
+const PRESENT = 1
+
+const Errors = {
+    INVALID_FILE: "File is not a binary RAAM key file.",
+    UNSUPPORTED_VERSION: version => `Version ${version} of binary key files is not supported.`,
+    DIFFERENT_TREE: "File contains a merkle tree with different height or security.",
+    INVALID_POSITION: "There is no record for this height and index."
+}
+
+function tritsToBytes(trits) {
+    const bytes = Buffer.alloc(Math.ceil(trits.length / TRITS_PER_BYTE))
+    for (let i = 0; i < trits.length; i++) {
+        bytes[Math.floor(i / TRITS_PER_BYTE)] += (trits[i] + 1) * Math.pow(3, i % TRITS_PER_BYTE)
+    }
+    return bytes
+}
+
+function bytesToTrits(bytes, length) {
+    const trits = new Int8Array(length)
+    for (let i = 0; i < length; i++) {
+        const value = Math.floor(bytes[Math.floor(i / TRITS_PER_BYTE)] / Math.pow(3, i % TRITS_PER_BYTE))
+        trits[i] = value % 3 - 1
+    }
+    return trits
+}
+
+function getLayout(height, security) {
+    const hashTrits = security * HASH_TRITS
+    const privateTrits = security * KEY_FRAGMENTS * HASH_TRITS
+    const hashBytes = Math.ceil(hashTrits / TRITS_PER_BYTE)
+    const privateBytes = Math.ceil(privateTrits / TRITS_PER_BYTE)
+    const leafRecord = 1 + privateBytes + hashBytes
+    const nodeRecord = 1 + hashBytes
+    return {
+        height,
+        security,
+        hashTrits,
+        privateTrits,
+        hashBytes,
+        privateBytes,
+        leafRecord,
+        nodeRecord,
+        nodesStart: HEADER_LENGTH + Math.pow(2, height) * leafRecord
+    }
+}
+
+// leafs are stored in their own records, so nodes are stored from height 1 upwards
+function nodePosition(layout, height, index) {
+    if (height < 1 || height > layout.height || index < 0 || index >= Math.pow(2, layout.height - height)) {
+        throw new Error(Errors.INVALID_POSITION)
+    }
+    let position = layout.nodesStart
+    for (let h = 1; h < height; h++) {
+        position += Math.pow(2, layout.height - h) * layout.nodeRecord
+    }
+    return position + index * layout.nodeRecord
+}
+
+function leafPosition(layout, index) {
+    if (index < 0 || index >= Math.pow(2, layout.height)) {
+        throw new Error(Errors.INVALID_POSITION)
+    }
+    return HEADER_LENGTH + index * layout.leafRecord
+}
+
+function createHeader(height, security) {
+    const header = Buffer.alloc(HEADER_LENGTH)
+    header.write(MAGIC, 0, "ascii")
+    header[MAGIC.length] = VERSION
+    header[MAGIC.length + 1] = security
+    header[MAGIC.length + 2] = height
+    return header
+}
+
+function readHeader(fd) {
+    const header = Buffer.alloc(HEADER_LENGTH)
+    const read = fs.readSync(fd, header, 0, HEADER_LENGTH, 0)
+    if (read < HEADER_LENGTH || header.toString("ascii", 0, MAGIC.length) != MAGIC) {
+        throw new Error(Errors.INVALID_FILE)
+    }
+    const version = header[MAGIC.length]
+    if (version != VERSION) {
+        throw new Error(Errors.UNSUPPORTED_VERSION(version))
+    }
+    return {security: header[MAGIC.length + 1], height: header[MAGIC.length + 2]}
+}
+
+function readRecord(fd, position, length) {
+    const buffer = Buffer.alloc(length)
+    const read = fs.readSync(fd, buffer, 0, length, position)
+    return read == length && buffer[0] == PRESENT ? buffer : undefined
+}
+
+function isBinaryFile(fileName) {
+    const fd = fs.openSync(fileName, "r")
+    try {
+        readHeader(fd)
+        return true
+    } catch (e) {
+        return false
+    } finally {
+        fs.closeSync(fd)
+    }
+}
+
+function openFile(fileName) {
+    const fd = fs.openSync(fileName, "r")
+    const {height, security} = readHeader(fd)
+    const layout = getLayout(height, security)
+
+    const readLeaf = index => {
+        const record = readRecord(fd, leafPosition(layout, index), layout.leafRecord)
+        if (!record) {
+            return undefined
+        }
+        return {
+            private: bytesToTrits(record.slice(1, 1 + layout.privateBytes), layout.privateTrits),
+            public: bytesToTrits(record.slice(1 + layout.privateBytes), layout.hashTrits),
+            index,
+            height: 0
+        }
+    }
+
+    const readNode = (h, index) => {
+        let hash
+        if (h == 0) {
+            // only the public key of the leaf record is read
+            const position = leafPosition(layout, index)
+            if (readRecord(fd, position, 1)) {
+                const buffer = Buffer.alloc(layout.hashBytes)
+                fs.readSync(fd, buffer, 0, layout.hashBytes, position + 1 + layout.privateBytes)
+                hash = bytesToTrits(buffer, layout.hashTrits)
+            }
+        } else {
+            const record = readRecord(fd, nodePosition(layout, h, index), layout.nodeRecord)
+            hash = record ? bytesToTrits(record.slice(1), layout.hashTrits) : undefined
+        }
+        return hash ? {hash, index, height: h} : undefined
+    }
+
+    return {
+        height,
+        security,
+        readLeaf,
+        readNode,
+        close: () => fs.closeSync(fd)
+    }
+}
+
+function getFileWriter(fileName, {height, security}) {
+    const layout = getLayout(height, security)
+    return (leafs, hashes) => {
+        if (!fs.existsSync(fileName) || fs.statSync(fileName).size == 0) {
+            fs.writeFileSync(fileName, createHeader(height, security))
+        }
+        const fd = fs.openSync(fileName, "r+")
+        try {
+            const stored = readHeader(fd)
+            if (stored.height != height || stored.security != security) {
+                throw new Error(Errors.DIFFERENT_TREE)
+            }
+            // the presence flag is written last, so that an interrupted write leaves the record absent
+            const write = (position, ...parts) => {
+                const data = Buffer.concat(parts)
+                fs.writeSync(fd, data, 0, data.length, position + 1)
+                fs.writeSync(fd, Buffer.from([PRESENT]), 0, 1, position)
+            }
+            leafs.forEach(leaf => write(leafPosition(layout, leaf.index), 
+                tritsToBytes(leaf.private), tritsToBytes(leaf.public)))
+            hashes.forEach(level => level.filter(node => node.height > 0)
+                .forEach(node => write(nodePosition(layout, node.height, node.index), tritsToBytes(node.hash))))
+            fs.fsyncSync(fd)
+        } finally {
+            fs.closeSync(fd)
+        }
+    }
+}
+
+function convertFile(fileName, binaryFileName, {password} = {}) {
+    const {leafs, hashes, height} = file.readFile(fileName, {password})
+    const leaf = leafs.find(l => l != undefined)
+    const security = leaf ? leaf.public.length / HASH_TRITS : hashes[height][0].hash.length / HASH_TRITS
+    const writer = getFileWriter(binaryFileName, {height, security})
+    writer(leafs.filter(l => l != undefined), hashes.map(level => level.filter(node => node != undefined)))
+}
+
+module.exports = {
+    isBinaryFile,
+    openFile,
+    getFileWriter,
+    convertFile
+}
@@ -0,0 +1,199 @@
+const zlib = require('zlib')
+const valid = require('@iota/validators')
+const {alphabet} = require('./helpers')
+
+const Errors = {
+    UNKNOWN_CODEC: codec => `Codec ${codec} is unknown.`,
+    INVALID_MESSAGE: codec => `Message can't be encoded with codec ${codec}.`,
+    INVALID_ENCODING: codec => `Message isn't encoded correctly for codec ${codec}.`,
+    UNKNOWN_COMPRESSION: compression => `Compression ${compression} is unknown.`,
+    INVALID_COMPRESSION: compression => `Message can't be decompressed with ${compression}.`,
+    TOO_LARGE_TO_COMPRESS: max => `Compressed messages can't exceed ${max} bytes before compression.`
+}
+
+// limits the size of decompressed messages, so that small messages can't inflate to arbitrary sizes. The limit relies 
+// on the option maxOutputLength of zlib, which is supported since node 14.5.0.
+const MAX_DECOMPRESSED_BYTES = 1024 * 1024
+
+// bytes are encoded with two trytes each, which is the same as the ascii encoding of IOTA
+function bytesToTrytes(bytes) {
+    let trytes = ''
+    for (let i = 0; i < bytes.length; i++) {
+        trytes += alphabet[bytes[i] % 27] + alphabet[Math.floor(bytes[i] / 27)]
+    }
+    return trytes
+}
+
+function trytesToBytes(trytes) {
+    if (trytes.length % 2 != 0) {
+        throw new Error()
+    }
+    const bytes = Buffer.alloc(trytes.length / 2)
+    for (let i = 0; i < bytes.length; i++) {
+        const value = alphabet.indexOf(trytes[2 * i]) + alphabet.indexOf(trytes[2 * i + 1]) * 27
+        if (value > 255) {
+            throw new Error()
+        }
+        bytes[i] = value
+    }
+    return bytes
+}
+
+const codecs = {
+    trytes: {
+        id: 0,
+        bytes: false,
+        encode: message => {
+            if (typeof message != 'string' || (message != '' && !valid.isTrytes(message))) {
+                throw new Error()
+            }
+            return message
+        },
+        decode: trytes => trytes
+    },
+    utf8: {
+        id: 1,
+        bytes: true,
+        encode: message => {
+            if (typeof message != 'string') {
+                throw new Error()
+            }
+            return bytesToTrytes(Buffer.from(message, 'utf8'))
+        },
+        decode: trytes => trytesToBytes(trytes).toString('utf8')
+    },
+    json: {
+        id: 2,
+        bytes: true,
+        encode: message => bytesToTrytes(Buffer.from(JSON.stringify(message), 'utf8')),
+        decode: trytes => JSON.parse(trytesToBytes(trytes).toString('utf8'))
+    },
+    binary: {
+        id: 3,
+        bytes: true,
+        encode: message => {
+            if (!(message instanceof Uint8Array)) {
+                throw new Error()
+            }
+            return bytesToTrytes(message)
+        },
+        decode: trytes => trytesToBytes(trytes)
+    }
+}
+
+const compressions = {
+    none: {
+        id: 0,
+        compress: bytes => bytes,
+        decompress: bytes => bytes
+    },
+    deflate: {
+        id: 1,
+        compress: bytes => zlib.deflateRawSync(bytes, {level: zlib.constants.Z_BEST_COMPRESSION}),
+        decompress: bytes => zlib.inflateRawSync(bytes, {maxOutputLength: MAX_DECOMPRESSED_BYTES})
+    }
+}
+
+function getCodec(name) {
+    if (!Object.keys(codecs).includes(name)) {
+        throw new Error(Errors.UNKNOWN_CODEC(name))
+    }
+    return codecs[name]
+}
+
+function getCodecName(id) {
+    const name = Object.keys(codecs).find(name => codecs[name].id == id)
+    if (name == undefined) {
+        throw new Error(Errors.UNKNOWN_CODEC(id))
+    }
+    return name
+}
+
+function getCompression(name) {
+    if (!Object.keys(compressions).includes(name)) {
+        throw new Error(Errors.UNKNOWN_COMPRESSION(name))
+    }
+    return compressions[name]
+}
+
+function getCompressionName(id) {
+    const name = Object.keys(compressions).find(name => compressions[name].id == id)
+    if (name == undefined) {
+        throw new Error(Errors.UNKNOWN_COMPRESSION(id))
+    }
+    return name
+}
+
+function detectCodec(message) {
+    if (typeof message == 'string') {
+        return message == '' || valid.isTrytes(message) ? 'trytes' : 'utf8'
+    }
+    return message instanceof Uint8Array ? 'binary' : 'json'
+}
+
+function encode(message, codec = detectCodec(message)) {
+    const {encode} = getCodec(codec)
+    try {
+        return encode(message)
+    } catch (e) {
+        throw new Error(Errors.INVALID_MESSAGE(codec))
+    }
+}
+
+function decode(trytes, codec = 'trytes') {
+    const {decode} = getCodec(codec)
+    try {
+        return decode(trytes)
+    } catch (e) {
+        throw new Error(Errors.INVALID_ENCODING(codec))
+    }
+}
+
+// byte codecs are compressed on their bytes, trytes on their ascii representation
+function compress(trytes, codec = 'trytes', compression = 'deflate') {
+    const {compress} = getCompression(compression)
+    const bytes = getCodec(codec).bytes ? trytesToBytes(trytes) : Buffer.from(trytes, 'ascii')
+    return bytesToTrytes(compress(bytes))
+}
+
+// messages which readers wouldn't decompress are refused before they are signed
+function checkCompressible(trytes, codec = 'trytes', compression = 'deflate') {
+    const {id} = getCompression(compression)
+    const size = getCodec(codec).bytes ? trytes.length / 2 : trytes.length
+    if (id != 0 && size > MAX_DECOMPRESSED_BYTES) {
+        throw new Error(Errors.TOO_LARGE_TO_COMPRESS(MAX_DECOMPRESSED_BYTES))
+    }
+}
+
+function decompress(trytes, codec = 'trytes', compression = 'deflate') {
+    const {decompress} = getCompression(compression)
+    const {bytes} = getCodec(codec)
+    try {
+        const decompressed = decompress(trytesToBytes(trytes))
+        if (bytes) {
+            return bytesToTrytes(decompressed)
+        }
+        const message = decompressed.toString('ascii')
+        if (message != '' && !valid.isTrytes(message)) {
+            throw new Error()
+        }
+        return message
+    } catch (e) {
+        throw new Error(Errors.INVALID_COMPRESSION(compression))
+    }
+}
+
+module.exports = {
+    codecs,
+    compressions,
+    getCodec,
+    getCodecName,
+    getCompression,
+    getCompressionName,
+    detectCodec,
+    encode,
+    decode,
+    compress,
+    checkCompressible,
+    decompress
+}
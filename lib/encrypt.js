@@ -49,7 +49,26 @@ function decrypt(message, key, salt) {
         .join('')
 }
 
+// the tag is derived from the same key as the encryption, separated by the absorbed constant
+const AUTHENTICATION_SALT = 'AUTHENTICATION'
+
+function authenticate(message, key) {
+    const kerl = new Kerl()
+    kerl.initialize()
+    const padded = pad.padTrits(Kerl.HASH_LENGTH)(converter.trits(key))
+    kerl.absorb(padded, 0, padded.length)
+    const paddedSalt = pad.padTrits(Kerl.HASH_LENGTH)(converter.trits(AUTHENTICATION_SALT))
+    kerl.absorb(paddedSalt, 0, paddedSalt.length)
+    const trits = converter.trits(message)
+    const paddedMessage = pad.padTrits(Math.max(1, Math.ceil(trits.length / Kerl.HASH_LENGTH)) * Kerl.HASH_LENGTH)(trits)
+    kerl.absorb(paddedMessage, 0, paddedMessage.length)
+    const tag = new Int8Array(Kerl.HASH_LENGTH)
+    kerl.squeeze(tag, 0, Kerl.HASH_LENGTH)
+    return converter.trytes(tag)
+}
+
 module.exports = {
     encrypt,
-    decrypt
+    decrypt,
+    authenticate
 }
\ No newline at end of file
@@ -1,6 +1,22 @@
 const converter =  require("@iota/converter")
+const crypto = require("crypto")
 const fs = require("fs")
 
+const CIPHER = "aes-256-gcm"
+const KDF = "scrypt"
+const KDF_PARAMS = {N: 16384, r: 8, p: 1}
+const KEY_LENGTH = 32
+const IV_LENGTH = 12
+const TAG_LENGTH = 16
+const CHECK_VALUE = "RAAM"
+
+const Errors = {
+    PASSWORD_NEEDED: "File is encrypted. A password is needed to read it.",
+    NOT_ENCRYPTED: "File is not encrypted, but a password was passed.",
+    WRONG_PASSWORD: "Password for the file is wrong.",
+    INTEGRITY_CHECK_FAILED: "File was modified or is corrupt. Integrity check failed."
+}
+
 function getStringWriter() {
     let string = ""
     const callback = (leafs, hashes) => {
@@ -28,11 +44,92 @@ function getStringWriter() {
     }
 }
 
-function readFile(fileName) {
+function createHeader(password) {
+    const salt = crypto.randomBytes(16)
+    const header = {cipher: CIPHER, kdf: KDF, ...KDF_PARAMS, salt: salt.toString("base64")}
+    const key = deriveKey(password, header)
+    header.check = encryptLine(CHECK_VALUE, key, salt, 0)
+    return {header, key, salt}
+}
+
+function parseHeader(line) {
+    try {
+        const header = JSON.parse(line)
+        return header.cipher && header.kdf ? header : undefined
+    } catch (e) {
+        return undefined
+    }
+}
+
+function openHeader(header, password) {
+    const salt = Buffer.from(header.salt, "base64")
+    const key = deriveKey(password, header)
+    try {
+        if (decryptLine(header.check, key, salt, 0) != CHECK_VALUE) {
+            throw new Error()
+        }
+    } catch (e) {
+        throw new Error(Errors.WRONG_PASSWORD)
+    }
+    return {key, salt}
+}
+
+function deriveKey(password, {N, r, p, salt}) {
+    return crypto.scryptSync(password, Buffer.from(salt, "base64"), KEY_LENGTH, {N, r, p})
+}
+
+// the salt binds each line to the file it was written to and the number to its position, so that removing or 
+// reordering lines is detected. Lines missing at the end are detected as an incomplete tree.
+function getAAD(salt, number) {
+    return Buffer.concat([salt, Buffer.from(String(number))])
+}
+
+function encryptLine(line, key, salt, number) {
+    const iv = crypto.randomBytes(IV_LENGTH)
+    const cipher = crypto.createCipheriv(CIPHER, key, iv, {authTagLength: TAG_LENGTH})
+    cipher.setAAD(getAAD(salt, number))
+    const encrypted = Buffer.concat([cipher.update(line, "utf8"), cipher.final()])
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString("base64")
+}
+
+function decryptLine(line, key, salt, number) {
+    const data = Buffer.from(line, "base64")
+    const decipher = crypto.createDecipheriv(CIPHER, key, data.slice(0, IV_LENGTH), {authTagLength: TAG_LENGTH})
+    decipher.setAAD(getAAD(salt, number))
+    decipher.setAuthTag(data.slice(IV_LENGTH, IV_LENGTH + TAG_LENGTH))
+    return Buffer.concat([decipher.update(data.slice(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString("utf8")
+}
+
+function readLines(fileName, password) {
     const content = Buffer.from(fs.readFileSync(fileName)).toString()
+    const lines = content.split("\n")
+    // the last line is either empty or was not written completely
+    lines.pop()
+    const header = lines.length > 0 ? parseHeader(lines[0]) : undefined
+    if (!header) {
+        if (password && lines.length > 0) {
+            throw new Error(Errors.NOT_ENCRYPTED)
+        }
+        return lines
+    }
+    if (!password) {
+        throw new Error(Errors.PASSWORD_NEEDED)
+    }
+    const {key, salt} = openHeader(header, password)
+    // the header is the line with the number 0
+    return lines.slice(1).map((line, i) => {
+        try {
+            return decryptLine(line, key, salt, i + 1)
+        } catch (e) {
+            throw new Error(Errors.INTEGRITY_CHECK_FAILED)
+        }
+    })
+}
+
+function readFile(fileName, {password} = {}) {
     const leafs = []
     const hashes = []
-    content.split("\n").filter(e => e).forEach(s => {
+    readLines(fileName, password).filter(e => e).forEach(s => {
         const e = JSON.parse(s)
         const {index, height} = e
         if (Object.keys(e).includes("public")) {
@@ -53,25 +150,60 @@ function readFile(fileName) {
             }
         }
     })
+    const top = hashes[hashes.length - 1]
     return {
         leafs,
         hashes,
-        merkleRoot: hashes[hashes.length - 1][0].hash,
+        merkleRoot: top && top[0] ? top[0].hash : undefined,
         height: hashes.length - 1
     }
 }
 
-function getFileWriter(fileName) {
+function removeIncompleteLine(fileName) {
+    const content = fs.readFileSync(fileName)
+    const end = content.lastIndexOf("\n") + 1
+    if (end < content.length) {
+        fs.truncateSync(fileName, end)
+    }
+}
+
+function getFileWriter(fileName, {password} = {}) {
     const stringWriter = getStringWriter()
+    let encrypt
     const callback = (leafs, hashes) => {
-        const append = stringWriter.callback(leafs, hashes)
+        let append = stringWriter.callback(leafs, hashes)
+        if (password) {
+            encrypt = encrypt || getLineEncrypter(fileName, password)
+            append = append.split("\n").filter(e => e).map(line => encrypt(line) + "\n").join("")
+        }
         fs.appendFileSync(fileName, append)
     }
     return callback
 }
 
+function getLineEncrypter(fileName, password) {
+    const lines = fs.existsSync(fileName) ? fs.readFileSync(fileName).toString().split("\n") : []
+    const existing = lines.length > 1 ? parseHeader(lines[0]) : undefined
+    if (lines.length > 1 && !existing) {
+        throw new Error(Errors.NOT_ENCRYPTED)
+    }
+    let key, salt, number
+    if (existing) {
+        ({key, salt} = openHeader(existing, password))
+        // the last element is either empty or an incomplete line, which is removed before appending
+        number = lines.length - 1
+    } else {
+        let header
+        ({header, key, salt} = createHeader(password))
+        fs.appendFileSync(fileName, JSON.stringify(header) + "\n")
+        number = 1
+    }
+    return line => encryptLine(line, key, salt, number++)
+}
+
 module.exports = {
     getStringWriter,
     getFileWriter,
-    readFile
+    readFile,
+    removeIncompleteLine
 }
\ No newline at end of file
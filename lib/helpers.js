@@ -1,6 +1,7 @@
 const pad = require('@iota/pad')
 const converter = require('@iota/converter')
 const Kerl = require('@iota/kerl').default
+const crypto = require('crypto')
 
 function concat(...arrays) {
     const length = arrays.reduce((acc, array) => acc + array.length, 0)
@@ -91,9 +92,25 @@ function prettyPrint(response) {
     })
 }
 
-function digest(message, index, authPathHashes, verifyingKey, nextRoot) {
+// the codec is only signed if it's not the default or metadata follows, so that signatures of trytes messages 
+// stay the same
+function digest(message, index, authPathHashes, verifyingKey, nextRoot, codecId = 0, metadata) {
+    const codecTrits = codecId || metadata ? converter.trits(intToTrytes(codecId)) : []
     return converter.trytes(concat(converter.trits(message), converter.trits(intToTrytes(index)),
-        verifyingKey, nextRoot ? nextRoot : [], ...authPathHashes))
+        verifyingKey, nextRoot ? nextRoot : [], ...authPathHashes, codecTrits, metadata ? converter.trits(metadata) : []))
+}
+
+// bytes above the largest multiple of 27 are dropped, so that every tryte is equally likely
+function randomTrytes(length) {
+    let trytes = ''
+    while (trytes.length < length) {
+        for (let byte of crypto.randomBytes(length - trytes.length)) {
+            if (byte < 243) {
+                trytes += alphabet.charAt(byte % 27)
+            }
+        }
+    }
+    return trytes
 }
 
 function isTrits(trits) {
@@ -115,5 +132,6 @@ module.exports = {
     prettify,
     digest,
     alphabet,
+    randomTrytes,
     isTrits
 }
\ No newline at end of file
@@ -0,0 +1,108 @@
+const fs = require("fs")
+
+// every entry is a line "<index> <digest>" with a digest of 81 trytes
+const ENTRY = /^(\d+) ([9A-Z]{81})$/
+
+// the first entry of an index counts, so that entries appended at the same time by several processes are decided
+// without a lock. Lines which were not written completely are ignored, since an index is only signed after its entry
+// was written.
+function addEntries(entries, text) {
+    text.split("\n").forEach(line => {
+        const match = ENTRY.exec(line)
+        if (match && !entries.has(parseInt(match[1]))) {
+            entries.set(parseInt(match[1]), match[2])
+        }
+    })
+}
+
+// only the lines appended since the last read are parsed. A line without its line break may still be written by 
+// another process, so it's read again later.
+function readAppended(fileName, entries, offset) {
+    if (!fs.existsSync(fileName)) {
+        return offset
+    }
+    const fd = fs.openSync(fileName, "r")
+    try {
+        const size = fs.fstatSync(fd).size
+        if (size <= offset) {
+            return offset
+        }
+        const appended = Buffer.alloc(size - offset)
+        const read = fs.readSync(fd, appended, 0, appended.length, offset)
+        const end = appended.lastIndexOf(0x0a, read - 1)
+        if (end < 0) {
+            return offset
+        }
+        addEntries(entries, appended.slice(0, end).toString())
+        return offset + end + 1
+    } finally {
+        fs.closeSync(fd)
+    }
+}
+
+// a single write to a file opened for appending isn't interleaved with the writes of other processes
+function appendEntry(fileName, index, digest) {
+    const fd = fs.openSync(fileName, "a+")
+    try {
+        // a line left incomplete by a crash is ended, so that the entry isn't appended to it
+        const size = fs.fstatSync(fd).size
+        const last = Buffer.alloc(1)
+        const complete = size == 0 || (fs.readSync(fd, last, 0, 1, size - 1) == 1 && last[0] == 0x0a)
+        fs.writeSync(fd, `${complete ? "" : "\n"}${index} ${digest}\n`)
+        fs.fsyncSync(fd)
+    } finally {
+        fs.closeSync(fd)
+    }
+}
+
+function createFileLedger(fileName) {
+    const entries = new Map()
+    let offset = 0
+    const update = () => {
+        offset = readAppended(fileName, entries, offset)
+    }
+    return {
+        consume(index, digest) {
+            update()
+            if (entries.has(index)) {
+                return entries.get(index) == digest
+            }
+            appendEntry(fileName, index, digest)
+            // another process may have recorded the index in the meantime
+            update()
+            return entries.get(index) == digest
+        },
+        isConsumed(index) {
+            update()
+            return entries.has(index)
+        },
+        areConsumed(indexes) {
+            update()
+            return indexes.map(index => entries.has(index))
+        }
+    }
+}
+
+function createMemoryLedger() {
+    const entries = new Map()
+    return {
+        consume(index, digest) {
+            if (entries.has(index)) {
+                return entries.get(index) == digest
+            }
+            entries.set(index, digest)
+            return true
+        },
+        isConsumed(index) {
+            return entries.has(index)
+        },
+        areConsumed(indexes) {
+            return indexes.map(index => entries.has(index))
+        }
+    }
+}
+
+module.exports = {
+    createFileLedger,
+    createMemoryLedger
+}
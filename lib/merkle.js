@@ -2,6 +2,16 @@ const sign = require('./sign')
 const Kerl = require('@iota/kerl').default
 const converter = require('@iota/converter')
 const iotaSigning = require('@iota/signing')
+const os = require('os')
+const path = require('path')
+const ledgers = require('./ledger')
+const {hashTrytes, padTrytesMultipleOf} = require('./helpers')
+
+const Errors = {
+    TRAVERSAL_PASSED: "The merkle tree traversal has already passed this index.",
+    INVALID_INDEX: "Index is to big for the height of the merkle tree.",
+    KEY_USED: "The signing key of this index was already used for another message."
+}
 
 function getAuthPath(index, h) {
     const result = []
@@ -37,6 +47,39 @@ function verifyMerkleTree(public, verificationKey, index, authPathHashes) {
     return converter.trytes(public) == converter.trytes(merkleRoot)
 }
 
+function createLeaf(seed, index, {security = 2, offset = 0} = {}) {
+    const subseed = iotaSigning.subseed(converter.trits(seed), index + offset)
+    const leaf = sign.createKeyPair(converter.trytes(subseed), security)
+    leaf.index = index
+    leaf.height = 0
+    return leaf
+}
+
+// signs with the leafs of the seed, like a channel created by RAAM.fromSeed, which appends the channel password.
+// The digests are recorded like by a channel, so that a key isn't used twice even if the writer keeps no ledger.
+function createSigner(seed, {channelPassword, security = 2, offset = 0, ledger = ledgers.createMemoryLedger()} = {}) {
+    const s = channelPassword ? seed.concat(channelPassword) : seed
+    const used = typeof ledger == 'string' ? ledgers.createFileLedger(ledger) : ledger
+    return {
+        async sign(index, digest) {
+            if (!used.consume(index, hashTrytes(padTrytesMultipleOf(81, 81, digest)))) {
+                throw new Error(Errors.KEY_USED)
+            }
+            return sign.createSignature(createLeaf(s, index, {security, offset}).private, digest)
+        }
+    }
+}
+
+function hashNodes(left, right) {
+    const kerl = new Kerl()
+    kerl.initialize()
+    kerl.absorb(left, 0, left.length)
+    kerl.absorb(right, 0, right.length)
+    const buffer = new Int8Array(left.length)
+    kerl.squeeze(buffer, 0, left.length)
+    return buffer
+}
+
 async function createTree(seed, h, {security = 2, offset = 0, progressCallback, timeout = 5000} = {}) {
     const stack = []
     const leafs = []
@@ -63,25 +106,16 @@ async function createTree(seed, h, {security = 2, offset = 0, progressCallback,
     let lastTime = new Date().getTime()
     //build tree, starting from leafs
     for (let i = 0; i <= Math.pow(2, h) - 1; i++) {
-        const subseed = iotaSigning.subseed(converter.trits(seed), i + offset)
-        const leaf = sign.createKeyPair(converter.trytes(subseed), security)
-        leaf.index = i
-        leaf.height = 0
+        const leaf = createLeaf(seed, i, {security, offset})
         leafs.push(leaf)
         let node = {hash: leaf.public, height: 0, index: leaf.index}
         
         // build all parent nodes that are buildable
         while (stack.length > 0 && stack[stack.length - 1].height == node.height) {
-            const kerl = new Kerl()
-            kerl.initialize()
             const first = stack.pop()
-            kerl.absorb(first.hash, 0, first.hash.length)
-            kerl.absorb(node.hash, 0, node.hash.length)
-            const buffer = new Int8Array(security * Kerl.HASH_LENGTH)
-            kerl.squeeze(buffer, 0, security * Kerl.HASH_LENGTH)
             const height = first.height + 1
             node = {
-                hash: buffer,
+                hash: hashNodes(first.hash, node.hash),
                 height,
                 index: hashes[height].length
             }
@@ -101,8 +135,316 @@ async function createTree(seed, h, {security = 2, offset = 0, progressCallback,
     return {root: stack.pop().hash, leafs, hashes}
 }
 
+async function completeTree(seed, h, leafs, hashes, {security = 2, offset = 0, progressCallback, timeout = 5000} = {}) {
+    const created = []
+    let reported = 0
+    let lastTime = new Date().getTime()
+    for (let i = 0; i <= Math.pow(2, h) - 1; i++) {
+        if (leafs[i] == undefined) {
+            leafs[i] = createLeaf(seed, i, {security, offset})
+            created.push(leafs[i])
+            if (progressCallback && new Date().getTime() - lastTime > timeout) {
+                await progressCallback(created.slice(reported), [])
+                reported = created.length
+                lastTime = new Date().getTime()
+            }
+        }
+    }
+
+    // hashing is cheap compared to key generation, so all missing nodes are rebuilt from the leafs
+    const added = []
+    for (let height = 0; height <= h; height++) {
+        hashes[height] = hashes[height] || []
+        added.push([])
+        for (let i = 0; i <= Math.pow(2, h - height) - 1; i++) {
+            if (hashes[height][i] == undefined) {
+                const hash = height == 0 ? leafs[i].public 
+                    : hashNodes(hashes[height - 1][2 * i].hash, hashes[height - 1][2 * i + 1].hash)
+                hashes[height][i] = {hash, height, index: i}
+                added[height].push(hashes[height][i])
+            }
+        }
+    }
+    if (progressCallback && (created.length > reported || added.some(a => a.length > 0))) {
+        await progressCallback(created.slice(reported), added)
+    }
+
+    return {root: hashes[h][0].hash, leafs, hashes}
+}
+
+async function createTreeParallel(seed, h, {security = 2, offset = 0, progressCallback, timeout = 5000, 
+    workers = os.cpus().length} = {}) {
+    const {Worker} = require('worker_threads')
+    const subtreeHeight = h - Math.min(h, Math.ceil(Math.log2(Math.max(1, workers))))
+    const subtreeSize = Math.pow(2, subtreeHeight)
+    const subtreeCount = Math.pow(2, h - subtreeHeight)
+
+    const leafs = []
+    const hashes = []
+    for (let i = 0; i <= h; i++) {
+        hashes.push([])
+    }
+    // the first failure, e.g. of writing to a file, stops all workers, so that nothing is reported afterwards
+    const running = new Set()
+    let failure
+    const fail = error => {
+        if (!failure) {
+            failure = error
+            running.forEach(worker => worker.terminate())
+        }
+    }
+    // callbacks have to be called one after another, e.g. for writing to a file
+    let reported = Promise.resolve()
+    const report = (newLeafs, newHashes) => {
+        if (progressCallback) {
+            reported = reported.then(() => failure ? undefined : progressCallback(newLeafs, newHashes)).catch(fail)
+        }
+        return reported
+    }
+
+    const buildSubtree = index => new Promise((resolve, reject) => {
+        const start = index * subtreeSize
+        const worker = new Worker(path.join(__dirname, 'merkleWorker.js'), {
+            workerData: {seed, height: subtreeHeight, security, offset: offset + start, timeout}
+        })
+        running.add(worker)
+        worker.on('message', ({leafs: newLeafs, hashes: newHashes, root}) => {
+            if (root) {
+                resolve(root)
+                return
+            }
+            newLeafs.forEach(leaf => {
+                leaf.index += start
+                leafs[leaf.index] = leaf
+            })
+            newHashes.forEach((level, height) => level.forEach(node => {
+                node.index += start / Math.pow(2, height)
+                hashes[height][node.index] = node
+            }))
+            report(newLeafs, newHashes)
+        })
+        worker.on('error', reject)
+        worker.on('exit', code => {
+            running.delete(worker)
+            if (code != 0) {
+                reject(new Error(`Worker stopped with exit code ${code}`))
+            }
+        })
+    })
+
+    const roots = []
+    let next = 0
+    const runWorker = async () => {
+        while (next < subtreeCount && !failure) {
+            const index = next++
+            try {
+                roots[index] = await buildSubtree(index)
+            } catch (e) {
+                fail(e)
+            }
+        }
+    }
+    await Promise.all(new Array(Math.min(workers, subtreeCount)).fill().map(runWorker))
+    await reported
+    if (failure) {
+        throw failure
+    }
+
+    // merge the roots of the subtrees
+    const merged = hashes.map(() => [])
+    let level = roots.map((hash, index) => ({hash, height: subtreeHeight, index}))
+    for (let height = subtreeHeight + 1; height <= h; height++) {
+        const parents = []
+        for (let i = 0; i < level.length; i += 2) {
+            const node = {hash: hashNodes(level[i].hash, level[i + 1].hash), height, index: i / 2}
+            hashes[height][node.index] = node
+            merged[height].push(node)
+            parents.push(node)
+        }
+        level = parents
+    }
+    await report([], merged)
+    if (failure) {
+        throw failure
+    }
+
+    return {root: level[0].hash, leafs, hashes}
+}
+
+function createTreehash(height, start) {
+    return {height, start, next: start, stack: [], node: undefined, done: false}
+}
+
+function treehashLow(treehash) {
+    if (treehash.done) {
+        return Infinity
+    }
+    const {stack} = treehash
+    return stack.length == 0 ? treehash.height : stack[stack.length - 1].height
+}
+
+function updateTreehash(treehash, {seed, security, offset}) {
+    let node = {hash: createLeaf(seed, treehash.next, {security, offset}).public, height: 0}
+    treehash.next++
+    while (treehash.stack.length > 0 && treehash.stack[treehash.stack.length - 1].height == node.height) {
+        const first = treehash.stack.pop()
+        node = {hash: hashNodes(first.hash, node.hash), height: node.height + 1}
+    }
+    if (node.height == treehash.height) {
+        treehash.node = node.hash
+        treehash.done = true
+    } else {
+        treehash.stack.push(node)
+    }
+}
+
+/*
+ * Merkle tree traversal in log space and time (Szydlo, 2004). Instead of the whole tree only the seed,
+ * the current authentication path and one treehash instance per level are held. The leafs are
+ * regenerated from the seed when they are needed.
+ */
+async function createTraversal(seed, h, {security = 2, offset = 0, progressCallback, timeout = 5000} = {}) {
+    const stack = []
+    const auth = []
+    const treehashes = []
+    const counts = new Array(h + 1).fill(0)
+
+    // leafs and hashes are only buffered until they are passed to the callback
+    let leafs = [], hashes = []
+    const resetBuffers = () => {
+        leafs = []
+        hashes = []
+        for (let i = 0; i <= h; i++) {
+            hashes.push([])
+        }
+    }
+    resetBuffers()
+
+    const keep = node => {
+        if (node.height < h) {
+            if (node.index == 0) {
+                const treehash = createTreehash(node.height, 0)
+                treehash.node = node.hash
+                treehash.done = true
+                treehashes[node.height] = treehash
+            } else if (node.index == 1) {
+                auth[node.height] = node.hash
+            }
+        }
+        if (progressCallback) {
+            hashes[node.height].push(node)
+        }
+    }
+
+    let lastTime = new Date().getTime()
+    for (let i = 0; i <= Math.pow(2, h) - 1; i++) {
+        const leaf = createLeaf(seed, i, {security, offset})
+        if (progressCallback) {
+            leafs.push(leaf)
+        }
+        let node = {hash: leaf.public, height: 0, index: leaf.index}
+        keep(node)
+        counts[0]++
+
+        while (stack.length > 0 && stack[stack.length - 1].height == node.height) {
+            const first = stack.pop()
+            const height = first.height + 1
+            node = {
+                hash: hashNodes(first.hash, node.hash),
+                height,
+                index: counts[height]++
+            }
+            keep(node)
+        }
+        stack.push(node)
+        if (progressCallback && new Date().getTime() - lastTime > timeout) {
+            await progressCallback(leafs, hashes)
+            resetBuffers()
+            lastTime = new Date().getTime()
+        }
+    }
+    if (progressCallback) {
+        await progressCallback(leafs, hashes)
+    }
+
+    return {
+        seed,
+        height: h,
+        security,
+        offset,
+        root: stack.pop().hash,
+        index: 0,
+        auth,
+        treehashes
+    }
+}
+
+function traverse(traversal) {
+    const {height: h, auth, treehashes} = traversal
+    const s = traversal.index
+    const leafCount = Math.pow(2, h)
+    if (s >= leafCount - 1) {
+        traversal.index = leafCount
+        return traversal
+    }
+
+    for (let i = 0; i < h; i++) {
+        const size = Math.pow(2, i)
+        if ((s + 1) % size == 0) {
+            auth[i] = treehashes[i].node
+            const start = (s + 1 + size) ^ size
+            const treehash = createTreehash(i, start)
+            treehash.done = start >= leafCount
+            treehashes[i] = treehash
+        }
+    }
+
+    for (let i = 0; i < 2 * h - 1; i++) {
+        let focus
+        let min = Infinity
+        treehashes.forEach((treehash, level) => {
+            const low = treehashLow(treehash)
+            if (low < min) {
+                min = low
+                focus = level
+            }
+        })
+        if (focus == undefined) {
+            break
+        }
+        updateTreehash(treehashes[focus], traversal)
+    }
+    traversal.index = s + 1
+    return traversal
+}
+
+function traverseTo(traversal, index) {
+    if (index < traversal.index) {
+        throw new Error(Errors.TRAVERSAL_PASSED)
+    }
+    if (index >= Math.pow(2, traversal.height)) {
+        throw new Error(Errors.INVALID_INDEX)
+    }
+    while (traversal.index < index) {
+        traverse(traversal)
+    }
+    const {private: signingKey, public: verifyingKey} = createLeaf(traversal.seed, index, traversal)
+    return {
+        signingKey,
+        verifyingKey,
+        authPathHashes: traversal.auth.slice()
+    }
+}
+
 module.exports = {
     createTree,
+    createTreeParallel,
+    completeTree,
+    createTraversal,
+    traverse,
+    traverseTo,
+    createLeaf,
+    createSigner,
     verifyMerkleTree,
     getAuthPath,
     recreateMerkleTree
@@ -0,0 +1,9 @@
+const {parentPort, workerData} = require('worker_threads')
+const merkle = require('./merkle')
+
+const {seed, height, security, offset, timeout} = workerData
+
+// the traversal is only used to stream the nodes of the subtree, so that they aren't held twice in memory
+merkle.createTraversal(seed, height, {security, offset, timeout, progressCallback: (leafs, hashes) => {
+    parentPort.postMessage({leafs, hashes})
+}}).then(({root}) => parentPort.postMessage({root}))
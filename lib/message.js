@@ -3,27 +3,72 @@ const prepareTransfers = require('@iota/core').createPrepareTransfers()
 const converter = require('@iota/converter')
 const add = require('@iota/signing').add
 const Kerl = require('@iota/kerl').default
-const {intToTrytes, trytesToInt, concat, padTritsMultipleOf, padTrytesMultipleOf, alphabet} = require('./helpers')
-const {encrypt, decrypt} = require("./encrypt")
+const {intToTrytes, trytesToInt, concat, padTritsMultipleOf, padTrytesMultipleOf, alphabet, hashTrytes, 
+    randomTrytes} = require('./helpers')
+const {encrypt, decrypt, authenticate} = require("./encrypt")
+const {getBackend} = require('./backend')
+const {getCodec, getCodecName, getCompression, getCompressionName, compress, decompress} = require('./codec')
 
 const INDEX_TRYTES = 6
 const MESSAGE_LENGTH_TRYTES = 3
 const SECURITY_TRYTES = 1
 const HEIGHT_TRYTES = 1
 const PREFIX_LENGTH = INDEX_TRYTES + MESSAGE_LENGTH_TRYTES + SECURITY_TRYTES + HEIGHT_TRYTES
+// values of the security tryte from here on mark an extended header of the given version, 
+// which is followed by the actual security tryte. Messages without version are read as version 0.
+const EXTENDED_HEADER = 20
+const CODEC_TRYTES = 1
+const COMPRESSION_TRYTES = 1
+const CHUNK_COUNT_TRYTES = 2
+const METADATA_LENGTH_TRYTES = 3
+// every version appends one field to the header: the codec, the compression, the amount of chunks and 
+// the length of the metadata
+const HEADER_FIELDS = [CODEC_TRYTES, COMPRESSION_TRYTES, CHUNK_COUNT_TRYTES, METADATA_LENGTH_TRYTES]
+const HEADER_VERSION = HEADER_FIELDS.length
 
 const MESSAGE_FRAGMENT_TRYTES = 2187;
 const SIGNATURE_TRYTES_PER_SECURITY = 2187;
 
+// messages too long for one bundle are split into chunks, which are attached in bundles at derived addresses.
+// The message of the bundle at the index address then consists of the hashes of all chunks.
+const HASH_TRYTES = 81
+const CHUNK_TRANSACTIONS = 9
+const CHUNK_LENGTH = CHUNK_TRANSACTIONS * MESSAGE_FRAGMENT_TRYTES - MESSAGE_LENGTH_TRYTES
+const MAX_CHUNKS = Math.floor((Math.pow(27, MESSAGE_LENGTH_TRYTES) - 1) / HASH_TRYTES)
+
+// messages may start with a cleartext preamble. A nonce salting the encryption is marked by the first marker and
+// followed by the nonce. Messages for several recipients continue with the second marker, the amount of envelopes and
+// the envelopes, each holding the content key encrypted for one recipient and a tag identifying the recipient. 
+// Authenticated messages continue with the third marker, the amount of their payload transactions and a tag over the 
+// ciphertext. Other messages start with a marker only by chance of 1 in 27^9.
+const NONCE_MARKER = 'RAAMNONCE'
+const NONCE_TRYTES = 81
+const ENVELOPES_MARKER = 'RAAMENVEL'
+const ENVELOPE_COUNT_TRYTES = 2
+const CONTENT_KEY_TRYTES = 81
+const MAX_RECIPIENTS = Math.pow(27, ENVELOPE_COUNT_TRYTES) - 1
+const AUTHENTICATED_MARKER = 'RAAMAUTH9'
+const PAYLOAD_TRANSACTIONS_TRYTES = 2
+const TAG_TRYTES = 81
+const AUTHENTICATED_PREFIX_LENGTH = AUTHENTICATED_MARKER.length + PAYLOAD_TRANSACTIONS_TRYTES + TAG_TRYTES
+const ENVELOPE_TRYTES = CONTENT_KEY_TRYTES + TAG_TRYTES
+
 const Errors = {
-    INVALID_LENGTH: `The message cannot be longer than ${Math.pow(27, MESSAGE_LENGTH_TRYTES)} trytes.`,
+    INVALID_LENGTH: `The message cannot be longer than ${MAX_CHUNKS * CHUNK_LENGTH} trytes.`,
     INVALID_HEIGHT: "Merkle tree height must be between 1 and 26.",
     INVALID_SECURITY_LEVEL: "Key security must be between 1 and 4.",
     INVALID_INDEX: "Index is either negative or to big for amount of provided authentication hashes.",
     WRONG_INDEX: "Message has different index than requested. Please check channel root.",
     WRONG_HEIGHT: "Message has different merkle tree height than requested. Please check channel root.",
     WRONG_SECURITY: "Message has different key security than requested. Please check channel root.",
-    SHORT_MESSAGE: "The message is to short. Either hashes for authenticaton path or signature parts are missing."
+    UNSUPPORTED_VERSION: version => `Version ${version} of the message header is not supported.`,
+    INVALID_METADATA_LENGTH: `The metadata cannot be longer than ${Math.pow(27, METADATA_LENGTH_TRYTES) - 1} trytes.`,
+    SHORT_MESSAGE: "The message is to short. Either hashes for authenticaton path or signature parts are missing.",
+    WRONG_PASSWORD: "The message can't be authenticated. Either the password is wrong or the message was altered.",
+    INVALID_NONCE: 'The nonce has to consist of 81 trytes.',
+    INVALID_CONTENT_KEY: 'The content key has to consist of 81 trytes.',
+    INVALID_RECIPIENTS: `A message can have between 1 and ${MAX_RECIPIENTS} recipients.`,
+    NOT_A_RECIPIENT: "None of the envelopes of the message can be opened with the password."
 }
 
 function intToPaddedTrytes(value, length) {
@@ -34,11 +79,26 @@ function intToPaddedTrytes(value, length) {
     return trytes
 }
 
+function getPrefixLength(version) {
+    return version == 0 ? PREFIX_LENGTH 
+        : PREFIX_LENGTH + SECURITY_TRYTES + HEADER_FIELDS.slice(0, version).reduce((a, b) => a + b, 0)
+}
+
 function createTransfers(merkleRoot, message, sig, index, 
-    verifyingKey, authPathHashes, {tag, channelPassword, nextRoot, messagePassword} = {}) {
-    if (message.length > Math.pow(27, MESSAGE_LENGTH_TRYTES)) {
+    verifyingKey, authPathHashes, {tag, channelPassword, nextRoot, messagePassword, codec = 'trytes', 
+        compression = 'none', metadata, authenticated = false, nonce, recipients, contentKey} = {}) {
+    const codecId = getCodec(codec).id
+    const compressionId = getCompression(compression).id
+    // the message is signed uncompressed, so only the transported trytes are compressed
+    const content = compressionId != 0 ? compress(message, codec, compression) : message
+    const chunks = content.length < Math.pow(27, MESSAGE_LENGTH_TRYTES) ? [] : splitChunks(content)
+    if (chunks.length > MAX_CHUNKS) {
         throw new Error(Errors.INVALID_LENGTH)
     }
+    const body = chunks.length > 0 ? chunks.map(hashChunk).join('') : content
+    if (metadata != undefined && metadata.length >= Math.pow(27, METADATA_LENGTH_TRYTES)) {
+        throw new Error(Errors.INVALID_METADATA_LENGTH)
+    }
     let indexTrytes = intToPaddedTrytes(index, INDEX_TRYTES)
     
     const security = converter.trytes(merkleRoot).length / 81
@@ -48,7 +108,7 @@ function createTransfers(merkleRoot, message, sig, index,
     const nextRootSec = nextRoot ? converter.trytes(nextRoot).length / 81 : 0
     const securityTryte = alphabet.charAt(nextRootSec * 4 + security - 1)
 
-    let lengthTrytes = intToPaddedTrytes(message.length, MESSAGE_LENGTH_TRYTES)
+    let lengthTrytes = intToPaddedTrytes(body.length, MESSAGE_LENGTH_TRYTES)
 
     const indexTrits = converter.trits(intToTrytes(index))
     const address = getAddress(merkleRoot, channelPassword, indexTrits)
@@ -63,13 +123,44 @@ function createTransfers(merkleRoot, message, sig, index,
     }
     const heightTryte = intToPaddedTrytes(height, HEIGHT_TRYTES)
 
+    // the lowest sufficient version is used, so that messages can be read by as many versions of RAAM as possible
+    const fields = [codecId, compressionId, chunks.length, metadata != undefined ? metadata.length : 0]
+    let version = fields.length
+    while (version > 0 && fields[version - 1] == 0) {
+        version--
+    }
+    let header = indexTrytes + securityTryte + heightTryte + lengthTrytes
+    if (version > 0) {
+        header = indexTrytes + alphabet.charAt(EXTENDED_HEADER + version - 1) + securityTryte + heightTryte + lengthTrytes
+            + fields.slice(0, version).map((value, i) => intToPaddedTrytes(value, HEADER_FIELDS[i])).join('')
+    }
+
     const hashes = converter.trytes(concat(verifyingKey, concat(...authPathHashes)))
-    let payload = indexTrytes + securityTryte + heightTryte + lengthTrytes + message + hashes
+    let payload = header + body + (metadata || '') + hashes
     if (nextRoot) {
         payload += converter.trytes(nextRoot)
     }
     
-    const messageFragment = encrypt(padTrytesMultipleOf(MESSAGE_FRAGMENT_TRYTES, MESSAGE_FRAGMENT_TRYTES, payload), key)
+    if (nonce != undefined && (nonce.length != NONCE_TRYTES || !/^[9A-Z]*$/.test(nonce))) {
+        throw new Error(Errors.INVALID_NONCE)
+    }
+    if (contentKey != undefined && (contentKey.length != CONTENT_KEY_TRYTES || !/^[9A-Z]*$/.test(contentKey))) {
+        throw new Error(Errors.INVALID_CONTENT_KEY)
+    }
+    // every recipient can open the envelope with the key the message would be encrypted with for its password
+    let payloadKey = key, envelopes = ''
+    if (recipients != undefined) {
+        if (recipients.length < 1 || recipients.length > MAX_RECIPIENTS) {
+            throw new Error(Errors.INVALID_RECIPIENTS)
+        }
+        payloadKey = contentKey || randomTrytes(CONTENT_KEY_TRYTES)
+        envelopes = recipients.map(password => getKey(merkleRoot, channelPassword, indexTrits, password))
+            .map(recipientKey => {
+                const wrapped = encrypt(payloadKey, recipientKey, nonce)
+                return wrapped + authenticate(wrapped, recipientKey)
+            }).join('')
+    }
+    const messageFragment = sealPayload(payload, payloadKey, {nonce, authenticated, envelopes})
     const transfers = []
     for (let i = 0; i < Math.ceil(messageFragment.length / MESSAGE_FRAGMENT_TRYTES); i++) {
         transfers.push({
@@ -91,6 +182,7 @@ function createTransfers(merkleRoot, message, sig, index,
 
     return {
         transfers,
+        chunks: chunks.map((chunk, i) => createChunkTransfers(chunk, i + 1, address, payloadKey, tag, nonce)),
         message: {
             index,
             height, 
@@ -99,22 +191,141 @@ function createTransfers(merkleRoot, message, sig, index,
             signature: sig,
             verifyingKey,
             authPathHashes,
-            nextRoot
+            nextRoot,
+            codec,
+            compression,
+            metadata,
+            authenticated,
+            nonce,
+            recipients
+        }
+    }
+}
+
+// the payload is padded, so that the preamble and the ciphertext fill whole transactions
+function sealPayload(payload, key, {nonce, authenticated, envelopes}) {
+    let preamble = nonce ? NONCE_MARKER + nonce : ''
+    if (envelopes) {
+        preamble += ENVELOPES_MARKER + intToPaddedTrytes(envelopes.length / ENVELOPE_TRYTES, ENVELOPE_COUNT_TRYTES) 
+            + envelopes
+    }
+    const preambleLength = preamble.length + (authenticated ? AUTHENTICATED_PREFIX_LENGTH : 0)
+    const payloadTransactions = Math.ceil((preambleLength + payload.length) / MESSAGE_FRAGMENT_TRYTES)
+    const cipher = encrypt(payload.padEnd(payloadTransactions * MESSAGE_FRAGMENT_TRYTES - preambleLength, '9'), key, nonce)
+    if (authenticated) {
+        const countTrytes = intToPaddedTrytes(payloadTransactions, PAYLOAD_TRANSACTIONS_TRYTES)
+        preamble += AUTHENTICATED_MARKER + countTrytes 
+            + authenticate((nonce || '') + (envelopes || '') + countTrytes + cipher, key)
+    }
+    return preamble + cipher
+}
+
+// the envelope and the tag are checked before anything of the payload is parsed
+function openPreamble(fragments, key) {
+    let start = 0, nonce, envelopes = ''
+    if (fragments.startsWith(NONCE_MARKER)) {
+        start += NONCE_MARKER.length
+        nonce = fragments.slice(start, start + NONCE_TRYTES)
+        start += NONCE_TRYTES
+    }
+    if (fragments.startsWith(ENVELOPES_MARKER, start)) {
+        start += ENVELOPES_MARKER.length
+        const count = trytesToInt(fragments.slice(start, start + ENVELOPE_COUNT_TRYTES))
+        start += ENVELOPE_COUNT_TRYTES
+        envelopes = fragments.slice(start, start + count * ENVELOPE_TRYTES)
+        start += count * ENVELOPE_TRYTES
+        const recipientKey = key
+        key = undefined
+        for (let i = 0; i < envelopes.length && key == undefined; i += ENVELOPE_TRYTES) {
+            const wrapped = envelopes.slice(i, i + CONTENT_KEY_TRYTES)
+            if (authenticate(wrapped, recipientKey) == envelopes.slice(i + CONTENT_KEY_TRYTES, i + ENVELOPE_TRYTES)) {
+                key = decrypt(wrapped, recipientKey, nonce)
+            }
+        }
+        if (key == undefined) {
+            throw new Error(Errors.NOT_A_RECIPIENT)
         }
     }
+    if (!fragments.startsWith(AUTHENTICATED_MARKER, start)) {
+        return {nonce, key, length: start}
+    }
+    start += AUTHENTICATED_MARKER.length
+    const countTrytes = fragments.slice(start, start + PAYLOAD_TRANSACTIONS_TRYTES)
+    start += PAYLOAD_TRANSACTIONS_TRYTES
+    const payloadTransactions = trytesToInt(countTrytes)
+    if (payloadTransactions < 1 || payloadTransactions * MESSAGE_FRAGMENT_TRYTES > fragments.length) {
+        throw new Error(Errors.SHORT_MESSAGE)
+    }
+    const tag = fragments.slice(start, start + TAG_TRYTES)
+    start += TAG_TRYTES
+    if (payloadTransactions * MESSAGE_FRAGMENT_TRYTES <= start) {
+        throw new Error(Errors.SHORT_MESSAGE)
+    }
+    const cipher = fragments.slice(start, payloadTransactions * MESSAGE_FRAGMENT_TRYTES)
+    if (authenticate((nonce || '') + envelopes + countTrytes + cipher, key) != tag) {
+        throw new Error(Errors.WRONG_PASSWORD)
+    }
+    return {nonce, key, length: start, payloadTransactions, decrypted: decrypt(cipher, key, nonce)}
+}
+
+// every chunk is prefixed with its length, since chunks are padded to full transactions
+function splitChunks(content) {
+    const chunks = []
+    for (let i = 0; i < content.length; i += CHUNK_LENGTH) {
+        const chunk = content.slice(i, i + CHUNK_LENGTH)
+        chunks.push(intToPaddedTrytes(chunk.length, MESSAGE_LENGTH_TRYTES) + chunk)
+    }
+    return chunks
+}
+
+function hashChunk(chunk) {
+    return hashTrytes(padTrytesMultipleOf(HASH_TRYTES, HASH_TRYTES, chunk))
+}
+
+function getChunkAddress(address, number) {
+    return hashTrytes(address + intToPaddedTrytes(number, HASH_TRYTES))
+}
+
+// the number of the chunk and the nonce of the message salt the encryption, so that no key stream is used twice
+function getChunkSalt(number, nonce) {
+    return nonce ? hashTrytes(nonce + intToPaddedTrytes(number, HASH_TRYTES)) : intToTrytes(number)
+}
+
+function createChunkTransfers(chunk, number, address, key, tag, nonce) {
+    const chunkAddress = getChunkAddress(address, number)
+    const fragment = encrypt(padTrytesMultipleOf(MESSAGE_FRAGMENT_TRYTES, MESSAGE_FRAGMENT_TRYTES, chunk), 
+        key, getChunkSalt(number, nonce))
+    const transfers = []
+    for (let i = 0; i < fragment.length / MESSAGE_FRAGMENT_TRYTES; i++) {
+        transfers.push({
+            address: chunkAddress,
+            value: 0,
+            message: fragment.slice(i * MESSAGE_FRAGMENT_TRYTES, (i + 1) * MESSAGE_FRAGMENT_TRYTES),
+            tag
+        })
+    }
+    return transfers
 }
 
 async function sendMessage(iota, merkleRoot, message, sig, index, verifyingKey, authPathHashes, 
-        {tag = 'RAAM', depth = 3, mwm = 14, channelPassword, nextRoot, messagePassword} = {}) {
-    const {transfers, message: raamMessage} = createTransfers(merkleRoot, message, sig, index, 
-        verifyingKey, authPathHashes, {tag, channelPassword, nextRoot, messagePassword})
-    return await sendTransfers(iota, transfers, {message: raamMessage, depth, mwm})
+        {tag = 'RAAM', depth = 3, mwm = 14, channelPassword, nextRoot, messagePassword, codec, compression, metadata, 
+            authenticated, nonce, recipients, contentKey} = {}) {
+    const {transfers, chunks, message: raamMessage} = createTransfers(merkleRoot, message, sig, index, verifyingKey, 
+        authPathHashes, {tag, channelPassword, nextRoot, messagePassword, codec, compression, metadata, authenticated, 
+            nonce, recipients, contentKey})
+    return await sendTransfers(iota, transfers, {message: raamMessage, chunks, depth, mwm})
 }
 
-async function sendTransfers(iota, transfers, {message, depth = 3, mwm = 14} = {}) {
+// chunks are attached first, so that the message is complete as soon as its bundle at the index address is found
+async function sendTransfers(iota, transfers, {message, chunks = [], depth = 3, mwm = 14, reference} = {}) {
+    const backend = getBackend(iota)
+    const chunkBundles = []
+    for (let chunk of chunks) {
+        chunkBundles.push(await backend.attachTrytes(await prepareTransfers("9".repeat(81), chunk), {depth, mwm}))
+    }
     const trytes = await prepareTransfers("9".repeat(81), transfers)
-    const bundle = await iota.sendTrytes(trytes, depth, mwm)
-    return {bundle, message} 
+    const bundle = await backend.attachTrytes(trytes, {depth, mwm, reference})
+    return {bundle, chunks: chunkBundles, message} 
 }
 
 function getKey(merkleRoot, channelPassword, indexTrits, messagePassword) {
@@ -163,20 +374,82 @@ function publicPassword(channelRoot, index) {
     return converter.trytes(add(converter.trits(address), addTrits))
 }
 
+async function getMessages(iota, merkleRoot, requests, {channelPassword, height, security}) {
+    const targets = requests.map(({index, messagePassword}) => {
+        const indexTrits = converter.trits(intToTrytes(index))
+        return {
+            index,
+            address: getAddress(merkleRoot, channelPassword, indexTrits),
+            key: getKey(merkleRoot, channelPassword, indexTrits, messagePassword)
+        }
+    })
+    const response = await getBackend(iota).fetchTransactions(targets.map(({address}) => address))
+    const results = targets.map(({index, address, key}) => 
+        readMessage(response.filter(tx => tx.address == address), key, {index, height, security}))
+    await fetchChunks(iota, targets.map(({address, key}, i) => ({address, key, message: results[i].message})))
+    return results
+}
+
 async function fetchMessage(iota, address, key, {index, height, security}) {
-    const hashes = await iota.findTransactions({
-        addresses: [address]
+    const response = await getBackend(iota).fetchTransactions([address])
+    const result = readMessage(response, key, {index, height, security})
+    await fetchChunks(iota, [{address, key, message: result.message}])
+    return result
+}
+
+// completes the messages split into chunks. If a chunk is missing, the message stays undefined.
+async function fetchChunks(iota, targets) {
+    const chunked = targets.filter(({message}) => message && message.chunkHashes)
+    if (chunked.length == 0) {
+        return
+    }
+    const addresses = chunked.map(({address, message}) => 
+        message.chunkHashes.map((hash, i) => getChunkAddress(address, i + 1)))
+    const response = await getBackend(iota).fetchTransactions([].concat(...addresses))
+    chunked.forEach(({key, message}, i) => {
+        const chunkKey = message.contentKey || key
+        const chunks = message.chunkHashes.map((hash, j) => readChunk(response.filter(tx => tx.address == addresses[i][j]), 
+            chunkKey, getChunkSalt(j + 1, message.nonce), hash))
+        if (chunks.some(chunk => chunk == undefined)) {
+            return
+        }
+        try {
+            const content = chunks.join('')
+            message.message = message.compression != 'none' 
+                ? decompress(content, message.codec, message.compression) : content
+        } catch (e) {
+            message.message = undefined
+        }
     })
-    const response = await iota.getTransactionObjects(hashes)
-        
-    let bundles = response.reduce((acc, v) => {
-        if (Object.keys(acc).includes(v.bundle)) {
-            acc[v.bundle].push(v)
-        } else {
-            acc[v.bundle] = [v]
+}
+
+// reattachments of a bundle share its hash, so only the first transaction found at each position is kept
+function groupBundles(response) {
+    return response.reduce((acc, v) => {
+        const txs = acc[v.bundle] || (acc[v.bundle] = [])
+        if (!txs.some(tx => tx.currentIndex == v.currentIndex)) {
+            txs.push(v)
         }
         return acc
     }, {})
+}
+
+// there can be several bundles at the address of a chunk, but only one matches the hash
+function readChunk(response, key, salt, hash) {
+    const bundles = groupBundles(response)
+    for (let txs of Object.values(bundles)) {
+        txs.sort((a, b) => a.currentIndex - b.currentIndex)
+        const decrypted = decrypt(txs.map(tx => tx.signatureMessageFragment).join(''), key, salt)
+        const length = trytesToInt(decrypted.slice(0, MESSAGE_LENGTH_TRYTES))
+        const chunk = decrypted.slice(0, MESSAGE_LENGTH_TRYTES + length)
+        if (length <= CHUNK_LENGTH && hashChunk(chunk) == hash) {
+            return chunk.slice(MESSAGE_LENGTH_TRYTES)
+        }
+    }
+}
+
+function readMessage(response, key, {index, height, security}) {
+    let bundles = groupBundles(response)
 
     bundles = Object.keys(bundles).map(k => bundles[k]).filter(txs => txs.length >= 2)
     bundles.sort((a, b) => a[0].timestamp - b[0].timestamp)
@@ -197,6 +470,16 @@ async function fetchMessage(iota, address, key, {index, height, security}) {
     return result
 }
 
+// the signature fills the last transactions of a complete bundle, one for every level of security
+function readSignatures(response, security) {
+    return Object.values(groupBundles(response))
+        .filter(txs => txs.length > security && txs.length == txs[0].lastIndex + 1)
+        .map(txs => {
+            txs.sort((a, b) => a.currentIndex - b.currentIndex)
+            return concat(...txs.slice(-security).map(tx => converter.trits(tx.signatureMessageFragment)))
+        })
+}
+
 function processBundle(txs, key, {index, height, security} = {}) {
     if (txs.length < 2) {
         throw new Error(Errors.SHORT_MESSAGE)
@@ -206,8 +489,20 @@ function processBundle(txs, key, {index, height, security} = {}) {
         authPathHashes: []
     }
 
+    // authenticated messages are decrypted completely, others by the first fragment, which contains the header.
+    // Messages for several recipients are decrypted by the content key in the envelope of the recipient.
+    const fragments = txs.map(tx => tx.signatureMessageFragment).join('')
+    const preamble = openPreamble(fragments, key)
+    const {nonce} = preamble
+    result.authenticated = preamble.decrypted != undefined
+    result.nonce = nonce
+    if (preamble.key != key) {
+        result.contentKey = preamble.key
+    }
+
     // extract length and meta data
-    const firstDecrypted = decrypt(txs[0].signatureMessageFragment, key)
+    const firstDecrypted = result.authenticated ? preamble.decrypted 
+        : decrypt(fragments.slice(preamble.length, preamble.length + MESSAGE_FRAGMENT_TRYTES), preamble.key, nonce)
     let start = 0
     result.index = trytesToInt(firstDecrypted.slice(start, INDEX_TRYTES))
     start += INDEX_TRYTES
@@ -215,7 +510,17 @@ function processBundle(txs, key, {index, height, security} = {}) {
         throw new Error(Errors.WRONG_INDEX)
     }
     // this tryte contains the security of the keys and of the nextRoot iff set
-    const secTryteIndex = alphabet.indexOf(firstDecrypted.slice(start, start + SECURITY_TRYTES))
+    let secTryteIndex = alphabet.indexOf(firstDecrypted.slice(start, start + SECURITY_TRYTES))
+    result.version = 0
+    if (secTryteIndex >= EXTENDED_HEADER) {
+        result.version = secTryteIndex - EXTENDED_HEADER + 1
+        if (result.version > HEADER_VERSION) {
+            throw new Error(Errors.UNSUPPORTED_VERSION(result.version))
+        }
+        start += SECURITY_TRYTES
+        secTryteIndex = alphabet.indexOf(firstDecrypted.slice(start, start + SECURITY_TRYTES))
+    }
+    const prefixLength = getPrefixLength(result.version)
     result.security = secTryteIndex % 4 + 1
     const nextRootLength = Math.floor(secTryteIndex / 4) * 81
     start += SECURITY_TRYTES
@@ -229,31 +534,66 @@ function processBundle(txs, key, {index, height, security} = {}) {
         throw new Error(Errors.WRONG_HEIGHT)
     }
     const messageLength = trytesToInt(firstDecrypted.slice(start, start + MESSAGE_LENGTH_TRYTES))
+    start += MESSAGE_LENGTH_TRYTES
+    // fields of later versions than the one of the message are zero
+    const fields = HEADER_FIELDS.map((length, i) => {
+        if (i >= result.version) {
+            return 0
+        }
+        const value = trytesToInt(firstDecrypted.slice(start, start + length))
+        start += length
+        return value
+    })
+    const [codecId, compressionId, chunkCount, metadataLength] = fields
+    result.codec = getCodecName(codecId)
+    result.compression = getCompressionName(compressionId)
+    if (chunkCount * HASH_TRYTES > messageLength) {
+        throw new Error(Errors.SHORT_MESSAGE)
+    }
     const hashLength = result.security * 81
-    // payloadLength = messageLength + #height auth path hashes + verifying key + nextRoot
-    const payloadLength = messageLength + (result.height + 1) * hashLength + nextRootLength
+    // payloadLength = messageLength + metadata + #height auth path hashes + verifying key + nextRoot
+    const bodyLength = messageLength + metadataLength
+    const payloadLength = bodyLength + (result.height + 1) * hashLength + nextRootLength
     
     // it's possible to say amount of payload transactions = txs.length - security
     // but this way you can't check if signature transactions are missing
-    let payloadTransactions = Math.ceil(payloadLength / MESSAGE_FRAGMENT_TRYTES)
+    let payloadTransactions = Math.ceil((preamble.length + prefixLength + payloadLength) / MESSAGE_FRAGMENT_TRYTES)
+    if (result.authenticated) {
+        if (preamble.decrypted.length < prefixLength + payloadLength) {
+            throw new Error(Errors.SHORT_MESSAGE)
+        }
+        payloadTransactions = preamble.payloadTransactions
+    }
     if (security && txs.length - payloadTransactions < security) {
         throw new Error(Errors.SHORT_MESSAGE)
     }
 
     // extract payload
-    let cipher = txs[0].signatureMessageFragment
-    let remainingLength = payloadLength - (MESSAGE_FRAGMENT_TRYTES - PREFIX_LENGTH)
-    for (let i = 1; i < payloadTransactions; i++) {
-        cipher = cipher.concat(txs[i].signatureMessageFragment.slice(0, remainingLength))
-        remainingLength -= MESSAGE_FRAGMENT_TRYTES
+    let decrypted
+    if (result.authenticated) {
+        decrypted = preamble.decrypted.slice(prefixLength)
+    } else {
+        const cipher = fragments.slice(preamble.length, preamble.length + prefixLength + payloadLength)
+        decrypted = decrypt(cipher, preamble.key, nonce).slice(prefixLength)
     }
-
-    const decrypted = decrypt(cipher, key).slice(PREFIX_LENGTH)
     result.message = decrypted.slice(0, messageLength)
+    if (chunkCount > 0) {
+        // the message is set when the chunks are fetched
+        result.chunkHashes = []
+        for (let i = 0; i < chunkCount; i++) {
+            result.chunkHashes.push(result.message.slice(i * HASH_TRYTES, (i + 1) * HASH_TRYTES))
+        }
+        result.message = undefined
+    } else if (result.compression != 'none') {
+        result.message = decompress(result.message, result.codec, result.compression)
+    }
+    if (metadataLength > 0) {
+        result.metadata = decrypted.slice(messageLength, bodyLength)
+    }
 
     // extract hashes
-    const startHashes = messageLength + hashLength
-    result.verifyingKey = converter.trits(decrypted.slice(messageLength, startHashes))
+    const startHashes = bodyLength + hashLength
+    result.verifyingKey = converter.trits(decrypted.slice(bodyLength, startHashes))
 
     const authHashesLength = result.height * hashLength
     const endHashes = startHashes + authHashesLength
@@ -284,10 +624,16 @@ module.exports = {
     createTransfers,
     sendTransfers,
     sendMessage,
+    readSignatures,
     getMessage,
+    getMessages,
     getPublicMessage,
     getAddress,
+    getChunkAddress,
     processBundle,
+    fetchChunks,
     getKey,
-    publicPassword
+    publicPassword,
+    MESSAGE_FRAGMENT_TRYTES,
+    HASH_TRYTES
 }
\ No newline at end of file
@@ -0,0 +1,86 @@
+const converter = require("@iota/converter")
+const valid = require("@iota/validators")
+const {MESSAGE_FRAGMENT_TRYTES, HASH_TRYTES} = require('./message')
+
+// a package holds signed messages as the transfers of their bundles, so that they can be published by a machine
+// without access to the signing keys. Plaintexts and passwords are left out, only the encrypted transfers are kept.
+const FORMAT = 'raam-package'
+const VERSION = 1
+
+const Errors = {
+    INVALID_PACKAGE: 'The package is malformed.',
+    UNSUPPORTED_VERSION: version => `Version ${version} of the package format isn't supported.`,
+    NO_MESSAGES: 'A package has to contain at least one message.'
+}
+
+function exportTransfers(transfers) {
+    return transfers.map(({address, value, message, tag}) => ({address, value, message, tag}))
+}
+
+function importTransfers(transfers) {
+    if (!Array.isArray(transfers) || transfers.length == 0) {
+        throw new Error(Errors.INVALID_PACKAGE)
+    }
+    return transfers.map(transfer => {
+        const {address, value, message, tag} = transfer || {}
+        if (!valid.isTrytesOfExactLength(address, HASH_TRYTES) || value !== 0 
+            || !valid.isTrytesOfMaxLength(message, MESSAGE_FRAGMENT_TRYTES) || !valid.isTag(tag)) {
+            throw new Error(Errors.INVALID_PACKAGE)
+        }
+        return {address, value, message, tag}
+    })
+}
+
+function createPackage(channelRoot, messageTransfers) {
+    if (messageTransfers.length == 0) {
+        throw new Error(Errors.NO_MESSAGES)
+    }
+    return JSON.stringify({
+        format: FORMAT,
+        version: VERSION,
+        channelRoot: converter.trytes(channelRoot),
+        messages: messageTransfers.map(({transfers, chunks = [], message}) => ({
+            index: message.index,
+            transfers: exportTransfers(transfers),
+            chunks: chunks.map(exportTransfers)
+        }))
+    })
+}
+
+function parsePackage(data) {
+    let parsed
+    try {
+        parsed = JSON.parse(String(data))
+    } catch (e) {
+        throw new Error(Errors.INVALID_PACKAGE)
+    }
+    if (!parsed || parsed.format != FORMAT) {
+        throw new Error(Errors.INVALID_PACKAGE)
+    }
+    if (parsed.version != VERSION) {
+        throw new Error(Errors.UNSUPPORTED_VERSION(parsed.version))
+    }
+    const {channelRoot, messages} = parsed
+    if (!valid.isTrytes(channelRoot) || channelRoot.length % HASH_TRYTES != 0 || channelRoot.length > 4 * HASH_TRYTES
+        || !Array.isArray(messages)) {
+        throw new Error(Errors.INVALID_PACKAGE)
+    }
+    if (messages.length == 0) {
+        throw new Error(Errors.NO_MESSAGES)
+    }
+    return {
+        channelRoot: converter.trits(channelRoot),
+        messages: messages.map(entry => {
+            const {index, transfers, chunks} = entry || {}
+            if (!Number.isInteger(index) || index < 0 || !Array.isArray(chunks)) {
+                throw new Error(Errors.INVALID_PACKAGE)
+            }
+            return {index, transfers: importTransfers(transfers), chunks: chunks.map(importTransfers)}
+        })
+    }
+}
+
+module.exports = {
+    createPackage,
+    parsePackage
+}
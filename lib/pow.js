@@ -0,0 +1,155 @@
+const Curl = require('@iota/curl').default
+const converter = require('@iota/converter')
+const {asTransactionObject} = require('@iota/transaction-converter')
+
+const HASH_LENGTH = 243
+const STATE_LENGTH = 3 * HASH_LENGTH
+const TRANSACTION_TRITS = 8019
+const NONCE_TRITS = 81
+const NONCE_OFFSET = HASH_LENGTH - NONCE_TRITS
+// the first trits of the nonce differ between the lanes, the following are incremented for all lanes at once
+const LANE_TRITS = 4
+const LANES = 32
+const HIGH = -1
+const LOW = 0
+
+const TRUNK_START = 2430
+const BRANCH_START = 2511
+const ATTACHMENT_START = 2619
+const NONCE_START = 2646
+const MAX_TIMESTAMP = (Math.pow(3, 27) - 1) / 2
+
+const Errors = {
+    INVALID_MWM: 'The min weight magnitude has to be an integer between 1 and 243.',
+    INVALID_NONCE: "The nonce found by the POW provider doesn't satisfy the min weight magnitude.",
+    NONCE_NOT_FOUND: 'No nonce satisfying the min weight magnitude was found.'
+}
+
+// a trit is held as a pair of bits, so that 32 nonces are searched in parallel: -1 is (1, 0), 0 is (1, 1), 1 is (0, 1)
+function toLanes(state) {
+    const low = new Int32Array(STATE_LENGTH)
+    const high = new Int32Array(STATE_LENGTH)
+    for (let i = 0; i < STATE_LENGTH; i++) {
+        low[i] = state[i] == 1 ? LOW : HIGH
+        high[i] = state[i] == -1 ? LOW : HIGH
+    }
+    for (let lane = 0; lane < LANES; lane++) {
+        let value = lane
+        for (let i = NONCE_OFFSET; i < NONCE_OFFSET + LANE_TRITS; i++) {
+            const trit = value % 3 == 2 ? -1 : value % 3
+            value = Math.floor(value / 3)
+            low[i] = trit == 1 ? low[i] & ~(1 << lane) : low[i] | (1 << lane)
+            high[i] = trit == -1 ? high[i] & ~(1 << lane) : high[i] | (1 << lane)
+        }
+    }
+    return {low, high}
+}
+
+function increment(low, high) {
+    for (let i = NONCE_OFFSET + LANE_TRITS; i < HASH_LENGTH; i++) {
+        if (low[i] == LOW) {
+            low[i] = HIGH
+            high[i] = LOW
+        } else if (high[i] == LOW) {
+            high[i] = HIGH
+            return true
+        } else {
+            low[i] = LOW
+            return true
+        }
+    }
+    return false
+}
+
+function transform(low, high, scratchLow, scratchHigh) {
+    let index = 0
+    for (let round = 0; round < 81; round++) {
+        scratchLow.set(low)
+        scratchHigh.set(high)
+        for (let i = 0; i < STATE_LENGTH; i++) {
+            const alpha = scratchLow[index]
+            const beta = scratchHigh[index]
+            index += index < 365 ? 364 : -365
+            const gamma = scratchHigh[index]
+            const delta = (alpha | ~gamma) & (scratchLow[index] ^ beta)
+            low[i] = ~delta
+            high[i] = (alpha ^ gamma) | delta
+        }
+    }
+}
+
+// searches a nonce, so that the hash of the transaction ends with mwm zero trits
+function searchNonce(trits, mwm) {
+    const curl = new Curl()
+    curl.initialize()
+    curl.absorb(trits, 0, TRANSACTION_TRITS - HASH_LENGTH)
+    curl.state.set(trits.slice(TRANSACTION_TRITS - HASH_LENGTH), 0)
+    const {low, high} = toLanes(curl.state)
+    const stateLow = new Int32Array(STATE_LENGTH)
+    const stateHigh = new Int32Array(STATE_LENGTH)
+    const scratchLow = new Int32Array(STATE_LENGTH)
+    const scratchHigh = new Int32Array(STATE_LENGTH)
+    do {
+        stateLow.set(low)
+        stateHigh.set(high)
+        transform(stateLow, stateHigh, scratchLow, scratchHigh)
+        let found = HIGH
+        for (let i = HASH_LENGTH - mwm; i < HASH_LENGTH; i++) {
+            found &= ~(stateLow[i] ^ stateHigh[i])
+        }
+        if (found != 0) {
+            const lane = Math.clz32(1) - Math.clz32(found & -found)
+            const nonce = new Int8Array(NONCE_TRITS)
+            for (let i = 0; i < NONCE_TRITS; i++) {
+                const l = (low[NONCE_OFFSET + i] >>> lane) & 1
+                const h = (high[NONCE_OFFSET + i] >>> lane) & 1
+                nonce[i] = l == 0 ? 1 : h == 0 ? -1 : 0
+            }
+            return nonce
+        }
+    } while (increment(low, high))
+    throw new Error(Errors.NONCE_NOT_FOUND)
+}
+
+async function localPow(trytes, mwm) {
+    return converter.trytes(searchNonce(converter.trits(trytes), mwm))
+}
+
+function valueTrytes(value, length) {
+    const trits = new Int8Array(length * 3)
+    trits.set(converter.trits(value))
+    return converter.trytes(trits)
+}
+
+// chains the transactions of a bundle like the attachToTangle command of a node, but does the POW with the provider
+async function attachToTangle(trunkTransaction, branchTransaction, mwm, trytes, pow) {
+    if (!Number.isInteger(mwm) || mwm < 1 || mwm > HASH_LENGTH) {
+        throw new Error(Errors.INVALID_MWM)
+    }
+    const attached = []
+    let previous
+    for (let transaction of trytes) {
+        const unfinished = transaction.slice(0, TRUNK_START)
+            .concat(previous || trunkTransaction)
+            .concat(previous ? trunkTransaction : branchTransaction)
+            .concat(transaction.slice(BRANCH_START + 81, ATTACHMENT_START))
+            .concat(valueTrytes(Date.now(), 9))
+            .concat(valueTrytes(0, 9))
+            .concat(valueTrytes(MAX_TIMESTAMP, 9))
+            .concat('9'.repeat(27))
+        const nonce = await pow(unfinished, mwm)
+        const finished = unfinished.slice(0, NONCE_START).concat(nonce)
+        const {hash} = asTransactionObject(finished)
+        if (converter.trits(hash).slice(-mwm).some(trit => trit != 0)) {
+            throw new Error(Errors.INVALID_NONCE)
+        }
+        previous = hash
+        attached.push(finished)
+    }
+    return attached
+}
+
+module.exports = {
+    localPow,
+    attachToTangle
+}
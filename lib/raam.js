@@ -1,3 +1,4 @@
+const fs = require("fs")
 const converter =  require("@iota/converter")
 const valid = require("@iota/validators")
 const add = require('@iota/signing').add
@@ -5,17 +6,45 @@ const merkle = require('./merkle')
 const sign = require('./sign')
 const sender = require('./message')
 const file = require('./file')
-const {digest} = require('./helpers')
+const binaryFile = require('./binaryFile')
+const ledgers = require('./ledger')
+const backends = require('./backend')
+const codecs = require('./codec')
+const readKeys = require('./readKeys')
+const pkg = require('./package')
+const pow = require('./pow')
+const trackers = require('./tracker')
+const {digest, hashTrytes, padTrytesMultipleOf, intToTrytes, randomTrytes} = require('./helpers')
 const RAAMReader = require('./raamReader')
 
 const Errors = {
     INCOMPLETE_TREE: "Tree is in an incomplete state. Channel root can't be derived.",
     INDEX_USED: "A message with this index was already published.",
+    KEY_USED: "The signing key of this index was already used for another message.",
+    INDEX_OCCUPIED: "A message signed for this index was already found on the tangle.",
     INVALID_MESSAGE: "Message to be published has to be in trytes format.",
     INVALID_INDEX: top => `Index must be between 0 and ${top}.`,
-    PUBLIC_NOT_ALLOWED: 'Messages can not be made public if channel password is set'
+    PUBLIC_NOT_ALLOWED: 'Messages can not be made public if channel password is set',
+    BINARY_ENCRYPTION: 'Binary key files can not be encrypted.',
+    INVALID_METADATA: 'Metadata has to be an object of key value pairs.',
+    INVALID_NONCE: 'The nonce has to be a boolean or 81 trytes.',
+    INVALID_RECIPIENTS: 'Recipients have to be a non-empty array of passwords as trytes.',
+    INVALID_CONTENT_KEY: 'The content key has to consist of 81 trytes.',
+    EXTERNAL_SIGNER: 'The signing keys are held by an external signer. Messages have to be signed with signMessageTransfers.',
+    INVALID_SIGNATURE: "The signature returned by the signer doesn't verify.",
+    INVALID_RANGE: top => `The range has to consist of ascending indexes between 0 and ${top}.`,
+    KEYS_NOT_HELD: 'Subtrees can only be exported by channels holding their signing keys in memory or in a key file.',
+    NO_SIGNING_KEY: "The signing key of this index isn't held. It may be outside of the delegated range.",
+    SEED_NEEDED: 'The seed of the channel has to be passed to complete a key file.',
+    HEIGHT_NEEDED: 'The height of the channel has to be passed to complete a key file with the seed.',
+    HIGHER_TREE: height => `The key file contains a merkle tree higher than ${height}.`,
+    RANGE_USED: index => `The signing key of index ${index} was already used or delegated.`,
+    FILE_EXISTS: fileName => `The file ${fileName} already exists.`
 }
 
+// recorded in the ledger instead of the digest of a message, so that delegated indexes aren't signed by the channel
+const DELEGATED = 'DELEGATED'.padEnd(81, '9')
+
 /**
  * @classdesc This class is used to publish messages in a RAAM channel. It also provides the methods of {@link RAAMReader}.
  * 
@@ -32,15 +61,43 @@ class RAAM extends RAAMReader {
      * @param {number} height - A number between 1 and 26 representing the height 
      * of the merkle tree used for this channel.
      * @param {object} [options] - Optional parameters.
-     * @param {API} [options.iota] - A composed IOTA API for communication with a full node providing POW.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for communication with a full node providing POW.
      * @param {Trytes} [options.channelPassword] - The optional password for the channel as trytes.
-     * @throws {Error} if tree is incomplete.
+     * @param {Traversal} [options.traversal] - A merkle tree traversal from which signing keys and authentication
+     * paths are regenerated on demand. If it's passed leafs and hashes are not needed.
+     * @param {KeyFile} [options.keyFile] - An opened binary key file from which signing keys and nodes of the merkle
+     * tree are read on demand. If it's passed leafs and hashes are not needed.
+     * @param {Ledger} [options.ledger] - The ledger recording the indexes of which the signing keys were used. 
+     * Defaults to a ledger held in memory.
+     * @param {boolean} [options.refuseOccupied = false] - whether to check the tangle for a signed message before publishing
+     * a message and to refuse publishing if one is found at the same index.
+     * @param {Trytes} [options.readKey] - A secret of 81 trytes from which a tree of keys over the indexes of the channel
+     * is derived. If it's set, messages are encrypted with the password derived for their index, unless another message
+     * password is passed, and range keys granting access to ranges of indexes can be derived.
+     * @param {Signer} [options.signer] - A signer holding the signing keys outside of this process. If it's passed only 
+     * the nodes of the merkle tree are needed as hashes, but no leafs. Messages are then signed with 
+     * {@link RAAM#signMessageTransfers} or published with {@link RAAM#publish}.
+     * @param {Tracker} [options.tracker] - A tracker, which records the bundles of published messages and promotes or 
+     * reattaches them until they are confirmed. See {@link RAAM.createTracker}.
+     * @throws 
+     * - if tree is incomplete.
+     * - if read key isn't 81 trytes.
      */
-    constructor(leafs, hashes, height, {iota, channelPassword} = {}) {
-        super(channelRootOrThrow(hashes, height), 
-            {iota, channelPassword, security: converter.trytes(hashes[0][0].hash).length / 81, height})
+    constructor(leafs, hashes, height, 
+        {iota, channelPassword, traversal, keyFile, ledger = ledgers.createMemoryLedger(), refuseOccupied = false, 
+            readKey, signer, tracker} = {}) {
+        const channelRoot = traversal ? traversal.root : channelRootOrThrow(hashes, height, keyFile)
+        const rangeKey = readKey != undefined 
+            ? readKeys.createRangeKey(readKey, height, 0, Math.pow(2, height) - 1) : undefined
+        super(channelRoot, {iota, channelPassword, security: channelRoot.length / 243, height, rangeKey})
         this.leafs = leafs
         this.hashes = hashes
+        this.traversal = traversal
+        this.keyFile = keyFile
+        this.ledger = ledger
+        this.refuseOccupied = refuseOccupied
+        this.signer = signer
+        this.tracker = tracker
     }
 
     /**
@@ -61,10 +118,72 @@ class RAAM extends RAAMReader {
      * @property {number} height - The level of the node in the merkle tree.
      */;
 
+    /**
+     * The state of a merkle tree traversal. Only the seed, the current authentication path and a small amount of
+     * nodes needed to compute the following authentication paths are held, so that the memory needed doesn't
+     * grow with the amount of leafs. Indexes can only be signed in ascending order.
+     * @typedef {object} Traversal
+     * @property {Trytes} seed - The seed from which the signing keys are created.
+     * @property {number} height - The height of the merkle tree.
+     * @property {number} security - The security of the signing keys as a number between 1 and 4.
+     * @property {number} offset - The starting index used for building the subroots from which the keys are created.
+     * @property {Int8Array} root - The merkle root as trits.
+     * @property {number} index - The index of the leaf the current authentication path belongs to.
+     */;
+
+    /**
+     * A binary key file opened for reading single leafs and nodes of a merkle tree.
+     * @typedef {object} KeyFile
+     * @property {number} height - The height of the stored merkle tree.
+     * @property {number} security - The security of the stored signing keys.
+     * @property {Function} readLeaf - Reads the leaf with the given index. Returns undefined if it's not stored.
+     * @property {Function} readNode - Reads the node with the given height and index. Returns undefined if it's not stored.
+     * @property {Function} close - Closes the file.
+     */;
+
+    /**
+     * A signer creating the signatures of messages outside of this process, e.g. in a signing daemon or a secure 
+     * element. It's either a function or an object with a method <code>sign</code>, which is called with the index
+     * and the digest of a message as trytes and resolves to the signature created with the signing key of the index, 
+     * as trits or trytes. A signer for a seed is created with {@link RAAM.createSigner}.
+     * @typedef {Function|object} Signer
+     */;
+
+    /**
+     * A tracker recording the bundles of published messages. It polls whether their tails are confirmed, promotes 
+     * bundles which aren't confirmed after a while and reattaches them after a longer while. It's an EventEmitter 
+     * emitting the events <code>confirmed</code>, <code>promoted</code>, <code>reattached</code>, 
+     * <code>abandoned</code> and <code>failed</code>, each with the index of the message. Created by 
+     * {@link RAAM.createTracker}.
+     * @typedef {EventEmitter} Tracker
+     * @property {Function} track - Called with the index of a message, the bundles of the message and its chunks and 
+     * an object <code>{iota, depth, mwm}</code>. Records the bundles until they are confirmed.
+     * @property {Function} check - Checks all recorded bundles once. Resolves after promoting and reattaching them.
+     * @property {Function} getPending - Returns the indexes of the messages which aren't confirmed yet.
+     * @property {Function} start - Resumes polling.
+     * @property {Function} stop - Stops polling until it's resumed. Otherwise polling runs while bundles are recorded.
+     * Polling doesn't keep the process alive. If a check fails as a whole, the error is emitted as <code>error</code> 
+     * to the listeners of this event, iff any, and polling goes on.
+     */;
+
+    /**
+     * A ledger recording the indexes of which the one-time signing keys were used. An index is recorded before
+     * its signature is created. Since the methods are called while creating a message, they have to be synchronous.
+     * @typedef {object} Ledger
+     * @property {Function} consume - Called with the index and a hash of the signed digest. Records the index and 
+     * returns true, if the index isn't recorded yet or was recorded with the same digest. Otherwise returns false. 
+     * Checking and recording has to be atomic.
+     * @property {Function} isConsumed - Returns whether the given index is recorded.
+     * @property {Function} [areConsumed] - Optional. Returns for an array of indexes whether each index is recorded. 
+     * Is used to check a batch of indexes at once.
+     */;
+
     /**
      * An object representing a message as transfers for a iota transaction bundle.
      * @typedef {object} MessageTransfers
      * @property {Array.<Transfer>} transfers - The array of transfers forming the transactions of a IOTA bundle.
+     * @property {Array.<Array.<Transfer>>} chunks - The transfers of the bundles holding the chunks of a message, which
+     * is too long for a single bundle. Empty for other messages.
      * @property {Message} message - The compiled RAAM message with all neccessary information to create its transfers.
      */;
 
@@ -75,7 +194,13 @@ class RAAM extends RAAMReader {
      * @property {number} height - A number between 1 and 26 representing the height 
      * of the merkle tree used for this channel.
      * @property {number} security - The security of the signing and encryption keys as a number between 1 and 4. 
-     * @property {Trytes} message - The message to attach to the channel as trytes.
+     * @property {Trytes} message - The message to attach to the channel encoded as trytes.
+     * @property {string} codec - The name of the codec the message was encoded with.
+     * @property {string} compression - The name of the compression applied to the message before its transport.
+     * @property {Trytes} metadata - The signed metadata of the message encoded as JSON in trytes, iff any.
+     * @property {boolean} authenticated - Whether the encrypted payload is authenticated by a tag.
+     * @property {Trytes} nonce - The nonce salting the encryption of the message, iff any.
+     * @property {Array.<Trytes>} recipients - The passwords of the recipients of the message, iff any.
      * @property {Int8Array} signature - The signature created from the message digest with signing key from the merkle tree.
      * @property {Int8Array} verifyingKey - The key to verify the signature and to verify its membership of the merkle tree.
      * @property {Array.<Int8Array>} authPathHashes - The other merkle tree nodes to rebuild the merkle root.
@@ -87,62 +212,132 @@ class RAAM extends RAAMReader {
      * Compiles the authentication path and a signature using the correct signing key. Converts the encrypted payload
      * of the message into transaction transfers. This message can be decoded by only using its address.
      * 
-     * @param {Trytes} message - The message to attach to the channel as trytes.
+     * @param {Payload} message - The message to attach to the channel. It's encoded by the codec.
      * @param {object} [options] - Optional parameters.
      * @param {number} [options.index = this.cursor] - The index of the message in the channel.
      * @param {Trytes} [options.tag = 'RAAM'] - Tag
      * @param {Int8Array} [options.nextRoot] - The root of another channel, used for branching or when channel is exausted.
+     * @param {string} [options.codec] - The codec encoding the message: 'trytes', 'utf8', 'json' or 'binary'. By default
+     * trytes are encoded with 'trytes', other strings with 'utf8', Buffers with 'binary' and other values with 'json'.
+     * @param {string} [options.compression = 'none'] - The compression of the encoded message: 'none' or 'deflate'. 
+     * Compressed messages can't be read by versions of RAAM without support for compression. Readers decompress at 
+     * most 1 MiB, so larger messages can't be compressed.
+     * @param {object} [options.metadata] - Key value pairs, which are signed and published together with the message, 
+     * like <code>{timestamp: Date.now(), contentType: 'application/json'}</code>.
+     * @param {boolean} [options.authenticated = false] - Whether a tag authenticating the encrypted payload is attached, 
+     * so that readers with a wrong password fail with a distinct error and altered messages are rejected before parsing.
+     * Authenticated messages can't be read by versions of RAAM without support for authentication.
+     * @param {boolean|Trytes} [options.nonce = true] - Whether the encryption is salted by a random nonce, which is 
+     * published in cleartext with the message, so that rebuilding a message never reuses a key stream. 81 trytes are 
+     * used as the nonce instead. Messages with a nonce can't be read by versions of RAAM without support for nonces, 
+     * so messages for them are created with false.
      *
      * @returns {MessageTransfers} 
      * @throws
-     * - if message isn't formatted as trytes.
+     * - if message can't be encoded by the codec, e.g. isn't formatted as trytes for the codec 'trytes'.
+     * - if message is compressed and larger than 1 MiB before compression.
+     * - if metadata isn't an object or is too long.
+     * - if nonce is neither a boolean nor 81 trytes.
      * - if index is not between zero and the maximal index of the channel.
      * - if a message was already found at this index.
      * - if channel password is set.
      */
-    createPublicMessageTransfers(message, {index = this.cursor, tag = 'RAAM', nextRoot} = {}) {
+    createPublicMessageTransfers(message, {index = this.cursor, tag = 'RAAM', nextRoot, codec, compression, metadata, 
+        authenticated, nonce} = {}) {
         if (this.channelPassword != undefined) {
             throw new Error(Errors.PUBLIC_NOT_ALLOWED)
         }
         const messagePassword = sender.publicPassword(this.channelRoot, index)
-        return this.createMessageTransfers(message, {index, tag, messagePassword, nextRoot})
+        return this.createMessageTransfers(message, 
+            {index, tag, messagePassword, nextRoot, codec, compression, metadata, authenticated, nonce})
     }
 
     /**
      * Compiles the authentication path and a signature using the correct signing key. Converts the encrypted payload
      * of the message into transaction transfers.
      * 
-     * @param {Trytes} message - The message to attach to the channel as trytes.
+     * @param {Payload} message - The message to attach to the channel. It's encoded by the codec.
      * @param {object} [options] - Optional parameters.
      * @param {number} [options.index = this.cursor] - The index of the message in the channel.
      * @param {Trytes} [options.tag = 'RAAM'] - Tag
-     * @param {Trytes} [options.messagePassword] - The password to encrypt this message with.
+     * @param {Trytes} [options.messagePassword] - The password to encrypt this message with. Defaults to the password
+     * derived from the read key for the index, iff the read key is set.
      * @param {Int8Array} [options.nextRoot] - The root of another channel, used for branching or when channel is exausted.
+     * @param {string} [options.codec] - The codec encoding the message: 'trytes', 'utf8', 'json' or 'binary'. By default
+     * trytes are encoded with 'trytes', other strings with 'utf8', Buffers with 'binary' and other values with 'json'.
+     * @param {string} [options.compression = 'none'] - The compression of the encoded message: 'none' or 'deflate'. 
+     * Compressed messages can't be read by versions of RAAM without support for compression. Readers decompress at 
+     * most 1 MiB, so larger messages can't be compressed.
+     * @param {object} [options.metadata] - Key value pairs, which are signed and published together with the message, 
+     * like <code>{timestamp: Date.now(), contentType: 'application/json'}</code>.
+     * @param {boolean} [options.authenticated = false] - Whether a tag authenticating the encrypted payload is attached, 
+     * so that readers with a wrong password fail with a distinct error and altered messages are rejected before parsing.
+     * Authenticated messages can't be read by versions of RAAM without support for authentication.
+     * @param {boolean|Trytes} [options.nonce = true] - Whether the encryption is salted by a random nonce, which is 
+     * published in cleartext with the message, so that rebuilding a message never reuses a key stream. 81 trytes are 
+     * used as the nonce instead. Messages with a nonce can't be read by versions of RAAM without support for nonces, 
+     * so messages for them are created with false.
+     * @param {Array.<Trytes>} [options.recipients] - The passwords of the recipients of the message. The message is
+     * encrypted with a random key, which is enclosed in an envelope for every recipient, so that every recipient reads 
+     * the message with its own password. The message password isn't used then. Messages for recipients can't be read by 
+     * versions of RAAM without support for recipients.
+     * @param {Trytes} [options.contentKey] - 81 trytes used as the key of a message for recipients instead of a random
+     * key. It must be as secret as the message and never be used for another message.
      *
      * @returns {MessageTransfers} 
      * @throws
-     * - if message isn't formatted as trytes.
+     * - if message can't be encoded by the codec, e.g. isn't formatted as trytes for the codec 'trytes'.
+     * - if message is compressed and larger than 1 MiB before compression.
+     * - if metadata isn't an object or is too long.
+     * - if nonce is neither a boolean nor 81 trytes.
+     * - if recipients aren't a non-empty array of passwords.
+     * - if content key isn't 81 trytes.
+     * - if message is too long, even when split into chunks.
      * - if index is not between zero and the maximal index of the channel.
      * - if a message was already found at this index.
+     * - if the signing key of the index was already used for another message.
+     * - if the traversal of the merkle tree has already passed the index.
+     * - if the signing key of the index isn't held, e.g. because it's outside of a delegated range.
+     * - if the channel was created with an external signer.
      */
-    createMessageTransfers(message, {index = this.cursor, tag = 'RAAM', messagePassword, nextRoot} = {}) {
-        if (!valid.isTrytes(message) && message != "") {
-            throw new Error(Errors.INVALID_MESSAGE)
+    createMessageTransfers(message, {index = this.cursor, tag = 'RAAM', messagePassword = readKeyPassword(this, index), 
+        nextRoot, codec = codecs.detectCodec(message), compression = 'none', metadata, authenticated = false, 
+        nonce = true, recipients, contentKey} = {}) {
+        if (this.signer) {
+            throw new Error(Errors.EXTERNAL_SIGNER)
         }
-        if (index < 0 || index >= Math.pow(2, this.height)) {
-            throw new Error(Errors.INVALID_INDEX(Math.pow(2, this.height) - 1))
+        const {signingKey, sigDigest, build} = prepareMessage(this, message, {index, tag, messagePassword, nextRoot, 
+            codec, compression, metadata, authenticated, nonce, recipients, contentKey})
+        return build(sign.createSignature(signingKey, sigDigest))
+    }
+
+    /**
+     * Does the same as {@link RAAM#createMessageTransfers}, but signs the message asynchronously. If the channel was
+     * created with an external signer, it's asked for the signature, which is verified before the transfers are built.
+     * 
+     * @param {Payload} message - The message to attach to the channel. It's encoded by the codec.
+     * @param {object} [options] - Optional parameters. The same as for {@link RAAM#createMessageTransfers}.
+     *
+     * @returns {Promise}
+     * @fulfil {MessageTransfers}
+     * @reject {Error}
+     * - for the same reasons as {@link RAAM#createMessageTransfers}.
+     * - if the signer returns an invalid signature.
+     */
+    async signMessageTransfers(message, {index = this.cursor, tag = 'RAAM', 
+        messagePassword = readKeyPassword(this, index), nextRoot, codec = codecs.detectCodec(message), 
+        compression = 'none', metadata, authenticated = false, nonce = true, recipients, contentKey} = {}) {
+        const {signingKey, verifyingKey, sigDigest, build} = prepareMessage(this, message, {index, tag, messagePassword, 
+            nextRoot, codec, compression, metadata, authenticated, nonce, recipients, contentKey})
+        if (!this.signer) {
+            return build(sign.createSignature(signingKey, sigDigest))
         }
-        if (this.messages[index]) {
-            throw new Error(Errors.INDEX_USED)
+        const signature = await requestSignature(this.signer, index, sigDigest)
+        if (!signature || signature.length != verifyingKey.length * 27 
+            || !sign.verifyMessage(signature, sigDigest, verifyingKey)) {
+            throw new Error(Errors.INVALID_SIGNATURE)
         }
-        
-        const authPath = merkle.getAuthPath(index, this.height)
-        const authPathHashes = authPath.map((i, level) => this.hashes[level][i].hash)
-        const {private: signingKey, public: verifyingKey} = this.leafs[index]
-        const sigDigest =  digest(message, index, authPathHashes, verifyingKey, nextRoot)
-        const signature = sign.createSignature(signingKey, sigDigest)
-        return sender.createTransfers(this.channelRoot, message, signature, index, verifyingKey, 
-            authPathHashes, {tag, channelPassword: this.channelPassword, messagePassword, nextRoot})
+        return build(signature)
     }
 
     /**
@@ -153,19 +348,33 @@ class RAAM extends RAAMReader {
      * @param {object} [options] - Optional parameters.
      * @param {Message} [options.message] - The compiled RAAM message with all neccessary information to create its transfers.
      * If it's passed message will be stored locally after publishing.
+     * @param {Array.<Array.<Transfer>>} [options.chunks] - The transfers of the chunks of the message. They are attached
+     * before the transfers of the message.
      * @param {number} [options.depth = 3] - Depth
      * @param {number} [options.mwm = 14] - Min weight magnitude
-     * @param {API} [options.iota = this.iota] - A composed IOTA API for communication with a full node providing POW.
+     * @param {API|Backend} [options.iota = this.iota] - A composed IOTA API or a backend for communication with a full node providing POW.
+     * @param {Trytes} [options.messagePassword] - The password the message is encrypted with. Is only used to check for
+     * messages at the same index if refuseOccupied is set and the channel is signed by an external signer.
      * 
      * @returns {Promise}
      * @fulfil {Transaction[]} - The bundle of the attached message.
      * @reject {Error} 
      * - if message is too long
+     * - if refuseOccupied is set and a message signed for the same index was found.
      */
-    async publishMessageTransfers(transfers, {message, depth = 3, mwm = 14, iota = this.iota}) {
-       const {bundle} = await sender.sendTransfers(iota, transfers, {message, depth, mwm})
+    async publishMessageTransfers(transfers, {message, chunks, depth = 3, mwm = 14, iota = this.iota, messagePassword}) {
+       if (message && this.refuseOccupied && await this.isOccupied(message.index, {iota, messagePassword})) {
+           throw new Error(Errors.INDEX_OCCUPIED)
+       }
+       const {bundle, chunks: chunkBundles} = await sender.sendTransfers(iota, transfers, {message, chunks, depth, mwm})
+       if (this.tracker) {
+           this.tracker.track(message ? message.index : undefined, [bundle, ...chunkBundles], {iota, depth, mwm})
+       }
        if (message) {
-            this.messages[message.index] = message.message
+            this.messages[message.index] = codecs.decode(message.message, message.codec)
+            if (message.metadata) {
+                this.metadata[message.index] = codecs.decode(message.metadata, 'json')
+            }
             if (message.nextRoot) {
                 this.branches[message.index] = message.nextRoot
             }
@@ -174,33 +383,72 @@ class RAAM extends RAAMReader {
         return bundle
     }
 
+    /**
+     * Serializes signed messages, which were created with {@link RAAM#createMessageTransfers}, into a package, which
+     * can be transported as a string or file to a machine with network access and published there with
+     * {@link RAAM.publishPackage}. That way the machine holding the signing keys never needs network access.
+     * The package only contains the encrypted transfers of the messages, but neither their plaintexts nor passwords.
+     *
+     * @param {MessageTransfers|Array.<MessageTransfers>} messageTransfers - The signed message or messages to export.
+     *
+     * @returns {string} The package as JSON.
+     * @throws if no messages are passed.
+     */
+    exportPackage(messageTransfers) {
+        return pkg.createPackage(this.channelRoot,
+            Array.isArray(messageTransfers) ? messageTransfers : [messageTransfers])
+    }
+
     /**
      * Compiles the authentication path and a signature using the correct signing key. Converts the encrypted payload
      * of the message into a transaction bundle, which is then attached to the tangle. POW is done remotely.
      * Increases the cursor, so that it points to the next index where a message can be attached.  Message is stored 
      * locally after publishing. This message can be decoded by only using its address.
      * 
-     * @param {Trytes} message - The message to attach to the channel as trytes.
+     * @param {Payload} message - The message to attach to the channel. It's encoded by the codec.
      * @param {object} [options] - Optional parameters.
      * @param {number} [options.index = this.cursor] - The index of the message in the channel.
      * @param {Trytes} [options.tag = 'RAAM'] - Tag
      * @param {number} [options.depth = 3] - Depth
      * @param {number} [options.mwm = 14] - Min weight magnitude
-     * @param {API} [options.iota = this.iota] - A composed IOTA API for communication with a full node providing POW.
+     * @param {API|Backend} [options.iota = this.iota] - A composed IOTA API or a backend for communication with a full node providing POW.
      * @param {Int8Array} [options.nextRoot] - The root of another channel, used for branching or when channel is exausted.
+     * @param {string} [options.codec] - The codec encoding the message: 'trytes', 'utf8', 'json' or 'binary'. By default
+     * trytes are encoded with 'trytes', other strings with 'utf8', Buffers with 'binary' and other values with 'json'.
+     * @param {string} [options.compression = 'none'] - The compression of the encoded message: 'none' or 'deflate'. 
+     * Compressed messages can't be read by versions of RAAM without support for compression. Readers decompress at 
+     * most 1 MiB, so larger messages can't be compressed.
+     * @param {object} [options.metadata] - Key value pairs, which are signed and published together with the message, 
+     * like <code>{timestamp: Date.now(), contentType: 'application/json'}</code>.
+     * @param {boolean} [options.authenticated = false] - Whether a tag authenticating the encrypted payload is attached, 
+     * so that readers with a wrong password fail with a distinct error and altered messages are rejected before parsing.
+     * Authenticated messages can't be read by versions of RAAM without support for authentication.
+     * @param {boolean|Trytes} [options.nonce = true] - Whether the encryption is salted by a random nonce, which is 
+     * published in cleartext with the message, so that rebuilding a message never reuses a key stream. 81 trytes are 
+     * used as the nonce instead. Messages with a nonce can't be read by versions of RAAM without support for nonces, 
+     * so messages for them are created with false.
      *
      * @returns {Promise}
      * @fulfil {Transaction[]} - The bundle of the attached message.
      * @reject {Error} 
      * - if message is too long
-     * - if message isn't formatted as trytes.
+     * - if message can't be encoded by the codec, e.g. isn't formatted as trytes for the codec 'trytes'.
+     * - if message is compressed and larger than 1 MiB before compression.
+     * - if metadata isn't an object or is too long.
+     * - if nonce is neither a boolean nor 81 trytes.
      * - if index is not between zero and the maximal index of the channel.
      * - if a message was already found at this index.
      * - if channel password is set.
      */
-    async publishPublic(message, {index = this.cursor, tag = 'RAAM', depth = 3, mwm = 14, iota = this.iota, nextRoot} = {}) {
-        const {transfers, message: payload} = this.createPublicMessageTransfers(message, {index, tag, nextRoot})
-        return await this.publishMessageTransfers(transfers, {message: payload, depth, mwm, iota})
+    async publishPublic(message, {index = this.cursor, tag = 'RAAM', depth = 3, mwm = 14, iota = this.iota, nextRoot, codec, 
+        compression, metadata, authenticated, nonce} = {}) {
+        if (this.channelPassword != undefined) {
+            throw new Error(Errors.PUBLIC_NOT_ALLOWED)
+        }
+        const messagePassword = sender.publicPassword(this.channelRoot, index)
+        const {transfers, chunks, message: payload} = await this.signMessageTransfers(message, 
+            {index, tag, messagePassword, nextRoot, codec, compression, metadata, authenticated, nonce})
+        return await this.publishMessageTransfers(transfers, {message: payload, chunks, depth, mwm, iota, messagePassword})
     }
 
     /**
@@ -209,27 +457,197 @@ class RAAM extends RAAMReader {
      * Increases the cursor, so that it points to the next index where a message can be attached.  Message is stored 
      * locally after publishing.
      * 
-     * @param {Trytes} message - The message to attach to the channel as trytes.
+     * @param {Payload} message - The message to attach to the channel. It's encoded by the codec.
      * @param {object} [options] - Optional parameters.
      * @param {number} [options.index = this.cursor] - The index of the message in the channel.
      * @param {Trytes} [options.tag = 'RAAM'] - Tag
      * @param {number} [options.depth = 3] - Depth
      * @param {number} [options.mwm = 14] - Min weight magnitude
-     * @param {API} [options.iota = this.iota] - A composed IOTA API for communication with a full node providing POW.
-     * @param {Trytes} [options.messagePassword] - The password to encrypt this message with.
+     * @param {API|Backend} [options.iota = this.iota] - A composed IOTA API or a backend for communication with a full node providing POW.
+     * @param {Trytes} [options.messagePassword] - The password to encrypt this message with. Defaults to the password
+     * derived from the read key for the index, iff the read key is set.
      * @param {Int8Array} [options.nextRoot] - The root of another channel, used for branching or when channel is exausted.
+     * @param {string} [options.codec] - The codec encoding the message: 'trytes', 'utf8', 'json' or 'binary'. By default
+     * trytes are encoded with 'trytes', other strings with 'utf8', Buffers with 'binary' and other values with 'json'.
+     * @param {string} [options.compression = 'none'] - The compression of the encoded message: 'none' or 'deflate'. 
+     * Compressed messages can't be read by versions of RAAM without support for compression. Readers decompress at 
+     * most 1 MiB, so larger messages can't be compressed.
+     * @param {object} [options.metadata] - Key value pairs, which are signed and published together with the message, 
+     * like <code>{timestamp: Date.now(), contentType: 'application/json'}</code>.
+     * @param {boolean} [options.authenticated = false] - Whether a tag authenticating the encrypted payload is attached, 
+     * so that readers with a wrong password fail with a distinct error and altered messages are rejected before parsing.
+     * Authenticated messages can't be read by versions of RAAM without support for authentication.
+     * @param {boolean|Trytes} [options.nonce = true] - Whether the encryption is salted by a random nonce, which is 
+     * published in cleartext with the message, so that rebuilding a message never reuses a key stream. 81 trytes are 
+     * used as the nonce instead. Messages with a nonce can't be read by versions of RAAM without support for nonces, 
+     * so messages for them are created with false.
+     * @param {Array.<Trytes>} [options.recipients] - The passwords of the recipients of the message. The message is
+     * encrypted with a random key, which is enclosed in an envelope for every recipient, so that every recipient reads 
+     * the message with its own password. The message password isn't used then. Messages for recipients can't be read by 
+     * versions of RAAM without support for recipients.
+     * @param {Trytes} [options.contentKey] - 81 trytes used as the key of a message for recipients instead of a random
+     * key. It must be as secret as the message and never be used for another message.
      *
      * @returns {Promise}
      * @fulfil {Transaction[]} - The bundle of the attached message.
      * @reject {Error} 
      * - if message is too long
-     * - if message isn't formatted as trytes.
+     * - if message can't be encoded by the codec, e.g. isn't formatted as trytes for the codec 'trytes'.
+     * - if message is compressed and larger than 1 MiB before compression.
+     * - if metadata isn't an object or is too long.
+     * - if nonce is neither a boolean nor 81 trytes.
+     * - if recipients aren't a non-empty array of passwords.
+     * - if content key isn't 81 trytes.
      * - if index is not between zero and the maximal index of the channel.
      * - if a message was already found at this index.
      */
-    async publish(message, {index = this.cursor, tag = 'RAAM', depth = 3, mwm = 14, iota = this.iota, messagePassword, nextRoot} = {}) {
-        const {transfers, message: payload} = this.createMessageTransfers(message, {index, tag, messagePassword, nextRoot})
-        return await this.publishMessageTransfers(transfers, {message: payload, depth, mwm, iota})
+    async publish(message, {index = this.cursor, tag = 'RAAM', depth = 3, mwm = 14, iota = this.iota, 
+        messagePassword = readKeyPassword(this, index), 
+        nextRoot, codec, compression, metadata, authenticated, nonce, recipients, contentKey} = {}) {
+        const {transfers, chunks, message: payload} = await this.signMessageTransfers(message, {index, tag, 
+            messagePassword, nextRoot, codec, compression, metadata, authenticated, nonce, recipients, contentKey})
+        return await this.publishMessageTransfers(transfers, 
+            {message: payload, chunks, depth, mwm, iota, messagePassword: recipients ? recipients[0] : messagePassword})
+    }
+
+    /**
+     * Checks whether a message signed with the key of the given index can be found on the tangle. The signature is 
+     * recognized without decrypting the message, so messages encrypted with any message password are found. Only 
+     * for a channel of an external signer, which doesn't reveal the signing keys, the message has to be read.
+     * 
+     * @param {number} index - The index of the message in the channel.
+     * @param {object} [options] - Optional parameters.
+     * @param {API|Backend} [options.iota = this.iota] - A composed IOTA API or a backend for communication with a full node.
+     * @param {Trytes} [options.messagePassword] - The password the message is encrypted with, if it has to be read. 
+     * Defaults to the password derived from the read key for the index, iff the read key is set.
+     * 
+     * @returns {Promise}
+     * @fulfil {boolean} - whether a signed message was found.
+     */
+    async isOccupied(index, {iota = this.iota, messagePassword = readKeyPassword(this, index)} = {}) {
+        const address = sender.getAddress(this.channelRoot, this.channelPassword, converter.trits(intToTrytes(index)))
+        const transactions = await backends.getBackend(iota).fetchTransactions([address])
+        return transactions.length > 0 && await isSignedAt(this, index, transactions, {iota, messagePassword})
+    }
+
+    /**
+     * Determines the first index where neither a bundle of this channel is found on the tangle at the address of the 
+     * index nor the signing key was recorded as used by the ledger. A bundle only counts if it's signed with the 
+     * signing key of the index, so that spam at an address doesn't block the index. Bundles are detected even if they 
+     * can't be decrypted. Channels signing with a signer only count messages which can be read.
+     * The addresses are fetched in batches. The cursor is set to the determined index.
+     * 
+     * @param {object} [options] - Optional parameters.
+     * @param {API|Backend} [options.iota = this.iota] - A composed IOTA API or a backend for communication with a full node.
+     * @param {number} [options.start = 0] - The index from which the channel is probed.
+     * @param {number} [options.batchSize = 100] - The number of addresses fetched at once.
+     * 
+     * @returns {Promise}
+     * @fulfil {number} - The new cursor.
+     */
+    async recoverCursor({iota = this.iota, start = 0, batchSize = 100} = {}) {
+        const end = Math.pow(2, this.height)
+        let index = start
+        while (index < end) {
+            const indexes = Array.from({length: Math.min(batchSize, end - index)}, (_, i) => index + i)
+            const free = await findFreeIndex(this, indexes, iota)
+            if (free != undefined) {
+                index = free
+                break
+            }
+            index += indexes.length
+        }
+        this.cursor = index
+        return index
+    }
+
+    /**
+     * An extract of a merkle tree with the signing keys of a range of indexes and the nodes needed for their 
+     * authentication paths.
+     * @typedef {object} Subtree
+     * @property {number} height - The height of the merkle tree of the channel.
+     * @property {number} start - The first index of the range.
+     * @property {number} end - The last index of the range.
+     * @property {Array.<Leaf>} leafs - The leafs of the range at their indexes.
+     * @property {Array.<Array.<Node>>} hashes - The nodes of the authentication paths of the range and the merkle root 
+     * at their heights and indexes.
+     */;
+
+    /**
+     * Exports the signing keys of a range of indexes together with the nodes of the merkle tree needed to authenticate 
+     * them, so that another device can publish messages at these indexes in this channel without holding the whole 
+     * tree. The writer is created from the subtree with {@link RAAM.fromSubtree}. The indexes of the range are recorded
+     * as used in the ledger after the file was written, so that they aren't signed by this channel anymore. A range 
+     * containing an index recorded before, also by an earlier export, is refused.
+     * 
+     * @param {number} start - The first index of the range.
+     * @param {number} end - The last index of the range.
+     * @param {object} [options] - Optional parameters.
+     * @param {string} [options.fileName] - The name of a file the subtree is written to in the JSON format of key files.
+     * The file must not exist yet.
+     * @param {string} [options.filePassword] - A passphrase from which the key for encrypting the file is derived. If 
+     * it's not passed, the file is stored unencrypted.
+     * 
+     * @returns {Subtree}
+     * @throws
+     * - if the range isn't within the channel.
+     * - if the signing keys are held by a traversal or an external signer.
+     * - if tree is incomplete.
+     * - if the signing key of an index of the range was already used or delegated.
+     * - if the file already exists.
+     */
+    exportSubtree(start, end, {fileName, filePassword} = {}) {
+        const top = Math.pow(2, this.height) - 1
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start || end > top) {
+            throw new Error(Errors.INVALID_RANGE(top))
+        }
+        if (this.traversal || this.signer) {
+            throw new Error(Errors.KEYS_NOT_HELD)
+        }
+        for (let index = start; index <= end; index++) {
+            if (this.messages[index] != undefined || this.ledger.isConsumed(index)) {
+                throw new Error(Errors.RANGE_USED(index))
+            }
+        }
+        const readLeaf = index => this.keyFile ? this.keyFile.readLeaf(index) : this.leafs[index]
+        const readNode = (height, index) => this.keyFile ? this.keyFile.readNode(height, index) 
+            : this.hashes[height] && this.hashes[height][index]
+        const leafs = []
+        const hashes = Array.from({length: this.height + 1}, () => [])
+        hashes[this.height][0] = readNode(this.height, 0)
+        for (let index = start; index <= end; index++) {
+            leafs[index] = readLeaf(index)
+            merkle.getAuthPath(index, this.height).forEach((i, level) => hashes[level][i] = readNode(level, i))
+        }
+        if (leafs.some(leaf => !leaf) || hashes.some(level => level.some(node => !node))) {
+            throw new Error(Errors.INCOMPLETE_TREE)
+        }
+        if (fileName) {
+            // the file is created by this call, so that removing it after a failure never deletes other data
+            try {
+                fs.closeSync(fs.openSync(fileName, 'wx'))
+            } catch (e) {
+                throw e.code == 'EEXIST' ? new Error(Errors.FILE_EXISTS(fileName)) : e
+            }
+            try {
+                file.getFileWriter(fileName, {password: filePassword})(leafs.filter(leaf => leaf), 
+                    hashes.map(level => level.filter(node => node)))
+            } catch (e) {
+                fs.unlinkSync(fileName)
+                throw e
+            }
+        }
+        // another process may have used an index in the meantime. The indexes recorded until then stay delegated, so 
+        // that their keys aren't used by anyone.
+        for (let index = start; index <= end; index++) {
+            if (!this.ledger.consume(index, DELEGATED)) {
+                if (fileName) {
+                    fs.unlinkSync(fileName)
+                }
+                throw new Error(Errors.RANGE_USED(index))
+            }
+        }
+        return {height: this.height, start, end, leafs, hashes}
     }
 
     /**
@@ -245,44 +663,73 @@ class RAAM extends RAAMReader {
      * @param {number} [options.amount] - The maximum amount of messages that can be published in this channel.
      * @param {number} [options.height = Math.ceil(Math.log2(amount))] - A number between 1 and 26 representing the height 
      * of the merkle tree used for this channel.
-     * @param {API} [options.iota = this.iota] - A composed IOTA API for communication with a full node providing POW.
+     * @param {API|Backend} [options.iota = this.iota] - A composed IOTA API or a backend for communication with a full node providing POW.
      * @param {Trytes} [options.channelPassword] - The optional password for the channel as trytes.
      * @param {number} [options.security = 2] - The security of the signing and encryption keys as a number between 1 and 4. 
      * @param {number} [options.offset = 0] - The starting index used for building the subroots from which the keys are created.
      * @param {boolean} [options.saveToFile = false] - whether to save the created merkle tree to a file, which can be used for
      * fast reinitializing the channel.
      * @param {string} [options.fileName = channelKeys.json] - The filename of the file where the merkle tree is saved.
+     * @param {string} [options.fileFormat = json] - The format of the file. Either <code>json</code> or <code>binary</code>. 
+     * Binary files are smaller and can be opened with {@link RAAM.fromBinaryFile} without reading them completely.
+     * @param {string} [options.filePassword] - A passphrase from which the key for encrypting the file is derived. If it's
+     * not passed, the file is stored unencrypted. Only JSON files can be encrypted.
      * @param {ProgressCallback} [options.progressCallback] - A callback function called after the given timeout reporting the
      * progress of the channel creation.
      * @param {number} [options.timeout = 5000] - The timeout after the progressCallback is triggered.
+     * @param {boolean} [options.traversal = false] - whether to keep only the seed and a small traversal state instead of
+     * the whole merkle tree in memory. Signing keys and authentication paths are then regenerated on demand, but messages
+     * can only be created in ascending order of their indexes.
+     * @param {number} [options.workers = 1] - The amount of worker threads building subtrees of the merkle tree in 
+     * parallel. Is not used in combination with traversal.
+     * @param {Ledger|string} [options.ledger] - The ledger recording the used indexes or the name of a file used as ledger.
+     * Defaults to a file next to the key file iff saveToFile is set. 
+     * Otherwise a ledger held in memory is used.
+     * @param {boolean} [options.recover = false] - whether to probe the channel on the tangle after initialization and set
+     * the cursor to the first free index. See {@link RAAM#recoverCursor}.
+     * @param {boolean} [options.refuseOccupied = false] - whether to check the tangle for a signed message before publishing
+     * a message and to refuse publishing if one is found at the same index.
+     * @param {Trytes} [options.readKey] - A secret of 81 trytes from which the passwords of the messages and range keys 
+     * are derived. See {@link RAAM#deriveRangeKey}.
+     * @param {Tracker} [options.tracker] - A tracker, which records the bundles of published messages and promotes or 
+     * reattaches them until they are confirmed. See {@link RAAM.createTracker}.
      * @returns {Promise}
      * @fulfil {RAAM}
      */
     static async fromSeed(seed, {amount, height = amount ? Math.ceil(Math.log2(amount)) : undefined,
         iota, channelPassword, security = 2, offset = 0, saveToFile = false, 
-        fileName = "channelKeys.json", progressCallback, timeout = 5000} = {}) {
+        fileName = "channelKeys.json", fileFormat = 'json', filePassword, progressCallback, timeout = 5000, traversal = false, 
+        workers = 1, ledger = saveToFile ? `${fileName}.ledger` : undefined, recover = false, refuseOccupied = false, 
+        readKey, tracker} = {}) {
         let s = seed
         if (channelPassword) {
             s = s.concat(channelPassword)
         }
         
-        let callback
+        let callback = progressCallback
         if (saveToFile) {
-            const fileCallback = file.getFileWriter(fileName)
-            
-            if (progressCallback) {
-                callback = async (leafs, hashes) => {
-                    await progressCallback(leafs, hashes)
-                    fileCallback(leafs, hashes)
-                }
-            } else {
-                callback = fileCallback
+            if (fileFormat == 'binary' && filePassword) {
+                throw new Error(Errors.BINARY_ENCRYPTION)
             }
+            const fileCallback = fileFormat == 'binary' ? binaryFile.getFileWriter(fileName, {height, security})
+                : file.getFileWriter(fileName, {password: filePassword})
+            callback = withFileWriter(fileCallback, progressCallback)
+        }
+        let raam
+        if (traversal) {
+            const state = await merkle.createTraversal(s, height, {security, offset, progressCallback: callback, timeout})
+            raam = new RAAM(undefined, undefined, height, 
+                {iota, channelPassword, traversal: state, ledger: getLedger(ledger), refuseOccupied, readKey, tracker})
         } else {
-            callback = progressCallback
+            const build = workers > 1 ? merkle.createTreeParallel : merkle.createTree
+            const {leafs, hashes} = await build(s, height, {security, offset, progressCallback: callback, timeout, workers})
+            raam = new RAAM(leafs, hashes, height, 
+                {iota, channelPassword, ledger: getLedger(ledger), refuseOccupied, readKey, tracker})
+        }
+        if (recover) {
+            await raam.recoverCursor()
         }
-        const {leafs, hashes} = await merkle.createTree(s, height, {security, offset, progressCallback: callback, timeout})
-        return new RAAM(leafs, hashes, height, {iota, channelPassword})
+        return raam
     }
 
     /**
@@ -293,44 +740,441 @@ class RAAM extends RAAMReader {
      */;
     
     /**
-     * Initializes a RAAM channel from a file containing the signing keys for this channel. 
+     * Initializes a RAAM channel from a file containing the signing keys for this channel. Files which are incomplete, 
+     * e.g. because the creation of the channel was interrupted, are refused. They are completed with 
+     * {@link RAAM.completeFile}.
      * 
      * @param {string} fileName - The name of the file to load.
      * @param {object} [options] - Optional parameters.
-     * @param {API} [options.iota = this.iota] - A composed IOTA API for communication with a full node providing POW.
+     * @param {string} [options.filePassword] - The passphrase the file was encrypted with, iff any.
+     * @param {API|Backend} [options.iota = this.iota] - A composed IOTA API or a backend for communication with a full node providing POW.
      * @param {Trytes} [options.channelPassword] - The optional password for the channel as trytes.
      * @param {number} [options.amount] - The maximum amount of messages that can be published in this channel.
      * @param {number} [options.height = Math.ceil(Math.log2(amount))] - A number between 1 and 26 representing the height 
-     * of the merkle tree used for this channel.
-     * @param {Trytes} [options.seed] - The seed from which the signing keys are created.
+     * of the merkle tree used for this channel. Defaults to the height of the tree stored in the file.
+     * @param {Ledger|string} [options.ledger] - The ledger recording the used indexes or the name of a file used as ledger.
+     * Defaults to a file next to the key file.
+     * @param {boolean} [options.refuseOccupied = false] - whether to check the tangle for a signed message before publishing
+     * a message and to refuse publishing if one is found at the same index.
+     * @param {Trytes} [options.readKey] - A secret of 81 trytes from which the passwords of the messages and range keys 
+     * are derived. See {@link RAAM#deriveRangeKey}.
+     * @param {Tracker} [options.tracker] - A tracker, which records the bundles of published messages and promotes or 
+     * reattaches them until they are confirmed. See {@link RAAM.createTracker}.
+     * @returns {RAAM}
+     * @throws
+     * - if tree is incomplete.
+     * - if the file contains a higher tree than the passed height.
+     * - if file is encrypted and the password is wrong or missing.
+     * - if integrity check of the encrypted file fails.
+     */
+    static fromFile(fileName, 
+        {iota, channelPassword, amount, height = amount ? Math.ceil(Math.log2(amount)) : undefined, filePassword, 
+            ledger = `${fileName}.ledger`, refuseOccupied = false, readKey, tracker} = {}) {
+        const {leafs, hashes, height: storedHeight} = file.readFile(fileName, {password: filePassword})
+        if (height == undefined) {
+            height = storedHeight
+        }
+        if (storedHeight > height) {
+            throw new Error(Errors.HIGHER_TREE(height))
+        }
+        if (!isCompleteTree(leafs, hashes, height)) {
+            throw new Error(Errors.INCOMPLETE_TREE)
+        }
+        return new RAAM(leafs, hashes, height, 
+            {iota, channelPassword, ledger: getLedger(ledger), refuseOccupied, readKey, tracker})
+    }
+
+    /**
+     * Initializes a RAAM channel from a file containing the signing keys for this channel, which may be incomplete, 
+     * e.g. because the creation of the channel was interrupted. Only the missing leafs and nodes of the merkle tree 
+     * are created from the seed and appended to the file. Complete files are neither completed nor written to.
+     * 
+     * @param {string} fileName - The name of the file to complete.
+     * @param {object} options - Parameters.
+     * @param {Trytes} options.seed - The seed from which the missing signing keys are created.
+     * @param {number} [options.amount] - The maximum amount of messages that can be published in this channel.
+     * @param {number} [options.height = Math.ceil(Math.log2(amount))] - A number between 1 and 26 representing the height 
+     * of the merkle tree used for this channel. Either the height or the amount has to be passed, since a truncated 
+     * file can't tell the height of the tree.
+     * @param {string} [options.filePassword] - The passphrase the file was encrypted with, iff any.
+     * @param {API|Backend} [options.iota = this.iota] - A composed IOTA API or a backend for communication with a full node providing POW.
+     * @param {Trytes} [options.channelPassword] - The optional password for the channel as trytes.
+     * @param {number} [options.security = 2] - The security of the signing keys as a number between 1 and 4. Is only used
+     * if the file doesn't contain any leafs.
      * @param {number} [options.offset = 0] - The starting index used for building the subroots from which the keys are created.
      * @param {ProgressCallback} [options.progressCallback] - A callback function called after the given timeout reporting the
      * progress of the channel creation.
      * @param {number} [options.timeout = 5000] - The timeout after the progressCallback is triggered.
-     * @returns {RAAM}
-     * 
+     * @param {Ledger|string} [options.ledger] - The ledger recording the used indexes or the name of a file used as ledger.
+     * Defaults to a file next to the key file.
+     * @param {boolean} [options.recover = false] - whether to probe the channel on the tangle after initialization and set
+     * the cursor to the first free index. See {@link RAAM#recoverCursor}.
+     * @param {boolean} [options.refuseOccupied = false] - whether to check the tangle for a signed message before publishing
+     * a message and to refuse publishing if one is found at the same index.
+     * @param {Trytes} [options.readKey] - A secret of 81 trytes from which the passwords of the messages and range keys 
+     * are derived. See {@link RAAM#deriveRangeKey}.
+     * @param {Tracker} [options.tracker] - A tracker, which records the bundles of published messages and promotes or 
+     * reattaches them until they are confirmed. See {@link RAAM.createTracker}.
+     * @returns {Promise}
+     * @fulfil {RAAM}
+     * @reject {Error} 
+     * - if the seed or the height and amount aren't passed.
+     * - if the file contains a higher tree than the passed height.
+     * - if file is encrypted and the password is wrong or missing.
+     * - if integrity check of the encrypted file fails.
      */
-    static fromFile(fileName, 
+    static async completeFile(fileName, 
         {iota, channelPassword, seed, amount, height = amount ? Math.ceil(Math.log2(amount)) : undefined, 
-            offset, progressCallback, timeout = 5000} = {}) {
-        const {leafs, hashes, height: storedHeight} = file.readFile(fileName)
-        if (height && storedHeight < height) {
-            // TODO complete tree, if not
-            height = storedHeight
+            security = 2, offset = 0, filePassword, progressCallback, timeout = 5000, ledger = `${fileName}.ledger`,
+            recover = false, refuseOccupied = false, readKey, tracker} = {}) {
+        if (!seed) {
+            throw new Error(Errors.SEED_NEEDED)
+        }
+        // a truncated file can't tell the height of the tree, since its highest nodes may belong to a subtree
+        if (height == undefined) {
+            throw new Error(Errors.HEIGHT_NEEDED)
+        }
+        const {leafs, hashes, height: storedHeight} = file.readFile(fileName, {password: filePassword})
+        if (storedHeight > height) {
+            throw new Error(Errors.HIGHER_TREE(height))
+        }
+        if (!isCompleteTree(leafs, hashes, height)) {
+            const leaf = leafs.find(l => l != undefined)
+            const s = channelPassword ? seed.concat(channelPassword) : seed
+            file.removeIncompleteLine(fileName)
+            await merkle.completeTree(s, height, leafs, hashes, {
+                security: leaf ? leaf.public.length / 243 : security, 
+                offset, 
+                progressCallback: withFileWriter(file.getFileWriter(fileName, {password: filePassword}), progressCallback), 
+                timeout
+            })
         }
         
-        return new RAAM(leafs, hashes, height, {iota, channelPassword})
+        const raam = new RAAM(leafs, hashes, height, 
+            {iota, channelPassword, ledger: getLedger(ledger), refuseOccupied, readKey, tracker})
+        if (recover) {
+            await raam.recoverCursor()
+        }
+        return raam
+    }
+
+    /**
+     * Initializes a RAAM channel from a binary file containing the signing keys for this channel. The file is not
+     * read completely, but only the signing key and the nodes of the merkle tree needed for a message are read when 
+     * the message is created.
+     * 
+     * @param {string} fileName - The name of the binary file to open.
+     * @param {object} [options] - Optional parameters.
+     * @param {API|Backend} [options.iota = this.iota] - A composed IOTA API or a backend for communication with a full node providing POW.
+     * @param {Trytes} [options.channelPassword] - The optional password for the channel as trytes.
+     * @param {Ledger|string} [options.ledger] - The ledger recording the used indexes or the name of a file used as ledger.
+     * Defaults to a file next to the key file.
+     * @param {boolean} [options.refuseOccupied = false] - whether to check the tangle for a signed message before publishing
+     * a message and to refuse publishing if one is found at the same index.
+     * @param {Trytes} [options.readKey] - A secret of 81 trytes from which the passwords of the messages and range keys 
+     * are derived. See {@link RAAM#deriveRangeKey}.
+     * @param {Tracker} [options.tracker] - A tracker, which records the bundles of published messages and promotes or 
+     * reattaches them until they are confirmed. See {@link RAAM.createTracker}.
+     * @returns {RAAM}
+     * @throws
+     * - if file is not a binary key file.
+     * - if tree is incomplete.
+     */
+    static fromBinaryFile(fileName, {iota, channelPassword, ledger = `${fileName}.ledger`, refuseOccupied = false, 
+        readKey, tracker} = {}) {
+        const keyFile = binaryFile.openFile(fileName)
+        try {
+            return new RAAM(undefined, undefined, keyFile.height, 
+                {iota, channelPassword, keyFile, ledger: getLedger(ledger), refuseOccupied, readKey, tracker})
+        } catch (e) {
+            keyFile.close()
+            throw e
+        }
     }
+
+    /**
+     * Creates a writer from a subtree exported with {@link RAAM#exportSubtree}. It publishes messages in the channel 
+     * the subtree was exported from, but can only sign the indexes of the range of the subtree. The cursor is set to 
+     * the first index of the range.
+     * 
+     * @param {Subtree|string} subtree - The subtree or the name of the file it was written to.
+     * @param {object} [options] - Optional parameters.
+     * @param {string} [options.filePassword] - The passphrase the file was encrypted with, iff any.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for communication with a full node providing POW.
+     * @param {Trytes} [options.channelPassword] - The optional password for the channel as trytes.
+     * @param {Ledger|string} [options.ledger] - The ledger recording the used indexes or the name of a file used as ledger.
+     * Defaults to a file next to the file of the subtree or to a ledger held in memory.
+     * @param {boolean} [options.recover = false] - whether to probe the range on the tangle after initialization and set
+     * the cursor to the first free index. See {@link RAAM#recoverCursor}.
+     * @param {boolean} [options.refuseOccupied = false] - whether to check the tangle for a signed message before publishing
+     * a message and to refuse publishing if one is found at the same index.
+     * @param {Trytes} [options.readKey] - A secret of 81 trytes from which the passwords of the messages and range keys 
+     * are derived. See {@link RAAM#deriveRangeKey}.
+     * @param {Tracker} [options.tracker] - A tracker, which records the bundles of published messages and promotes or 
+     * reattaches them until they are confirmed. See {@link RAAM.createTracker}.
+     * @returns {Promise}
+     * @fulfil {RAAM}
+     * @reject {Error}
+     * - if the file can't be read.
+     * - if the subtree contains no signing keys.
+     * - if tree is incomplete.
+     */
+    static async fromSubtree(subtree, {iota, channelPassword, filePassword, 
+        ledger = typeof subtree == 'string' ? `${subtree}.ledger` : undefined, recover = false, refuseOccupied = false, 
+        readKey, tracker} = {}) {
+        const {leafs, hashes, height} = typeof subtree == 'string' ? file.readFile(subtree, {password: filePassword}) 
+            : subtree
+        const start = leafs.findIndex(leaf => leaf)
+        if (start == -1) {
+            throw new Error(Errors.INCOMPLETE_TREE)
+        }
+        const raam = new RAAM(leafs, hashes, height, 
+            {iota, channelPassword, ledger: getLedger(ledger), refuseOccupied, readKey, tracker})
+        raam.cursor = start
+        if (recover) {
+            await raam.recoverCursor({start})
+        }
+        return raam
+    }
+
+    /**
+     * Converts a file created with the JSON format into a binary file, which can be opened with 
+     * {@link RAAM.fromBinaryFile}.
+     * 
+     * @param {string} fileName - The name of the JSON file to convert.
+     * @param {string} binaryFileName - The name of the binary file to write.
+     * @param {object} [options] - Optional parameters.
+     * @param {string} [options.filePassword] - The passphrase the JSON file was encrypted with, iff any.
+     */
+    static convertToBinaryFile(fileName, binaryFileName, {filePassword} = {}) {
+        binaryFile.convertFile(fileName, binaryFileName, {password: filePassword})
+    }
+
+    /**
+     * A signed message of a package, which can be published with {@link RAAM#publishMessageTransfers}.
+     * @typedef {object} PackagedMessage
+     * @property {number} index - The index of the message in the channel.
+     * @property {Array.<Transfer>} transfers - The array of transfers forming the transactions of a IOTA bundle.
+     * @property {Array.<Array.<Transfer>>} chunks - The transfers of the bundles holding the chunks of the message.
+     */;
+
+    /**
+     * Parses a package created with {@link RAAM#exportPackage}.
+     *
+     * @param {string|Buffer} data - The package as JSON, e.g. read from a file.
+     *
+     * @returns {{channelRoot: Int8Array, messages: Array.<PackagedMessage>}} The root of the channel the messages were
+     * signed for and the messages.
+     * @throws
+     * - if the package is malformed or contains no messages.
+     * - if the version of the package format isn't supported.
+     */
+    static importPackage(data) {
+        return pkg.parsePackage(data)
+    }
+
+    /**
+     * Publishes the messages of a package created with {@link RAAM#exportPackage} in the order they were exported.
+     * No signing keys are needed for this. POW is done remotely.
+     *
+     * @param {string|Buffer} data - The package as JSON, e.g. read from a file.
+     * @param {object} options - Parameters.
+     * @param {API|Backend} options.iota - A composed IOTA API or a backend for communication with a full node providing POW.
+     * @param {number} [options.depth = 3] - Depth
+     * @param {number} [options.mwm = 14] - Min weight magnitude
+     * @param {Tracker} [options.tracker] - A tracker, which records the bundles of the published messages and promotes or 
+     * reattaches them until they are confirmed. See {@link RAAM.createTracker}.
+     *
+     * @returns {Promise}
+     * @fulfil {Array.<Transaction[]>} - The bundles of the attached messages.
+     * @reject {Error}
+     * - if the package is malformed or contains no messages.
+     * - if the version of the package format isn't supported.
+     */
+    static async publishPackage(data, {iota, depth = 3, mwm = 14, tracker} = {}) {
+        const {messages} = pkg.parsePackage(data)
+        const bundles = []
+        for (let {index, transfers, chunks} of messages) {
+            const {bundle, chunks: chunkBundles} = await sender.sendTransfers(iota, transfers, {chunks, depth, mwm})
+            if (tracker) {
+                tracker.track(index, [bundle, ...chunkBundles], {iota, depth, mwm})
+            }
+            bundles.push(bundle)
+        }
+        return bundles
+    }
+}
+
+// the addresses of a batch are fetched at once, the indexes are checked in order until a free one is found
+async function findFreeIndex(raam, indexes, iota) {
+    const consumed = areConsumed(raam.ledger, indexes)
+    const unknown = indexes.filter((index, i) => raam.messages[index] == undefined && !consumed[i])
+    const addresses = unknown.map(index => 
+        sender.getAddress(raam.channelRoot, raam.channelPassword, converter.trits(intToTrytes(index))))
+    const response = addresses.length > 0 ? await backends.getBackend(iota).fetchTransactions(addresses) : []
+    for (let i = 0; i < unknown.length; i++) {
+        const transactions = response.filter(tx => tx.address == addresses[i])
+        if (transactions.length == 0 || !await isSignedAt(raam, unknown[i], transactions, {iota})) {
+            return unknown[i]
+        }
+    }
+}
+
+// ledgers implementing the optional bulk query read their records once for all indexes
+function areConsumed(ledger, indexes) {
+    return ledger.areConsumed ? ledger.areConsumed(indexes) : indexes.map(index => ledger.isConsumed(index))
+}
+
+// the signature is recognized without decrypting the message. A signer doesn't reveal the signing key, so the message 
+// has to be read.
+async function isSignedAt(raam, index, transactions, {iota, messagePassword}) {
+    const signingKey = readSigningKey(raam, index)
+    if (!signingKey) {
+        return await isReadableAt(raam, index, {iota, messagePassword})
+    }
+    return sender.readSignatures(transactions, raam.security).some(signature => sign.isSignedWith(signature, signingKey))
+}
+
+async function isReadableAt(raam, index, {iota, messagePassword}) {
+    try {
+        const {message} = await RAAMReader.fetchSingle(iota, raam.channelRoot, index, 
+            {channelPassword: raam.channelPassword, messagePassword, height: raam.height, security: raam.security})
+        return message != undefined
+    } catch (e) {
+        // messages failing the verification are not valid
+        return false
+    }
+}
+
+function readSigningKey(raam, index) {
+    if (raam.traversal) {
+        return merkle.createLeaf(raam.traversal.seed, index, raam.traversal).private
+    }
+    const leaf = raam.keyFile ? raam.keyFile.readLeaf(index) : raam.leafs && raam.leafs[index]
+    return leaf ? leaf.private : undefined
+}
+
+function getLedger(ledger) {
+    return typeof ledger == 'string' ? ledgers.createFileLedger(ledger) : ledger
+}
+
+function withFileWriter(fileCallback, progressCallback) {
+    if (!progressCallback) {
+        return fileCallback
+    }
+    return async (leafs, hashes) => {
+        await progressCallback(leafs, hashes)
+        fileCallback(leafs, hashes)
+    }
+}
+
+function prepareMessage(raam, message, {index, tag, messagePassword, nextRoot, codec, compression, metadata, 
+    authenticated, nonce, recipients, contentKey}) {
+    if (codec == 'trytes' && !valid.isTrytes(message) && message != "") {
+        throw new Error(Errors.INVALID_MESSAGE)
+    }
+    const trytes = codecs.encode(message, codec)
+    codecs.checkCompressible(trytes, codec, compression)
+    if (metadata != undefined && (typeof metadata != 'object' || Array.isArray(metadata) || metadata === null)) {
+        throw new Error(Errors.INVALID_METADATA)
+    }
+    const metadataTrytes = metadata != undefined ? codecs.encode(metadata, 'json') : undefined
+    if (nonce !== true && nonce !== false && !valid.isTrytes(nonce, 81)) {
+        throw new Error(Errors.INVALID_NONCE)
+    }
+    if (recipients != undefined && (!Array.isArray(recipients) || recipients.length == 0 
+        || recipients.some(password => !valid.isTrytes(password)))) {
+        throw new Error(Errors.INVALID_RECIPIENTS)
+    }
+    if (contentKey != undefined && !valid.isTrytes(contentKey, 81)) {
+        throw new Error(Errors.INVALID_CONTENT_KEY)
+    }
+    if (index < 0 || index >= Math.pow(2, raam.height)) {
+        throw new Error(Errors.INVALID_INDEX(Math.pow(2, raam.height) - 1))
+    }
+    if (raam.messages[index]) {
+        throw new Error(Errors.INDEX_USED)
+    }
+    
+    const {signingKey, verifyingKey, authPathHashes} = signingMaterial(raam, index)
+    const sigDigest =  digest(trytes, index, authPathHashes, verifyingKey, nextRoot, codecs.getCodec(codec).id, 
+        metadataTrytes)
+    if (!raam.ledger.consume(index, hashTrytes(padTrytesMultipleOf(81, 81, sigDigest)))) {
+        throw new Error(Errors.KEY_USED)
+    }
+    const build = signature => sender.createTransfers(raam.channelRoot, trytes, signature, index, verifyingKey, 
+        authPathHashes, {tag, channelPassword: raam.channelPassword, messagePassword, nextRoot, codec, compression, 
+            metadata: metadataTrytes, authenticated, nonce: nonce === true ? randomTrytes(81) : nonce || undefined, 
+            recipients, contentKey})
+    return {signingKey, verifyingKey, authPathHashes, sigDigest, build}
+}
+
+async function requestSignature(signer, index, sigDigest) {
+    const signature = await (typeof signer == 'function' ? signer(index, sigDigest) : signer.sign(index, sigDigest))
+    if (typeof signature == 'string') {
+        return valid.isTrytes(signature) ? converter.trits(signature) : undefined
+    }
+    return signature instanceof Int8Array ? signature : undefined
+}
+
+function signingMaterial(raam, index) {
+    if (raam.traversal) {
+        return merkle.traverseTo(raam.traversal, index)
+    }
+    const authPath = merkle.getAuthPath(index, raam.height)
+    if (raam.keyFile) {
+        const leaf = raam.keyFile.readLeaf(index)
+        const nodes = authPath.map((i, level) => raam.keyFile.readNode(level, i))
+        if (!leaf || nodes.some(node => !node)) {
+            throw new Error(Errors.INCOMPLETE_TREE)
+        }
+        return {signingKey: leaf.private, verifyingKey: leaf.public, authPathHashes: nodes.map(node => node.hash)}
+    }
+    if (raam.signer) {
+        // the public tree isn't trusted blindly, since the signature is only verified against its verifying key
+        const [leaf, ...nodes] = [raam.hashes[0][index]].concat(authPath.map((i, level) => raam.hashes[level][i]))
+        const authPathHashes = nodes.map(node => node && node.hash)
+        if (!leaf || authPathHashes.some(hash => !hash) 
+            || !merkle.verifyMerkleTree(raam.channelRoot, leaf.hash, index, authPathHashes)) {
+            throw new Error(Errors.INCOMPLETE_TREE)
+        }
+        return {verifyingKey: leaf.hash, authPathHashes}
+    }
+    if (!raam.leafs[index]) {
+        throw new Error(Errors.NO_SIGNING_KEY)
+    }
+    const authPathHashes = authPath.map((i, level) => raam.hashes[level][i].hash)
+    const {private: signingKey, public: verifyingKey} = raam.leafs[index]
+    return {signingKey, verifyingKey, authPathHashes}
+}
+
+function readKeyPassword(raam, index) {
+    return raam.rangeKey != undefined ? readKeys.getMessagePassword(raam.rangeKey, index) : undefined
+}
+
+// the stored tree may be the complete subtree of a truncated file, so it's only complete for the expected height
+function isCompleteTree(leafs, hashes, height) {
+    const count = level => level.filter(node => node).length
+    return height >= 1 && hashes.length == height + 1 && count(leafs) == Math.pow(2, height)
+        && hashes.every((level, l) => count(level) == Math.pow(2, height - l))
 }
 
-function channelRootOrThrow(hashes, height) {
-    if (hashes[height] == undefined || hashes[height][0] == undefined) {
+function channelRootOrThrow(hashes, height, keyFile) {
+    // a level holding more than one node is the top of a truncated tree, not the root
+    const root = keyFile ? keyFile.readNode(height, 0) 
+        : hashes[height] && hashes[height].length == 1 ? hashes[height][0] : undefined
+    if (root == undefined) {
         throw new Error(Errors.INCOMPLETE_TREE)
     }
-    return hashes[height][0].hash
+    return root.hash
 }
 
 RAAM.RAAMReader = RAAMReader
+RAAM.createIotaBackend = backends.createIotaBackend
+RAAM.createMemoryBackend = backends.createMemoryBackend
+RAAM.createSigner = merkle.createSigner
+RAAM.localPow = pow.localPow
+RAAM.createTracker = trackers.createTracker
 RAAM.RAAM = RAAM.default = RAAM
 
 module.exports = RAAM
\ No newline at end of file
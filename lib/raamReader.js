@@ -4,12 +4,16 @@ const reader = require('./message')
 const {digest, isTrits, intToTrytes, publicPassword} = require('./helpers')
 const converter =  require("@iota/converter")
 const zmq = require('./zmq')
+const codecs = require('./codec')
+const readKeys = require('./readKeys')
 const {lazy} = require('lazy-arr')
 
 const Errors = {
     VERIFICATION_FAILED: "Verification of message failed. Message digest doesn't match signature.",
     AUTHENTICATION_FAILED: "Authentication of message failed. Channel root could not be reconstructed.",
-    PUBLIC_NOT_ALLOWED: 'Public messages can not be read if channel password is set'
+    PUBLIC_NOT_ALLOWED: 'Public messages can not be read if channel password is set',
+    NO_RANGE_KEY: 'A range key or a read key is needed to derive range keys.',
+    MISSING_CHUNKS: 'Chunks of the message are missing or invalid.'
 }
 
 /**
@@ -23,7 +27,7 @@ class RAAMReader {
      * @constructs RAAMReader
      * @param {Int8Array} channelRoot - The channel root by that the channel is identified as trits.
      * @param {object} [options] - Optional parameters.
-     * @param {API} [options.iota] - A composed IOTA API for communication with a full node.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for communication with a full node.
      * @param {Trytes} [options.channelPassword] - The optional password for the channel as trytes.
      * @param {number} [options.security] - The security of the signing and encryption keys as a number between 1 and 4. 
      * This is parameter is only used as an extra verification information.
@@ -31,19 +35,23 @@ class RAAMReader {
      * From this the height of the channel can be calculated. This is parameter is only used as an extra verification information.
      * @param {number} [options.height] - The height as a number between 1 and 26 of the channel yielding the maximum 
      * amount of messages of the channel. This is parameter is only used as an extra verification information.
+     * @param {Trytes} [options.rangeKey] - A key granting access to a range of indexes, from which the message 
+     * passwords of these indexes are derived. See {@link RAAMReader#deriveRangeKey}.
      */
     constructor(channelRoot, {iota, channelPassword, security, 
-        amount, height = amount ? Math.ceil(Math.log2(amount)) : undefined} = {}) {
+        amount, height = amount ? Math.ceil(Math.log2(amount)) : undefined, rangeKey} = {}) {
         this.height = height
         this.security = security
         this.channelRoot = isTrits(channelRoot) ? channelRoot : converter.trits(channelRoot)
         this.security = security || (this.channelRoot.length / 243)
         this.channelPassword = channelPassword
         this.iota = iota
+        this.rangeKey = rangeKey
 
         this.cursor = 0
         this.messages = []
         this.branches = []
+        this.metadata = []
     }
 
     /**
@@ -51,7 +59,7 @@ class RAAMReader {
      * and be returned. Sets the cursor to the first index where no message was found.
      * 
      * @param {Object} [options] - Optional parameters.
-     * @param {API} [options.iota] - A composed IOTA API for communication with a full node.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for communication with a full node.
      * @param {ReadCallback} [options.callback] - Callback function that is called after each message request.
      * @param {Trytes} [options.messagePassword] - The default message password which will be used to decrypt 
      * all found messages.
@@ -67,17 +75,92 @@ class RAAMReader {
         return result
     }
 
+    /**
+     * Determines the index of the last message of the channel without reading all messages. For that indexes are
+     * probed by an exponential search followed by a binary search, starting after the last message stored locally.
+     * This requires O(log n) requests for a channel with n messages. It's assumed that there are no gaps
+     * between the messages of the channel. Probed messages are stored locally.
+     * 
+     * @param {Object} [options] - Optional parameters.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for communication with a full node.
+     * @param {Trytes} [options.messagePassword] - The default message password which will be used to decrypt 
+     * all found messages.
+     * @param {Array.<Trytes>} [options.messagePasswords] - An array containing different message passwords for 
+     * different messages. The ith element is the password for the ith message in the channel.
+     * 
+     * @returns {Promise}
+     * @fulfil {number} - The index of the last message or -1 if the channel contains no messages.
+     */
+    async findHead({iota = this.iota, messagePassword, messagePasswords} = {}) {
+        const exists = async i => {
+            if (this.messages[i] != undefined) {
+                return true
+            }
+            const {messages} = await this.fetch({iota, index: i, messagePassword, messagePasswords})
+            return messages[0] != undefined
+        }
+        return await searchHead(exists, {known: this.messages.length - 1, height: this.height})
+    }
+
+    /**
+     * Reads the last messages of the channel. The last message is located by {@link RAAMReader#findHead}, so
+     * that only the requested messages and O(log n) further messages are queried. Sets the cursor to the index 
+     * following the last message.
+     * 
+     * @param {number} [amount = 1] - The amount of messages to read.
+     * @param {Object} [options] - Optional parameters.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for communication with a full node.
+     * @param {ReadCallback} [options.callback] - Callback function that is called after each message request.
+     * @param {Trytes} [options.messagePassword] - The default message password which will be used to decrypt 
+     * all found messages.
+     * @param {Array.<Trytes>} [options.messagePasswords] - An array containing different message passwords for 
+     * different messages. The ith element is the password for the ith message in the channel.
+     * 
+     * @returns {Promise}
+     * @fulfil {FetchResult}
+     */
+    async fetchLatest(amount = 1, {iota = this.iota, callback, messagePassword, messagePasswords} = {}) {
+        const head = await this.findHead({iota, messagePassword, messagePasswords})
+        this.cursor = head + 1
+        if (head < 0) {
+            return new FetchResult([], [], [], [], [])
+        }
+        const start = Math.max(0, head - amount + 1)
+        return await this.fetch({iota, start, end: head, callback, messagePassword, messagePasswords})
+    }
+
+    /**
+     * A message of a channel. Depending on the codec it was encoded with, it's trytes, a string, a Buffer or
+     * a value represented as JSON.
+     * @typedef {Trytes|string|Buffer|object} Payload
+     */;
+
+    /**
+     * A backend giving access to a tangle. A composed IOTA API is wrapped into a backend automatically, so that a 
+     * backend and an IOTA API can be passed interchangeably. Other implementations can e.g. hold the tangle in memory 
+     * or read from archives.
+     * @typedef {object} Backend
+     * @property {Function} fetchTransactions - Called with an array of addresses. Resolves to an array of all 
+     * transaction objects found at these addresses.
+     * @property {Function} attachTrytes - Called with the trytes of a bundle and an object 
+     * <code>{depth, mwm, reference}</code>. Attaches the bundle to the tangle, approving the transaction with the hash 
+     * reference iff it's set, and resolves to its transaction objects.
+     * @property {Function} [getConfirmations] - Called with an array of transaction hashes. Resolves to an array of 
+     * booleans stating whether each transaction is confirmed. Only needed for tracking confirmations.
+     */;
+
     /**
      * Callback function that is called after each message request.
      * @callback ReadCallback
      * @param {Error} error - Error that occured while getting the message iff any.
      * @param {number} index - The index of the message.
-     * @param {Trytes} message - The fetched message if the request was successful.
+     * @param {Payload} message - The fetched message if the request was successful.
      * @param {Array.<object>} skipped - An array containing skipped bundles that 
      * were found at the same address that the message has. Elements <code>{bundle, error}</code> contain 
      * the bundle hash and the error causing the skipping.
      * @param {Int8Array} nextRoot - The nextRoot of the message iff any.
      * @param {Int8Array} channelRoot - The channelRoot of the message.
+     * @param {object} metadata - The signed metadata of the message iff any.
      */;
 
 
@@ -89,7 +172,7 @@ class RAAMReader {
      * errors are returned per index as arrays.
      * 
      * @param {Object} [options] - Optional parameters.
-     * @param {API} [options.iota] - A composed IOTA API for communication with a full node.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for communication with a full node.
      * @param {number} [options.index] - The index in the channel of the message to fetch. 
      * If start is set too, index is not used. 
      * @param {number} [options.start] - The start index in the channel of the messages to fetch.
@@ -101,23 +184,31 @@ class RAAMReader {
      * all found messages.
      * @param {Array.<Trytes>} [options.messagePasswords] - An array containing different message passwords for 
      * different messages. The ith element is the password for the ith message in the channel.
+     * @param {Trytes} [options.rangeKey = this.rangeKey] - A key granting access to a range of indexes. It's used iff 
+     * neither messagePassword nor messagePasswords are passed. Messages outside of its range can't be decrypted.
+     * @param {number} [options.batchSize = 100] - The amount of messages queried by a single request if end is set.
+     * @param {number} [options.concurrency = 4] - The maximum amount of parallel requests if end is set.
      * 
      * @returns {Promise}
      * @fulfil {FetchResult}
      */
-    async fetch({iota = this.iota, index, start, end, messagePassword, messagePasswords, callback} = {}) {
+    async fetch({iota = this.iota, index, start, end, messagePassword, messagePasswords, rangeKey = this.rangeKey, 
+        callback, batchSize, concurrency} = {}) {
         ({start, end} = getRange(index, start, end))
+        if (messagePassword == undefined && messagePasswords == undefined && rangeKey != undefined) {
+            messagePasswords = lazy(i => readKeys.getMessagePassword(rangeKey, i))
+        }
         if (end && end < start) {
-            return new FetchResult([], [], [], [])
+            return new FetchResult([], [], [], [], [])
         }
         const messages = this.messages
         const intervals = getIntervals(messages, start, end)
 
         const es = [], sk = []
         for (let {start: s, end: e} of intervals) {
-            const {messages, errors, skipped: batchSkipped, branches} = await RAAMReader.fetchMessages(iota, this.channelRoot, 
+            const {messages, errors, skipped: batchSkipped, branches, metadata} = await RAAMReader.fetchMessages(iota, this.channelRoot, 
                 {start: s, end: e, channelPassword: this.channelPassword, messagePasswords, messagePassword, callback,
-                height: this.height, security: this.security})
+                height: this.height, security: this.security, batchSize, concurrency})
             messages.map((message, i) => ({message, index: i + s}))
                 .filter(({message}) => message != undefined).forEach(({message, index}) => this.messages[index] = message)
             batchSkipped.map((skipped, i) => ({skipped, index: i + s}))
@@ -125,6 +216,8 @@ class RAAMReader {
             errors.forEach(e => es.push(e))
             branches.map((nextRoot, i) => ({nextRoot, index: i + s}))
                 .filter(({nextRoot}) => nextRoot != undefined).forEach(({index, nextRoot}) => this.branches[index] = nextRoot)
+            metadata.map((entries, i) => ({entries, index: i + s}))
+                .filter(({entries}) => entries != undefined).forEach(({index, entries}) => this.metadata[index] = entries)
         }
 
         return {
@@ -132,6 +225,7 @@ class RAAMReader {
             errors: es,
             skipped: sk,
             branches: end != undefined ? this.branches.slice(start, end + 1) : this.branches.slice(start),
+            metadata: end != undefined ? this.metadata.slice(start, end + 1) : this.metadata.slice(start)
         }
     }
 
@@ -143,7 +237,7 @@ class RAAMReader {
      * errors are returned per index as arrays.
      * 
      * @param {Object} [options] - Optional parameters.
-     * @param {API} [options.iota] - A composed IOTA API for communication with a full node.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for communication with a full node.
      * @param {number} [options.index] - The index in the channel of the message to fetch. 
      * If start is set too, index is not used. 
      * @param {number} [options.start] - The start index in the channel of the messages to fetch.
@@ -151,16 +245,40 @@ class RAAMReader {
      * @param {number} [options.end] - The end index in the channel of the messages to fetch.
      * If end is undefined messages will be fetched until an index where no message is found is reached.
      * @param {ReadCallback} [options.callback] - Callback function that is called after each message request.
+     * @param {number} [options.batchSize = 100] - The amount of messages queried by a single request if end is set.
+     * @param {number} [options.concurrency = 4] - The maximum amount of parallel requests if end is set.
      * 
      * @returns {Promise}
      * @fulfil {FetchResult}
      */
-    async fetchPublic({iota = this.iota, index, start, end, callback} = {}) {
+    async fetchPublic({iota = this.iota, index, start, end, callback, batchSize, concurrency} = {}) {
         if (this.channelPassword != undefined) {
             throw new Error(Errors.PUBLIC_NOT_ALLOWED)
         }
         const messagePasswords = lazy(i => reader.publicPassword(this.channelRoot, i))
-        return this.fetch({iota, index, start, end, messagePasswords, callback})
+        return this.fetch({iota, index, start, end, messagePasswords, callback, batchSize, concurrency})
+    }
+
+    /**
+     * Derives a key granting access to the messages of a range of indexes from the range key of this instance, 
+     * which is derived from the read key for channels. The range key can be handed to readers, who can't derive the 
+     * passwords of messages outside of the range from it. A range key for a part of the range can be derived from it 
+     * again, e.g. a key per day from a key per month.
+     * 
+     * @param {number} start - The first index of the range.
+     * @param {number} end - The last index of the range.
+     * 
+     * @returns {Trytes} The range key.
+     * @throws
+     * - if this instance has neither a range key nor a read key.
+     * - if the range isn't ascending.
+     * - if the range key of this instance doesn't grant access to the whole range, e.g. since it exceeds the channel.
+     */
+    deriveRangeKey(start, end) {
+        if (this.rangeKey == undefined) {
+            throw new Error(Errors.NO_RANGE_KEY)
+        }
+        return readKeys.deriveRangeKey(this.rangeKey, start, end)
     }
 
     /**
@@ -201,13 +319,19 @@ class RAAMReader {
      * all found messages.
      * @param {Array.<Trytes>} [options.messagePasswords] - An array containing different message passwords for 
      * different messages. The ith element is the password for the ith message in the channel.
+     * @param {Trytes} [options.rangeKey = this.rangeKey] - A key granting access to a range of indexes. It's used iff 
+     * neither messagePassword nor messagePasswords are passed. Messages outside of its range can't be decrypted.
      * 
      * @returns {Subscription} An object containing information about the created subscription, including the 
      * function to end the subscription.
      * @throws {Error} if the serverURL is not passed and hasn't been set already.
      */
-    subscribe(callback, {serverURL, index, start, end, subscribeFollowing = false, messagePassword, messagePasswords} = {}) {
+    subscribe(callback, {serverURL, index, start, end, subscribeFollowing = false, messagePassword, messagePasswords, 
+        rangeKey = this.rangeKey} = {}) {
         ({start, end} = getRange(index, start, end))
+        if (messagePassword == undefined && messagePasswords == undefined && rangeKey != undefined) {
+            messagePasswords = lazy(i => readKeys.getMessagePassword(rangeKey, i))
+        }
         if (end && end < start) {
             return
         }
@@ -219,21 +343,24 @@ class RAAMReader {
         }
         const subs = []
         const doSubscribe = i => {
-            const wrap = (error, index, message, skipped, nextRoot) => {
+            const wrap = (error, index, message, skipped, nextRoot, channelRoot, metadata) => {
                 if (message != null) {
                     this.messages[index] = message
+                    if (metadata) {
+                        this.metadata[index] = metadata
+                    }
                     if (subscribeFollowing && this.messages[i + 1] == undefined
                         && !intervals.some(({start: a, end: b}) => i + 1 >= a && i + 1 <= b)) {
                         doSubscribe(i + 1)
                     }
                 }
-                callback(error, index, message, skipped, nextRoot, this.channelRoot)
+                callback(error, index, message, skipped, nextRoot, this.channelRoot, metadata)
             }
 
             const pw = messagePasswords == undefined || messagePasswords.length <= i ? messagePassword : messagePasswords[i]
             const sub = RAAMReader.subscribeIndex(this.channelRoot, i, wrap, 
                 {serverURL, channelPassword: this.channelPassword, 
-                    messagePassword: pw, height: this.height, security: this.security})
+                    messagePassword: pw, height: this.height, security: this.security, iota: this.iota})
             subs.push(sub)
         }
         
@@ -293,7 +420,7 @@ class RAAMReader {
      * SingleResult objects. Also skipped bundles at the queried addresses, channel roots of provided branches and
      * errors are returned in the SingleResults.
      * 
-     * @param {API} iota - A composed IOTA API for communication with a full node.
+     * @param {API|Backend} iota - A composed IOTA API or a backend for communication with a full node.
      * @param {Array.<Trytes>} address - An array of IOTA addresses used to locate the messages.
      * @param {Object} [options] - Optional parameters.
      * @param {ReadCallback} [options.callback] - Callback function that is called after each message request.
@@ -315,7 +442,7 @@ class RAAMReader {
                 result.set(address, singleResult)
                 if (callback) {
                     await callback(undefined, singleResult.index, singleResult.message, singleResult.skipped, 
-                        singleResult.nextRoot, singleResult.channelRoot)
+                        singleResult.nextRoot, singleResult.channelRoot, singleResult.metadata)
                 }
             } catch (e) {
                 if (callback) {
@@ -333,7 +460,7 @@ class RAAMReader {
      * message was found will be left empty. Also skipped bundles at the queried addresses, channel roots 
      * of provided branches and errors are returned per index as arrays.
      * 
-     * @param {API} iota - A composed IOTA API for communication with a full node.
+     * @param {API|Backend} iota - A composed IOTA API or a backend for communication with a full node.
      * @param {Int8Array} channelRoot - The channel root by that the channel is identified as trits.
      * @param {Object} [options] - Optional parameters.
      * @param {number} [options.index] - The index in the channel of the message to fetch. 
@@ -352,17 +479,23 @@ class RAAMReader {
      * This is parameter is only used as an extra verification information.
      * @param {number} [options.height] - The height as a number between 1 and 26 of the channel yielding the maximum 
      * amount of messages of the channel. This is parameter is only used as an extra verification information.
+     * @param {number} [options.batchSize = 100] - The amount of messages queried by a single request if end is set.
+     * @param {number} [options.concurrency = 4] - The maximum amount of parallel requests if end is set.
      * 
      * @returns {Promise}
      * @fulfil {FetchResult}
      */
-    static async fetchMessages(iota, channelRoot, 
-        {index, start, end, channelPassword, messagePassword, messagePasswords, callback, height, security} = {}) {
+    static async fetchMessages(iota, channelRoot, {index, start, end, channelPassword, messagePassword, messagePasswords, 
+        callback, height, security, batchSize = 100, concurrency = 4} = {}) {
         ({start, end} = getRange(index, start, end))
-        const result = new FetchResult([], [], [], [])
+        const result = new FetchResult([], [], [], [], [])
         if (end && end < start) {
             return result
         }
+        if (end != undefined) {
+            return await fetchRange(iota, channelRoot, start, end, 
+                {channelPassword, messagePassword, messagePasswords, callback, height, security, batchSize, concurrency})
+        }
 
         for (let i = start; end != undefined ? i <= end : true; i++) {
             const arrayIndex = i - start
@@ -371,7 +504,7 @@ class RAAMReader {
                     messagePasswords[i]
                 }
                 const pw = messagePasswords == undefined || messagePasswords.length <= i ? messagePassword : messagePasswords[i]
-                const {message, skipped: singleSkipped, nextRoot} = await RAAMReader.fetchSingle(iota, channelRoot, i, {channelPassword, messagePassword: pw, security, height})
+                const {message, skipped: singleSkipped, nextRoot, metadata} = await RAAMReader.fetchSingle(iota, channelRoot, i, {channelPassword, messagePassword: pw, security, height})
                 if (singleSkipped.length > 0) {
                     result.skipped[arrayIndex] = singleSkipped
                 }
@@ -388,9 +521,12 @@ class RAAMReader {
                 } else {
                     result.messages[arrayIndex] = message
                 }
+                if (metadata) {
+                    result.metadata[arrayIndex] = metadata
+                }
                 
                 if (callback) {
-                    await callback(undefined, index, message, singleSkipped, nextRoot, channelRoot)
+                    await callback(undefined, index, message, singleSkipped, nextRoot, channelRoot, metadata)
                 }
             } catch (e) {
                 if (callback) {
@@ -406,11 +542,48 @@ class RAAMReader {
         return result
     }
 
+    /**
+     * Determines the index of the last message of the channel with the given channel root without reading 
+     * all messages. For that indexes are probed by an exponential search followed by a binary search. This requires 
+     * O(log n) requests for a channel with n messages. It's assumed that there are no gaps between the messages 
+     * of the channel.
+     * 
+     * @param {API|Backend} iota - A composed IOTA API or a backend for communication with a full node.
+     * @param {Int8Array} channelRoot - The channel root by that the channel is identified as trits.
+     * @param {Object} [options] - Optional parameters.
+     * @param {Trytes} [options.channelPassword] - The optional password for the channel as trytes.
+     * @param {Trytes} [options.messagePassword] - The default message password which will be used to decrypt 
+     * all found messages.
+     * @param {Array.<Trytes>} [options.messagePasswords] - An array containing different message passwords for 
+     * different messages. The ith element is the password for the ith message in the channel.
+     * @param {number} [options.security] - The security of the signing and encryption keys as a number between 1 and 4. 
+     * This is parameter is only used as an extra verification information.
+     * @param {number} [options.height] - The height as a number between 1 and 26 of the channel yielding the maximum 
+     * amount of messages of the channel. If it's passed, no indexes beyond the channel are probed.
+     * 
+     * @returns {Promise}
+     * @fulfil {number} - The index of the last message or -1 if the channel contains no messages.
+     */
+    static async findHead(iota, channelRoot, {channelPassword, messagePassword, messagePasswords, height, security} = {}) {
+        const exists = async i => {
+            const pw = messagePasswords == undefined || messagePasswords.length <= i ? messagePassword : messagePasswords[i]
+            try {
+                const {message} = await RAAMReader.fetchSingle(iota, channelRoot, i, 
+                    {channelPassword, messagePassword: pw, height, security})
+                return message != undefined
+            } catch (e) {
+                // like when reading sequentially, an invalid message ends the channel
+                return false
+            }
+        }
+        return await searchHead(exists, {height})
+    }
+
     /**
      * Reads a single message with given index from the channel with the given channel root. Returns the
      * found message iff any, the index, skipped bundles at the queried address and errors.
      * 
-     * @param {API} iota - A composed IOTA API for communication with a full node.
+     * @param {API|Backend} iota - A composed IOTA API or a backend for communication with a full node.
      * @param {Int8Array} channelRoot - The channel root by that the channel is identified as trits.
      * @param {number} index - The index in the channel of the message to fetch. 
      * If start is set too index is not used. 
@@ -438,7 +611,7 @@ class RAAMReader {
      * Reads a single public message from the given address. Returns the
      * found message iff any, the index, skipped bundles at the queried address and errors.
      * 
-     * @param {API} iota - A composed IOTA API for communication with a full node.
+     * @param {API|Backend} iota - A composed IOTA API or a backend for communication with a full node.
      * @param {Trytes} address - An IOTA address used to locate the message.
      * @param {Object} [options] - Optional parameters.
      * @param {number} [options.index] - The index in the channel of the message to fetch. Not used for locating message. 
@@ -499,12 +672,14 @@ class RAAMReader {
      * This is parameter is only used as an extra verification information.
      * @param {number} [options.height] - The height as a number between 1 and 26 of the channel yielding the maximum 
      * amount of messages of the channel. This is parameter is only used as an extra verification information.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for fetching the chunks of messages, 
+     * which are too long for a single bundle. Without it such messages are reported as errors.
      * 
      * @returns {SingleSubscription} An object containing information about the created subscription, including the 
      * function to end the subscription.
      * @throws {Error} if the serverURL is not passed and hasn't been set already.
      */
-    static subscribeIndex(channelRoot, index, callback, {serverURL, subscribeFollowing = false, channelPassword, messagePassword, height, security, origin} = {}) {
+    static subscribeIndex(channelRoot, index, callback, {serverURL, subscribeFollowing = false, channelPassword, messagePassword, height, security, iota, origin} = {}) {
         if (serverURL) {
             zmq.setServerAddress(serverURL)
         }
@@ -513,15 +688,18 @@ class RAAMReader {
         const key = reader.getKey(channelRoot, channelPassword, indexTrits, messagePassword)
         let result = origin || {index, callback, channelRoot, subscribeFollowing}
         let sub
-        sub = zmq.subscribe(address, bundle => {
+        sub = zmq.subscribe(address, async bundle => {
             try {
                 const response = reader.processBundle(bundle, key, {index, height, security})
                 try {
-                    const {message, nextRoot} = processMessage(response, channelRoot, index)
-                    callback(null, index, message, [], nextRoot, channelRoot)
+                    if (response.chunkHashes && iota) {
+                        await reader.fetchChunks(iota, [{address, key, message: response}])
+                    }
+                    const {message, nextRoot, metadata} = processMessage(response, channelRoot, index)
+                    callback(null, index, message, [], nextRoot, channelRoot, metadata)
                     if (subscribeFollowing) {
                         const newSub = this.subscribeIndex(channelRoot, index + 1, callback, 
-                            {serverURL, subscribeFollowing, channelPassword, messagePassword, height, security, origin: result})
+                            {serverURL, subscribeFollowing, channelPassword, messagePassword, height, security, iota, origin: result})
                         result.index = index + 1
                         result.unsubscribe = newSub.unsubscribe
                     }
@@ -575,17 +753,19 @@ class RAAMReader {
      * This is parameter is only used as an extra verification information.
      * @param {number} [options.height] - The height as a number between 1 and 26 of the channel yielding the maximum 
      * amount of messages of the channel. This is parameter is only used as an extra verification information.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for fetching the chunks of messages, 
+     * which are too long for a single bundle. Without it such messages are reported as errors.
      * 
      * @returns {SingleSubscription} An object containing information about the created subscription, including the 
      * function to end the subscription.
      * @throws {Error} if the serverURL is not passed and hasn't been set already.
      */
-    static subscribePublic(address, callback, {serverURL, subscribeFollowing = false, index, channelRoot, height, security, origin} = {}) {
+    static subscribePublic(address, callback, {serverURL, subscribeFollowing = false, index, channelRoot, height, security, iota, origin} = {}) {
         if (serverURL) {
             zmq.setServerAddress(serverURL)
         }
         let result = origin || {index, callback, channelRoot, subscribeFollowing}
-        const sub = zmq.subscribe(address, bundle => {
+        const sub = zmq.subscribe(address, async bundle => {
             try {
                 const response = reader.processBundle(bundle, address, {index, height, security})
                 if (!channelRoot) {
@@ -597,13 +777,16 @@ class RAAMReader {
                     result.index = index
                 }
                 try {
-                    const {message, nextRoot} = processMessage(response, channelRoot, index)
-                    callback(null, index, message, [], nextRoot, channelRoot)
+                    if (response.chunkHashes && iota) {
+                        await reader.fetchChunks(iota, [{address, key: address, message: response}])
+                    }
+                    const {message, nextRoot, metadata} = processMessage(response, channelRoot, index)
+                    callback(null, index, message, [], nextRoot, channelRoot, metadata)
                     if (subscribeFollowing) {
                         const nextIndexTrits = converter.trits(intToTrytes(index + 1))
                         const nextAddress = reader.getAddress(channelRoot, undefined, nextIndexTrits)
                         const newSub = this.subscribePublic(nextAddress, callback, 
-                            {serverURL, subscribeFollowing, channelRoot, index: index + 1, height, security, origin: result})
+                            {serverURL, subscribeFollowing, channelRoot, index: index + 1, height, security, iota, origin: result})
                         result.index = index + 1
                         result.unsubscribe = newSub.unsubscribe
                     }
@@ -623,6 +806,86 @@ class RAAMReader {
     }
 }
 
+// all addresses of a bounded range are known, so they are queried in batches, but processed in order
+async function fetchRange(iota, channelRoot, start, end, 
+    {channelPassword, messagePassword, messagePasswords, callback, height, security, batchSize, concurrency}) {
+    const result = new FetchResult([], [], [], [], [])
+    const batches = []
+    for (let s = start; s <= end; s += batchSize) {
+        const requests = []
+        for (let i = s; i <= Math.min(end, s + batchSize - 1); i++) {
+            if (messagePasswords) {
+                messagePasswords[i]
+            }
+            const pw = messagePasswords == undefined || messagePasswords.length <= i ? messagePassword : messagePasswords[i]
+            requests.push({index: i, messagePassword: pw})
+        }
+        batches.push(requests)
+    }
+    const responses = runLimited(batches.map(requests => 
+        () => reader.getMessages(iota, channelRoot, requests, {channelPassword, height, security})), concurrency)
+
+    for (let b = 0; b < batches.length; b++) {
+        const {value, error} = await responses[b]
+        for (let k = 0; k < batches[b].length; k++) {
+            const i = batches[b][k].index
+            const arrayIndex = i - start
+            try {
+                if (error) {
+                    throw error
+                }
+                const {message: response, skipped} = value[k]
+                const {message, nextRoot, metadata} = response ? processMessage(response, channelRoot, i, skipped) : {}
+                if (skipped.length > 0) {
+                    result.skipped[arrayIndex] = skipped
+                }
+                if (nextRoot) {
+                    result.branches[arrayIndex] = nextRoot
+                }
+                if (message != undefined) {
+                    result.messages[arrayIndex] = message
+                }
+                if (metadata) {
+                    result.metadata[arrayIndex] = metadata
+                }
+                if (callback) {
+                    await callback(undefined, i, message, skipped, nextRoot, channelRoot, metadata)
+                }
+            } catch (e) {
+                if (callback) {
+                    await callback(e, i, undefined, undefined, undefined, channelRoot)
+                }
+                result.errors.push(e)
+            }
+        }
+    }
+    return result
+}
+
+// starts the tasks with at most limit running at once and returns promises of their outcomes in task order
+function runLimited(tasks, limit) {
+    const outcomes = tasks.map(() => {
+        let resolve
+        const promise = new Promise(r => resolve = r)
+        return {promise, resolve}
+    })
+    let next = 0
+    const work = async () => {
+        while (next < tasks.length) {
+            const i = next++
+            try {
+                outcomes[i].resolve({value: await tasks[i]()})
+            } catch (error) {
+                outcomes[i].resolve({error})
+            }
+        }
+    }
+    for (let i = 0; i < Math.min(limit, tasks.length); i++) {
+        work()
+    }
+    return outcomes.map(({promise}) => promise)
+}
+
 function getIntervals(messages, start, end) {
     const intervals = []
     // check if requested messages are already stored
@@ -652,9 +915,36 @@ function getIntervals(messages, start, end) {
     return intervals
 }
 
+async function searchHead(exists, {known = -1, height} = {}) {
+    const max = height != undefined ? Math.pow(2, height) - 1 : Infinity
+    // exponential search for the first missing index after the last known one
+    let low = known
+    let step = 1
+    let high = low + step
+    while (high <= max && await exists(high)) {
+        low = high
+        step *= 2
+        high = low + step
+    }
+    high = Math.min(high, max + 1)
+    // binary search between the last found and the first missing index
+    while (high - low > 1) {
+        const middle = Math.floor((low + high) / 2)
+        if (await exists(middle)) {
+            low = middle
+        } else {
+            high = middle
+        }
+    }
+    return low
+}
+
 function processMessage(response, channelRoot, index, skipped) {
-    const {message, signature, authPathHashes, verifyingKey, nextRoot} = response
-    const sigDigest = digest(message, index, authPathHashes, verifyingKey, nextRoot)
+    const {message, signature, authPathHashes, verifyingKey, nextRoot, codec, metadata} = response
+    if (message == undefined) {
+        throw new Error(Errors.MISSING_CHUNKS)
+    }
+    const sigDigest = digest(message, index, authPathHashes, verifyingKey, nextRoot, codecs.getCodec(codec).id, metadata)
     const verified = sign.verifyMessage(signature, sigDigest, verifyingKey)
     if (!verified) {
         throw new Error(Errors.VERIFICATION_FAILED)
@@ -663,34 +953,37 @@ function processMessage(response, channelRoot, index, skipped) {
     if (!authenticated) {
         throw new Error(Errors.AUTHENTICATION_FAILED)
     }
-    return new SingleResult(message, index, nextRoot, skipped, channelRoot)
+    return new SingleResult(codecs.decode(message, codec), index, nextRoot, skipped, channelRoot, 
+        metadata ? codecs.decode(metadata, 'json') : undefined)
 }
 
 /**
  * Container class for the result of a single fetched message.
  * @typedef {object} SingleResult
- * @property {Trytes} message - The fetched message, iff any.
+ * @property {Payload} message - The fetched message, iff any.
  * @property {number} index - The index of the fetched message.
  * @property {Int8Array} nextRoot - The nextRoot, iff any, provided by the message.
  * @property {Array.<object>} skipped - An array containing skipped bundles that 
  * were found at the same address that the message has. Elements <code>{bundle, error}</code> contain 
  * the bundle hash and the error causing the skipping.
  * @property {Int8Array} channelRoot - The channelRoot of the message.
+ * @property {object} metadata - The signed metadata of the message, iff any.
  */
 class SingleResult {
-    constructor(message, index, nextRoot, skipped, channelRoot) {
+    constructor(message, index, nextRoot, skipped, channelRoot, metadata) {
         this.message = message
         this.index = index
         this.nextRoot = nextRoot
         this.skipped = skipped
         this.channelRoot = channelRoot
+        this.metadata = metadata
     }
 }
 
 /**
  * Conainer class for the result of a fetch request.
  * @typedef {object} FetchResult
- * @property {Array.<Trytes>} messages - Array of found messages, where the message at start index is 
+ * @property {Array.<Payload>} messages - Array of found messages, where the message at start index is 
  * the first message in the array. Elements where no message was found will be left empty.
  * @property {Array.<Error>} errors - Array of errors that occured while fetching messages.
  * @property {Array.<Array.<object>>} skipped - An array containing skipped bundles that 
@@ -698,13 +991,15 @@ class SingleResult {
  * <code>{bundle, error}</code> consisting of the bundle hash and the error causing the skipping.
  * If no bundles where skipped for a message the array element is empty.
  * @property {Array.<Int8Array>} branches - The nextRoot, iff any, provided by a certain message.
+ * @property {Array.<object>} metadata - The signed metadata, iff any, of a certain message.
  */
 class FetchResult {
-    constructor(messages, errors, skipped, branches) {
+    constructor(messages, errors, skipped, branches, metadata) {
         this.messages = messages
         this.errors = errors
         this.skipped = skipped
         this.branches = branches
+        this.metadata = metadata
     }
 }
 
@@ -0,0 +1,105 @@
+const {intToTrytes, trytesToInt, hashTrytes} = require('./helpers')
+
+// a range key is a list of nodes of a binary tree of keys over the indexes of a channel. Every node holds the key of
+// its subtree, from which the keys of all its descendants and finally the message passwords of its indexes are derived.
+const HEIGHT_TRYTES = 1
+const INDEX_TRYTES = 6
+const KEY_TRYTES = 81
+const ENTRY_TRYTES = HEIGHT_TRYTES + INDEX_TRYTES + KEY_TRYTES
+
+const Errors = {
+    INVALID_READ_KEY: 'The read key has to consist of 81 trytes.',
+    INVALID_RANGE_KEY: 'The range key is malformed.',
+    INVALID_INDEXES: 'The range has to consist of ascending indexes.',
+    RANGE_NOT_COVERED: "The range key doesn't grant access to the whole range."
+}
+
+function intToPaddedTrytes(value, length) {
+    return intToTrytes(value).padStart(length, '9')
+}
+
+function childKey(key, side) {
+    return hashTrytes(key + intToPaddedTrytes(side + 1, KEY_TRYTES))
+}
+
+function covers(node, height, index) {
+    return node.height >= height && Math.floor(index / Math.pow(2, node.height - height)) == node.index
+}
+
+function deriveKey(node, height, index) {
+    let key = node.key
+    for (let h = node.height - 1; h >= height; h--) {
+        key = childKey(key, Math.floor(index / Math.pow(2, h - height)) % 2)
+    }
+    return key
+}
+
+function parseRangeKey(rangeKey) {
+    if (typeof rangeKey != 'string' || rangeKey.length == 0 || rangeKey.length % ENTRY_TRYTES != 0
+        || !/^[9A-Z]*$/.test(rangeKey)) {
+        throw new Error(Errors.INVALID_RANGE_KEY)
+    }
+    const nodes = []
+    for (let i = 0; i < rangeKey.length; i += ENTRY_TRYTES) {
+        const entry = rangeKey.slice(i, i + ENTRY_TRYTES)
+        nodes.push({
+            height: trytesToInt(entry.slice(0, HEIGHT_TRYTES)),
+            index: trytesToInt(entry.slice(HEIGHT_TRYTES, HEIGHT_TRYTES + INDEX_TRYTES)),
+            key: entry.slice(HEIGHT_TRYTES + INDEX_TRYTES)
+        })
+    }
+    return nodes
+}
+
+function serializeRangeKey(nodes) {
+    return nodes.map(({height, index, key}) =>
+        intToPaddedTrytes(height, HEIGHT_TRYTES) + intToPaddedTrytes(index, INDEX_TRYTES) + key).join('')
+}
+
+function createRangeKey(readKey, height, start, end) {
+    if (typeof readKey != 'string' || !/^[9A-Z]{81}$/.test(readKey)) {
+        throw new Error(Errors.INVALID_READ_KEY)
+    }
+    return deriveRangeKey(serializeRangeKey([{height, index: 0, key: readKey}]), start, end)
+}
+
+// the range is split into the largest aligned subtrees, so that a range key contains at most two nodes per level
+function deriveRangeKey(rangeKey, start, end) {
+    const nodes = parseRangeKey(rangeKey)
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start) {
+        throw new Error(Errors.INVALID_INDEXES)
+    }
+    const derived = []
+    const derive = (height, index) => {
+        const node = nodes.find(node => covers(node, height, index))
+        if (node) {
+            derived.push({height, index, key: deriveKey(node, height, index)})
+        } else if (height > 0) {
+            derive(height - 1, index * 2)
+            derive(height - 1, index * 2 + 1)
+        } else {
+            throw new Error(Errors.RANGE_NOT_COVERED)
+        }
+    }
+    let i = start
+    while (i <= end) {
+        let height = 0
+        while (i % Math.pow(2, height + 1) == 0 && i + Math.pow(2, height + 1) - 1 <= end) {
+            height++
+        }
+        derive(height, i / Math.pow(2, height))
+        i += Math.pow(2, height)
+    }
+    return serializeRangeKey(derived)
+}
+
+function getMessagePassword(rangeKey, index) {
+    const node = parseRangeKey(rangeKey).find(node => covers(node, 0, index))
+    return node ? deriveKey(node, 0, index) : undefined
+}
+
+module.exports = {
+    createRangeKey,
+    deriveRangeKey,
+    getMessagePassword
+}
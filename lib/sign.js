@@ -83,6 +83,32 @@ function verifyMessage(signature, message, pub) {
     return (converter.trytes(pub) == converter.trytes(digests))
 }
 
+// every fragment of a signature lies on the hash chain of the key fragment it was created with, whatever digest was
+// signed, so the key of a signature is recognized without the message
+function isSignedWith(signature, pk) {
+    if (signature.length != pk.length) {
+        return false
+    }
+    const kerl = new Kerl()
+    for (let i = 0; i < pk.length / Kerl.HASH_LENGTH; i++) {
+        const keyFragment = pk.slice(i * Kerl.HASH_LENGTH, (i + 1) * Kerl.HASH_LENGTH)
+        const fragment = converter.trytes(signature.slice(i * Kerl.HASH_LENGTH, (i + 1) * Kerl.HASH_LENGTH))
+        // a fragment is hashed between 0 and 26 times
+        let found = converter.trytes(keyFragment) == fragment
+        for (let j = 0; j < 26 && !found; j++) {
+            kerl.initialize()
+            kerl.reset()
+            kerl.absorb(keyFragment, 0, Kerl.HASH_LENGTH)
+            kerl.squeeze(keyFragment, 0, Kerl.HASH_LENGTH)
+            found = converter.trytes(keyFragment) == fragment
+        }
+        if (!found) {
+            return false
+        }
+    }
+    return true
+}
+
 function getMessageDigest(trytes, fragments) {
     const trits = converter.trits(trytes)
     const padded = padTritsMultipleOf(Kerl.HASH_LENGTH, Kerl.HASH_LENGTH, trits)
@@ -134,5 +160,6 @@ module.exports = {
     createPublicKey,
     createKeyPair,
     createSignature,
-    verifyMessage
+    verifyMessage,
+    isSignedWith
 }
\ No newline at end of file
@@ -0,0 +1,127 @@
+const EventEmitter = require('events')
+const {asTransactionTrytes} = require('@iota/transaction-converter')
+const {getBackend} = require('./backend')
+const sender = require('./message')
+
+const Errors = {
+    NO_CONFIRMATIONS: "The backend can't tell whether transactions are confirmed."
+}
+
+// a zero-value transaction approving a tail, which makes new transactions more likely to approve the tail as well
+const PROMOTION = [{address: '9'.repeat(81), value: 0, message: '', tag: 'RAAM'}]
+
+function getTail(bundle) {
+    return bundle.find(tx => tx.currentIndex == 0).hash
+}
+
+function createTracker({interval = 30000, promoteAfter = 60000, reattachAfter = 600000, maxReattachments = 3} = {}) {
+    const tracker = new EventEmitter()
+    // the entries are keyed by the first tail of the bundle of the message, since messages without index are tracked
+    const pending = new Map()
+    let timer, checking, stopped = false
+
+    const schedule = () => {
+        if (timer == undefined && !stopped && pending.size > 0) {
+            timer = setTimeout(() => {
+                timer = undefined
+                // a failed check doesn't end the polling. Without listeners the error isn't emitted, since an emitted 
+                // error without listeners would be thrown.
+                tracker.check().catch(error => {
+                    if (tracker.listenerCount('error') > 0) {
+                        tracker.emit('error', error)
+                    }
+                }).then(schedule)
+            }, interval)
+            timer.unref()
+        }
+    }
+
+    const promoteOrReattach = async (entry, bundle) => {
+        const {index, iota, depth, mwm} = entry
+        const age = Date.now() - bundle.attachedAt
+        if (age >= reattachAfter) {
+            if (bundle.reattachments >= maxReattachments) {
+                return false
+            }
+            const tail = getTail(await getBackend(iota).attachTrytes(bundle.trytes, {depth, mwm}))
+            bundle.tails.push(tail)
+            bundle.attachedAt = Date.now()
+            bundle.reattachments++
+            tracker.emit('reattached', index, tail)
+        } else if (age >= promoteAfter) {
+            const tail = bundle.tails[bundle.tails.length - 1]
+            await sender.sendTransfers(iota, PROMOTION, {depth, mwm, reference: tail})
+            tracker.emit('promoted', index, tail)
+        }
+        return true
+    }
+
+    const checkEntry = async (key, entry) => {
+        const backend = getBackend(entry.iota)
+        if (typeof backend.getConfirmations != 'function') {
+            throw new Error(Errors.NO_CONFIRMATIONS)
+        }
+        for (let bundle of entry.bundles.filter(bundle => !bundle.confirmed)) {
+            const states = await backend.getConfirmations(bundle.tails)
+            bundle.confirmed = bundle.tails.find((tail, i) => states[i])
+            if (!bundle.confirmed && !await promoteOrReattach(entry, bundle)) {
+                pending.delete(key)
+                tracker.emit('abandoned', entry.index)
+                return
+            }
+        }
+        if (entry.bundles.every(bundle => bundle.confirmed)) {
+            pending.delete(key)
+            tracker.emit('confirmed', entry.index, entry.bundles[0].confirmed)
+        }
+    }
+
+    return Object.assign(tracker, {
+        track(index, bundles, {iota, depth = 3, mwm = 14} = {}) {
+            pending.set(getTail(bundles[0]), {
+                index,
+                iota,
+                depth,
+                mwm,
+                bundles: bundles.map(bundle => ({
+                    tails: [getTail(bundle)],
+                    trytes: bundle.slice().sort((a, b) => b.currentIndex - a.currentIndex).map(tx => asTransactionTrytes(tx)),
+                    attachedAt: Date.now(),
+                    reattachments: 0,
+                    confirmed: undefined
+                }))
+            })
+            schedule()
+        },
+        check() {
+            if (!checking) {
+                checking = (async () => {
+                    for (let [key, entry] of Array.from(pending.entries())) {
+                        try {
+                            await checkEntry(key, entry)
+                        } catch (e) {
+                            tracker.emit('failed', entry.index, e)
+                        }
+                    }
+                })().finally(() => checking = undefined)
+            }
+            return checking
+        },
+        getPending() {
+            return Array.from(pending.values()).map(entry => entry.index)
+        },
+        start() {
+            stopped = false
+            schedule()
+        },
+        stop() {
+            stopped = true
+            clearTimeout(timer)
+            timer = undefined
+        }
+    })
+}
+
+module.exports = {
+    createTracker
+}
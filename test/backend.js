@@ -0,0 +1,76 @@
+const assert = require('assert')
+const prepareTransfers = require('@iota/core').createPrepareTransfers()
+const RAAM = require('../lib/raam')
+const backends = require('../lib/backend')
+
+const SEED = 'BACKENDTESTSEED'.padEnd(81, '9')
+const ADDRESSES = ['A', 'B'].map(tryte => tryte.repeat(81))
+
+describe('backends', function () {
+    this.timeout(60000)
+    let bundles
+
+    before(async () => {
+        bundles = await Promise.all(ADDRESSES.map(address =>
+            prepareTransfers(SEED, [{address, value: 0, message: 'BACKEND'.repeat(400)}])))
+    })
+
+    describe('memory backend', () => {
+        it('returns the transactions attached at the queried addresses', async () => {
+            const iota = backends.createMemoryBackend()
+            const attached = await iota.attachTrytes(bundles[0], {depth: 3, mwm: 14})
+            assert.strictEqual(attached.length, 2)
+            assert.ok(attached.every(tx => tx.address == ADDRESSES[0]))
+            await iota.attachTrytes(bundles[1], {})
+
+            assert.strictEqual((await iota.fetchTransactions([ADDRESSES[0]])).length, 2)
+            assert.strictEqual((await iota.fetchTransactions(ADDRESSES)).length, 4)
+            assert.deepStrictEqual(await iota.fetchTransactions(['C'.repeat(81)]), [])
+        })
+
+        it('stores a reattached transaction once and counts it as confirmed', async () => {
+            const iota = backends.createMemoryBackend()
+            const attached = await iota.attachTrytes(bundles[0], {})
+            await iota.attachTrytes(bundles[0], {})
+            assert.strictEqual(iota.getTransactions().length, 2)
+            assert.deepStrictEqual(await iota.getConfirmations([attached[0].hash, '9'.repeat(81)]), [true, false])
+
+            iota.clear()
+            assert.deepStrictEqual(iota.getTransactions(), [])
+            assert.deepStrictEqual(await iota.getConfirmations([attached[0].hash]), [false])
+        })
+
+        it('carries a channel from the writer to readers', async () => {
+            const iota = RAAM.createMemoryBackend()
+            const raam = await RAAM.fromSeed(SEED, {height: 2, security: 1, iota})
+            await raam.publish('HELLO')
+            await raam.publish('WORLD')
+            const {messages} = await RAAM.RAAMReader.fetchMessages(iota, raam.channelRoot)
+            assert.deepStrictEqual(messages, ['HELLO', 'WORLD'])
+        })
+    })
+
+    describe('IOTA backend', () => {
+        it('queries the node for the transactions at the addresses', async () => {
+            const calls = []
+            const api = {
+                async findTransactions(query) {
+                    calls.push(query)
+                    return query.addresses.includes(ADDRESSES[0]) ? ['HASH'] : []
+                },
+                async getTransactionObjects(hashes) {
+                    return hashes.map(hash => ({hash}))
+                }
+            }
+            const iota = backends.getBackend(api)
+            assert.deepStrictEqual(await iota.fetchTransactions(ADDRESSES), [{hash: 'HASH'}])
+            assert.deepStrictEqual(await iota.fetchTransactions([ADDRESSES[1]]), [])
+            assert.deepStrictEqual(calls, [{addresses: ADDRESSES}, {addresses: [ADDRESSES[1]]}])
+        })
+
+        it('passes backends through unchanged', () => {
+            const iota = backends.createMemoryBackend()
+            assert.strictEqual(backends.getBackend(iota), iota)
+        })
+    })
+})
@@ -0,0 +1,97 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const converter = require('@iota/converter')
+const RAAM = require('../lib/raam')
+const binaryFile = require('../lib/binaryFile')
+
+const SEED = 'BINARYFILETESTSEED'.padEnd(81, '9')
+const HEIGHT = 2
+
+describe('binary key files', function () {
+    this.timeout(60000)
+    let dir, tree
+
+    const trytesOf = node => node && converter.trytes(node.hash)
+
+    const assertSameTree = keyFile => {
+        assert.strictEqual(keyFile.height, HEIGHT)
+        assert.strictEqual(keyFile.security, 1)
+        tree.leafs.forEach((leaf, index) => {
+            const read = keyFile.readLeaf(index)
+            assert.strictEqual(converter.trytes(read.private), converter.trytes(leaf.private))
+            assert.strictEqual(converter.trytes(read.public), converter.trytes(leaf.public))
+        })
+        tree.hashes.forEach((level, height) => level.forEach((node, index) =>
+            assert.strictEqual(trytesOf(keyFile.readNode(height, index)), trytesOf(node))))
+    }
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'raam-'))
+        tree = await RAAM.fromSeed(SEED, {height: HEIGHT, security: 1, saveToFile: true,
+            fileName: path.join(dir, 'channelKeys.json'), filePassword: 'secret'})
+    })
+
+    after(() => {
+        fs.readdirSync(dir).forEach(name => fs.unlinkSync(path.join(dir, name)))
+        fs.rmdirSync(dir)
+    })
+
+    it('reads single leafs and nodes of a written file', async () => {
+        const fileName = path.join(dir, 'channelKeys.bin')
+        await RAAM.fromSeed(SEED, {height: HEIGHT, security: 1, saveToFile: true, fileName, fileFormat: 'binary'})
+        assert.ok(binaryFile.isBinaryFile(fileName))
+        const keyFile = binaryFile.openFile(fileName)
+        try {
+            assertSameTree(keyFile)
+            assert.throws(() => keyFile.readLeaf(Math.pow(2, HEIGHT)), /no record/)
+        } finally {
+            keyFile.close()
+        }
+    })
+
+    it('converts an encrypted JSON file into a binary file', () => {
+        const fileName = path.join(dir, 'converted.bin')
+        RAAM.convertToBinaryFile(path.join(dir, 'channelKeys.json'), fileName, {filePassword: 'secret'})
+        const keyFile = binaryFile.openFile(fileName)
+        try {
+            assertSameTree(keyFile)
+        } finally {
+            keyFile.close()
+        }
+    })
+
+    it('publishes messages signed with keys read from the file', async () => {
+        const iota = RAAM.createMemoryBackend()
+        const raam = RAAM.fromBinaryFile(path.join(dir, 'converted.bin'), {iota, ledger: path.join(dir, 'ledger')})
+        try {
+            assert.strictEqual(converter.trytes(raam.channelRoot), converter.trytes(tree.channelRoot))
+            await raam.publish('BINARY', {index: 2})
+            const {messages} = await new RAAM.RAAMReader(raam.channelRoot, {iota}).fetch({index: 2})
+            assert.deepStrictEqual(messages, ['BINARY'])
+        } finally {
+            raam.keyFile.close()
+        }
+    })
+
+    it('treats records of an interrupted write as missing', () => {
+        const fileName = path.join(dir, 'interrupted.bin')
+        const content = fs.readFileSync(path.join(dir, 'converted.bin'))
+        fs.writeFileSync(fileName, content.slice(0, content.length - 10))
+        const keyFile = binaryFile.openFile(fileName)
+        try {
+            assert.strictEqual(keyFile.readNode(HEIGHT, 0), undefined)
+            assert.strictEqual(trytesOf(keyFile.readNode(1, 1)), trytesOf(tree.hashes[1][1]))
+        } finally {
+            keyFile.close()
+        }
+        assert.throws(() => RAAM.fromBinaryFile(fileName), /incomplete/)
+    })
+
+    it('refuses files of other formats', () => {
+        fs.writeFileSync(path.join(dir, 'other.bin'), 'RAAMKEYS')
+        assert.ok(!binaryFile.isBinaryFile(path.join(dir, 'channelKeys.json')))
+        assert.throws(() => binaryFile.openFile(path.join(dir, 'other.bin')), /not a binary RAAM key file/)
+    })
+})
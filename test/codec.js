@@ -0,0 +1,34 @@
+const assert = require('assert')
+const zlib = require('zlib')
+const codecs = require('../lib/codec')
+const RAAM = require('../lib/raam')
+
+const MAX = 1024 * 1024
+
+describe('compression', function () {
+    this.timeout(60000)
+
+    it('restores compressed trytes and bytes', () => {
+        const trytes = 'ABC'.repeat(1000)
+        assert.strictEqual(codecs.decompress(codecs.compress(trytes)), trytes)
+        const bytes = codecs.encode(Buffer.alloc(1000, 7), 'binary')
+        assert.strictEqual(codecs.decompress(codecs.compress(bytes, 'binary'), 'binary'), bytes)
+    })
+
+    it('refuses to inflate more than 1 MiB', () => {
+        const bomb = codecs.encode(zlib.deflateRawSync(Buffer.alloc(MAX + 1)), 'binary')
+        assert.throws(() => codecs.decompress(bomb, 'binary'), /can't be decompressed with deflate/)
+        const limit = codecs.encode(zlib.deflateRawSync(Buffer.alloc(MAX)), 'binary')
+        assert.strictEqual(codecs.decompress(limit, 'binary').length, 2 * MAX)
+    })
+
+    it('refuses to compress messages larger than readers inflate before signing', async () => {
+        const raam = await RAAM.fromSeed('CODECTESTSEED'.padEnd(81, '9'), {height: 1, security: 1})
+        assert.throws(() => raam.createMessageTransfers(Buffer.alloc(MAX + 1), {compression: 'deflate'}), 
+            /can't exceed 1048576 bytes/)
+        assert.throws(() => raam.createMessageTransfers('A'.repeat(MAX + 1), {compression: 'deflate'}), 
+            /can't exceed 1048576 bytes/)
+        assert.ok(!raam.ledger.isConsumed(0))
+        assert.doesNotThrow(() => codecs.checkCompressible('A'.repeat(MAX + 1), 'trytes', 'none'))
+    })
+})
@@ -0,0 +1,85 @@
+const assert = require('assert')
+const prepareTransfers = require('@iota/core').createPrepareTransfers()
+const converter = require('@iota/converter')
+const RAAM = require('../lib/raam')
+const {getAddress} = require('../lib/message')
+const {intToTrytes} = require('../lib/helpers')
+
+const SEED = 'CURSORTESTSEED'.padEnd(81, '9')
+
+describe('cursor recovery', function () {
+    this.timeout(60000)
+    let iota, fetches, channel
+
+    // counts the requests, so that the batching can be checked
+    const countingBackend = backend => Object.assign({}, backend, {
+        async fetchTransactions(addresses) {
+            fetches.push(addresses.length)
+            return await backend.fetchTransactions(addresses)
+        }
+    })
+
+    const recovered = async options => {
+        const raam = await RAAM.fromSeed(SEED, {height: 3, security: 1, iota: countingBackend(iota)})
+        fetches = []
+        return await raam.recoverCursor(options)
+    }
+
+    before(async () => {
+        iota = RAAM.createMemoryBackend()
+        channel = await RAAM.fromSeed(SEED, {height: 3, security: 1, iota})
+        await channel.publish('FIRST')
+        await channel.publish('SECOND', {messagePassword: 'SECRET'})
+    })
+
+    it('recovers the index after the published messages with one request', async () => {
+        assert.strictEqual(await recovered(), 2)
+        assert.deepStrictEqual(fetches, [8])
+    })
+
+    it('fetches the addresses in batches', async () => {
+        assert.strictEqual(await recovered({batchSize: 1}), 2)
+        assert.deepStrictEqual(fetches, [1, 1, 1])
+        assert.strictEqual(await recovered({start: 1, batchSize: 3}), 2)
+        assert.deepStrictEqual(fetches, [3])
+    })
+
+    it('ignores spam at the address of an index', async () => {
+        const address = getAddress(channel.channelRoot, undefined, converter.trits(intToTrytes(2)))
+        const spam = await prepareTransfers('9'.repeat(81), [{address, value: 0, message: 'SPAM'.repeat(1000)}])
+        await iota.attachTrytes(spam)
+        assert.strictEqual(await recovered(), 2)
+
+        await channel.publish('THIRD', {index: 2})
+        assert.strictEqual(await recovered(), 3)
+    })
+
+    it('checks the ledger once for a batch', async () => {
+        const raam = await RAAM.fromSeed(SEED, {height: 3, security: 1, iota})
+        const ledger = raam.ledger
+        let queries = 0
+        raam.ledger = {
+            consume: ledger.consume,
+            isConsumed: () => assert.fail('checked a single index'),
+            areConsumed(indexes) {
+                queries++
+                return ledger.areConsumed(indexes)
+            }
+        }
+        assert.strictEqual(await raam.recoverCursor({batchSize: 4}), 3)
+        assert.strictEqual(queries, 1)
+    })
+
+    it('refuses an index occupied by a message encrypted with another password', async () => {
+        const raam = await RAAM.fromSeed(SEED, {height: 3, security: 1, iota, refuseOccupied: true})
+        await assert.rejects(raam.publish('AGAIN', {index: 1}), /already found on the tangle/)
+        assert.ok(await raam.isOccupied(1))
+        assert.ok(!await raam.isOccupied(4))
+    })
+
+    it('recovers channels walking their keys with a traversal', async () => {
+        const raam = await RAAM.fromSeed(SEED, {height: 3, security: 1, iota, traversal: true})
+        assert.strictEqual(await raam.recoverCursor(), 3)
+        assert.strictEqual(raam.cursor, 3)
+    })
+})
@@ -0,0 +1,265 @@
+const assert = require('assert')
+const {composeAPI} = require('@iota/core')
+const converter = require('@iota/converter')
+const RAAM = require('../lib/raam')
+const {RAAMReader} = RAAM
+const {startMockNode} = require('./fixtures/mockNode')
+
+const SEED = 'ENDTOENDTESTSEED'.padEnd(81, '9')
+
+describe('end-to-end against a mock node', function () {
+    this.timeout(60000)
+    let node, iota, raam
+
+    before(async () => {
+        node = await startMockNode()
+        iota = composeAPI({provider: node.provider})
+        raam = await RAAM.fromSeed(SEED, {height: 3, security: 1, iota})
+    })
+
+    after(() => node.close())
+
+    it('publishes a message and fetches it', async () => {
+        const bundle = await raam.publish('HELLOIOTA', {mwm: 1})
+        assert.strictEqual(bundle[0].address, bundle[bundle.length - 1].address)
+
+        const reader = new RAAMReader(raam.channelRoot, {iota})
+        const {messages, errors} = await reader.fetch({index: 0})
+        assert.deepStrictEqual(errors, [])
+        assert.deepStrictEqual(messages, ['HELLOIOTA'])
+    })
+
+    it('syncs a channel with encrypted and public messages', async () => {
+        await raam.publish('SECRET', {index: 1, mwm: 1, messagePassword: 'PASSWORD'})
+        await raam.publishPublic('PUBLIC', {index: 2, mwm: 1})
+
+        const reader = new RAAMReader(converter.trytes(raam.channelRoot), {iota, height: 3})
+        const {messages} = await reader.syncChannel({messagePasswords: [undefined, 'PASSWORD']})
+        assert.deepStrictEqual(messages, ['HELLOIOTA', 'SECRET'])
+        assert.strictEqual(reader.cursor, 2)
+        const {messages: publicMessages} = await reader.fetchPublic({index: 2})
+        assert.deepStrictEqual(publicMessages, ['PUBLIC'])
+    })
+
+    it('notifies subscribers of published messages', async () => {
+        const reader = new RAAMReader(raam.channelRoot, {iota})
+        let subscription
+        const arrived = new Promise((resolve, reject) => {
+            subscription = reader.subscribe((error, index, message) => error ? reject(error) : resolve({index, message}), 
+                {serverURL: node.zmqURL, index: 3})
+        })
+        // give the subscriber time to connect, since messages published before are lost
+        await new Promise(resolve => setTimeout(resolve, 500))
+        await raam.publish('SUBSCRIBED', {index: 3, mwm: 1})
+
+        const {index, message} = await arrived
+        subscription.unsubscribe()
+        assert.strictEqual(index, 3)
+        assert.strictEqual(message, 'SUBSCRIBED')
+        assert.strictEqual(reader.messages[3], 'SUBSCRIBED')
+    })
+
+    it('publishes compressed JSON messages in fewer transactions', async () => {
+        const telemetry = Array.from({length: 50}, (_, i) => ({sensor: 'temperature', unit: 'C', value: 20 + i % 3}))
+        // the uncompressed transfers are built in another channel, so that no index of this channel is used up
+        const other = await RAAM.fromSeed('COMPRESSIONSEED'.padEnd(81, '9'), {height: 1, security: 1})
+        const {transfers} = other.createMessageTransfers(telemetry)
+        const bundle = await raam.publish(telemetry, {index: 4, mwm: 1, compression: 'deflate'})
+        assert.ok(bundle.length < transfers.length)
+
+        const reader = new RAAMReader(raam.channelRoot, {iota})
+        const {messages} = await reader.fetch({index: 4})
+        assert.deepStrictEqual(messages, [telemetry])
+    })
+
+    it('splits long messages into chunks and reassembles them', async () => {
+        const firmware = Buffer.alloc(25000).map((_, i) => (i * 7919) % 256)
+        await raam.publish(firmware, {index: 6, mwm: 1})
+
+        const reader = new RAAMReader(raam.channelRoot, {iota})
+        const {messages, errors} = await reader.fetch({index: 6})
+        assert.deepStrictEqual(errors, [])
+        assert.ok(messages[0].equals(firmware))
+    })
+
+    it('rejects authenticated messages read with a wrong password', async () => {
+        await raam.publish('AUTHENTICATED', {index: 7, mwm: 1, messagePassword: 'PASSWORD', authenticated: true})
+
+        const reader = new RAAMReader(raam.channelRoot, {iota})
+        const {messages, skipped} = await reader.fetch({index: 7, messagePassword: 'WRONG'})
+        assert.deepStrictEqual(messages, [])
+        assert.ok(/password is wrong/.test(skipped[7][0].error.message))
+        const {messages: authenticated} = await reader.fetch({index: 7, messagePassword: 'PASSWORD'})
+        assert.deepStrictEqual(authenticated, ['AUTHENTICATED'])
+    })
+
+    it('reads messages with and without a nonce', async () => {
+        const channel = await RAAM.fromSeed('NONCETESTSEED', {height: 1, security: 1, iota})
+        const {transfers} = channel.createMessageTransfers('SALTED', {index: 0})
+        assert.notDeepStrictEqual(channel.createMessageTransfers('SALTED', {index: 0}).transfers, transfers)
+        // without a nonce a rebuilt message is the same as before
+        assert.deepStrictEqual(channel.createMessageTransfers('UNSALTED', {index: 1, nonce: false}).transfers, 
+            channel.createMessageTransfers('UNSALTED', {index: 1, nonce: false}).transfers)
+        await channel.publishMessageTransfers(transfers, {mwm: 1})
+        await channel.publish('UNSALTED', {index: 1, mwm: 1, nonce: false})
+
+        const reader = new RAAMReader(channel.channelRoot, {iota})
+        const {messages} = await reader.fetch({start: 0, end: 1})
+        assert.deepStrictEqual(messages, ['SALTED', 'UNSALTED'])
+    })
+
+    it('grants access to a range of messages with a range key', async () => {
+        const readKey = 'READKEY'.padEnd(81, '9')
+        const channel = await RAAM.fromSeed('RANGEKEYTESTSEED', {height: 2, security: 1, iota, readKey})
+        for (let day of ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY']) {
+            await channel.publish(day, {mwm: 1})
+        }
+
+        const reader = new RAAMReader(channel.channelRoot, {iota, rangeKey: channel.deriveRangeKey(1, 2)})
+        const {messages} = await reader.fetch({start: 0, end: 3})
+        assert.deepStrictEqual(messages, [, 'TUESDAY', 'WEDNESDAY'])
+        assert.throws(() => reader.deriveRangeKey(2, 3))
+        const {messages: delegated} = await new RAAMReader(channel.channelRoot, {iota})
+            .fetch({index: 2, rangeKey: reader.deriveRangeKey(2, 2)})
+        assert.deepStrictEqual(delegated, ['WEDNESDAY'])
+    })
+
+    it('encloses the key of a message for each recipient', async () => {
+        const channel = await RAAM.fromSeed('RECIPIENTSTESTSEED', {height: 1, security: 1, iota})
+        await channel.publish('FORALICEANDBOB', {mwm: 1, recipients: ['ALICE', 'BOB']})
+        await channel.publish('FORBOB', {mwm: 1, recipients: ['BOB']})
+
+        const read = messagePassword => new RAAMReader(channel.channelRoot, {iota}).fetch({start: 0, end: 1, messagePassword})
+        assert.deepStrictEqual((await read('BOB')).messages, ['FORALICEANDBOB', 'FORBOB'])
+        const {messages, skipped} = await read('ALICE')
+        assert.deepStrictEqual(messages, ['FORALICEANDBOB'])
+        assert.ok(/envelopes/.test(skipped[1][0].error.message))
+        assert.throws(() => channel.createMessageTransfers('FORBOB', {index: 1, recipients: ['BOB'], contentKey: 'KEY'}), 
+            /content key has to consist of 81 trytes/)
+    })
+
+    it('publishes a package of messages signed without network access', async () => {
+        const offline = await RAAM.fromSeed('PACKAGETESTSEED', {height: 1, security: 1})
+        const data = offline.exportPackage([
+            offline.createMessageTransfers('FIRST', {index: 0}),
+            offline.createMessageTransfers({second: true}, {index: 1, messagePassword: 'PASSWORD'})
+        ])
+        const {channelRoot, messages} = RAAM.importPackage(data)
+        assert.deepStrictEqual(channelRoot, offline.channelRoot)
+        assert.deepStrictEqual(messages.map(({index}) => index), [0, 1])
+        assert.ok(!/FIRST|PASSWORD/.test(data))
+        assert.throws(() => RAAM.importPackage(JSON.stringify({...JSON.parse(data), version: 2})), /Version 2/)
+        const tampered = JSON.parse(data)
+        tampered.messages[0].transfers[0].tag = 'T'.repeat(28)
+        assert.throws(() => RAAM.importPackage(JSON.stringify(tampered)), /malformed/)
+
+        const bundles = await RAAM.publishPackage(data, {iota, mwm: 1})
+        assert.strictEqual(bundles.length, 2)
+        const reader = new RAAMReader(offline.channelRoot, {iota})
+        assert.deepStrictEqual((await reader.fetch({index: 0})).messages, ['FIRST'])
+        assert.deepStrictEqual((await reader.fetch({index: 1, messagePassword: 'PASSWORD'})).messages, [{second: true}])
+    })
+
+    it('signs messages with an external signer', async () => {
+        const {hashes, channelRoot} = await RAAM.fromSeed('SIGNERTESTSEED', {height: 1, security: 1})
+        const signer = RAAM.createSigner('SIGNERTESTSEED', {security: 1})
+        const channel = new RAAM(undefined, hashes, 1, {iota, signer})
+        assert.throws(() => channel.createMessageTransfers('SIGNED'), /external signer/)
+        await channel.publish('SIGNED', {mwm: 1})
+
+        const forging = new RAAM(undefined, hashes, 1, {iota, signer: async index => signer.sign(index, '9'.repeat(81))})
+        await assert.rejects(forging.publish('FORGED', {index: 1, mwm: 1}), /doesn't verify/)
+
+        const {messages} = await new RAAMReader(channelRoot, {iota}).fetch({start: 0, end: 1})
+        assert.deepStrictEqual(messages, ['SIGNED'])
+    })
+
+    it('delegates a range of indexes to another writer', async () => {
+        const fleet = await RAAM.fromSeed('FLEETTESTSEED', {height: 2, security: 1, iota})
+        const sensor = await RAAM.fromSubtree(fleet.exportSubtree(2, 3), {iota})
+        assert.strictEqual(sensor.cursor, 2)
+        await sensor.publish('SENSOR', {mwm: 1})
+        assert.throws(() => sensor.createMessageTransfers('OUTSIDE', {index: 1}), /isn't held/)
+        assert.throws(() => fleet.createMessageTransfers('DELEGATED', {index: 3}), /already used/)
+        await fleet.publish('FLEET', {mwm: 1})
+
+        const {messages} = await new RAAMReader(fleet.channelRoot, {iota}).fetch({start: 0, end: 2})
+        assert.deepStrictEqual(messages, ['FLEET', , 'SENSOR'])
+    })
+
+    it('attaches bundles with local POW to a node without remote POW', async () => {
+        const api = composeAPI({provider: node.provider, 
+            attachToTangle: () => Promise.reject(new Error('attachToTangle is disabled'))})
+        const backend = RAAM.createIotaBackend(api, {pow: RAAM.localPow})
+        const channel = await RAAM.fromSeed('POWTESTSEED', {height: 1, security: 1, iota: backend})
+        await assert.rejects(channel.publish('REMOTE', {mwm: 5, iota: api}), /disabled/)
+        const bundle = await channel.publish('LOCAL', {index: 1, mwm: 5})
+        assert.ok(bundle.every(tx => converter.trits(tx.hash).slice(-5).every(trit => trit == 0)))
+
+        const {messages} = await new RAAMReader(channel.channelRoot, {iota}).fetch({index: 1})
+        assert.deepStrictEqual(messages, ['LOCAL'])
+    })
+
+    it('promotes and reattaches published messages until they are confirmed', async () => {
+        const events = []
+        const record = name => (index, tail) => events.push({name, index, tail})
+        const tracker = RAAM.createTracker({interval: 60000, promoteAfter: 0, reattachAfter: Infinity})
+        tracker.on('promoted', record('promoted')).on('confirmed', record('confirmed'))
+        const channel = await RAAM.fromSeed('TRACKERTESTSEED', {height: 1, security: 1, iota, tracker})
+        const bundle = await channel.publish('TRACKED', {mwm: 1})
+        const tail = bundle.find(tx => tx.currentIndex == 0).hash
+        assert.deepStrictEqual(tracker.getPending(), [0])
+
+        await tracker.check()
+        node.confirm(tail)
+        await tracker.check()
+        tracker.stop()
+        assert.deepStrictEqual(events, [{name: 'promoted', index: 0, tail}, {name: 'confirmed', index: 0, tail}])
+        assert.deepStrictEqual(tracker.getPending(), [])
+
+        const reattaching = RAAM.createTracker({interval: 60000, reattachAfter: 0, maxReattachments: 1})
+        const reattached = []
+        reattaching.on('reattached', (index, tail) => reattached.push(tail)).on('abandoned', record('abandoned'))
+        const reattachingChannel = new RAAM(channel.leafs, channel.hashes, 1, {iota, tracker: reattaching})
+        const second = await reattachingChannel.publish('REATTACHED', {index: 1, mwm: 1})
+        await reattaching.check()
+        assert.strictEqual(reattached.length, 1)
+        assert.notStrictEqual(reattached[0], second.find(tx => tx.currentIndex == 0).hash)
+        await reattaching.check()
+        reattaching.stop()
+        assert.deepStrictEqual(events.slice(2), [{name: 'abandoned', index: 1, tail: undefined}])
+
+        const {messages} = await new RAAMReader(channel.channelRoot, {iota}).fetch({start: 0, end: 1})
+        assert.deepStrictEqual(messages, ['TRACKED', 'REATTACHED'])
+    })
+
+    it('goes on polling after a failed check without keeping the process alive', async () => {
+        const memory = RAAM.createMemoryBackend()
+        const channel = await RAAM.fromSeed('POLLINGTESTSEED', {height: 1, security: 1, iota: memory})
+        const bundle = await channel.publish('POLLED', {mwm: 1})
+
+        const tracker = RAAM.createTracker({interval: 1, promoteAfter: Infinity, reattachAfter: Infinity})
+        // the listener of a failed message fails itself, so that the whole check fails
+        tracker.on('failed', () => {
+            throw new Error('listener failed')
+        })
+        const errors = []
+        const polled = new Promise(resolve => tracker.on('error', error => errors.push(error) == 2 && resolve()))
+        const unavailable = {getConfirmations: async () => {
+            throw new Error('node unavailable')
+        }}
+        const timers = []
+        const setTimeout = global.setTimeout
+        global.setTimeout = (...args) => timers[timers.push(setTimeout(...args)) - 1]
+        try {
+            tracker.track(0, [bundle], {iota: unavailable})
+        } finally {
+            global.setTimeout = setTimeout
+        }
+        await polled
+        tracker.stop()
+        assert.ok(!timers[0].hasRef())
+        assert.deepStrictEqual(errors.map(error => error.message), ['listener failed', 'listener failed'])
+        assert.deepStrictEqual(tracker.getPending(), [0])
+    })
+})
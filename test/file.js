@@ -0,0 +1,113 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const converter = require('@iota/converter')
+const RAAM = require('../lib/raam')
+
+const SEED = 'KEYFILETESTSEED'.padEnd(81, '9')
+
+describe('key files', function () {
+    this.timeout(60000)
+    let dir, fileName, lines, channelRoot
+
+    const writeLines = (name, content) => {
+        const target = path.join(dir, name)
+        fs.writeFileSync(target, content)
+        return target
+    }
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'raam-'))
+        fileName = path.join(dir, 'channelKeys.json')
+        const raam = await RAAM.fromSeed(SEED, {height: 2, security: 1, saveToFile: true, fileName})
+        channelRoot = converter.trytes(raam.channelRoot)
+        lines = fs.readFileSync(fileName).toString().split('\n').filter(line => line)
+    })
+
+    after(() => {
+        fs.readdirSync(dir).forEach(name => fs.unlinkSync(path.join(dir, name)))
+        fs.rmdirSync(dir)
+    })
+
+    it('completes a key file truncated in the middle of a line', async () => {
+        const truncated = writeLines('truncated.json', lines.slice(0, 3).join('\n') + '\n' + lines[3].slice(0, 100))
+        assert.throws(() => RAAM.fromFile(truncated), /incomplete/)
+        await assert.rejects(RAAM.completeFile(truncated, {seed: SEED}), /height of the channel has to be passed/)
+        await assert.rejects(RAAM.completeFile(truncated, {height: 2}), /seed of the channel has to be passed/)
+
+        const raam = await RAAM.completeFile(truncated, {seed: SEED, height: 2})
+        assert.strictEqual(converter.trytes(raam.channelRoot), channelRoot)
+        const reopened = RAAM.fromFile(truncated)
+        assert.strictEqual(converter.trytes(reopened.channelRoot), channelRoot)
+    })
+
+    it('refuses key files holding only the first node of a level', async () => {
+        const truncated = writeLines('firstNode.json', lines.slice(0, 5).join('\n') + '\n')
+        assert.throws(() => RAAM.fromFile(truncated), /incomplete/)
+        const raam = await RAAM.completeFile(truncated, {seed: SEED, height: 2})
+        assert.strictEqual(converter.trytes(raam.channelRoot), channelRoot)
+    })
+
+    it('completes a key file missing only the root', async () => {
+        const truncated = writeLines('noRoot.json', lines.slice(0, lines.length - 1).join('\n') + '\n')
+        assert.throws(() => RAAM.fromFile(truncated), /incomplete/)
+
+        const raam = await RAAM.completeFile(truncated, {seed: SEED, height: 2})
+        assert.strictEqual(converter.trytes(raam.channelRoot), channelRoot)
+    })
+
+    it('leaves complete key files untouched', async () => {
+        const content = fs.readFileSync(fileName).toString()
+        const raam = await RAAM.completeFile(fileName, {seed: SEED, height: 2})
+        assert.strictEqual(converter.trytes(raam.channelRoot), channelRoot)
+        assert.strictEqual(fs.readFileSync(fileName).toString(), content)
+        assert.ok(RAAM.fromFile(fileName) instanceof RAAM)
+        assert.throws(() => RAAM.fromFile(fileName, {height: 1}), /higher than 1/)
+        await assert.rejects(RAAM.completeFile(fileName, {seed: SEED, height: 1}), /higher than 1/)
+    })
+
+    describe('encrypted with a passphrase', () => {
+        let encrypted, records
+
+        before(async () => {
+            encrypted = path.join(dir, 'encrypted.json')
+            await RAAM.fromSeed(SEED, {height: 2, security: 1, saveToFile: true, fileName: encrypted, 
+                filePassword: 'secret'})
+            records = fs.readFileSync(encrypted).toString().split('\n').filter(line => line)
+        })
+
+        it('reads the channel with the passphrase', () => {
+            assert.ok(records.every(line => !line.includes(lines[0].slice(10, 91))))
+            const raam = RAAM.fromFile(encrypted, {filePassword: 'secret'})
+            assert.strictEqual(converter.trytes(raam.channelRoot), channelRoot)
+        })
+
+        it('rejects a wrong or missing passphrase', () => {
+            assert.throws(() => RAAM.fromFile(encrypted, {filePassword: 'wrong'}), /Password for the file is wrong/)
+            assert.throws(() => RAAM.fromFile(encrypted), /A password is needed/)
+            assert.throws(() => RAAM.fromFile(fileName, {filePassword: 'secret'}), /not encrypted/)
+        })
+
+        it('detects altered, removed and reordered lines', () => {
+            const altered = records.slice()
+            altered[2] = altered[2].slice(0, 40) + (altered[2][40] == 'A' ? 'B' : 'A') + altered[2].slice(41)
+            const removed = records.slice(0, 3).concat(records.slice(4))
+            const reordered = records.slice()
+            reordered[1] = records[2]
+            reordered[2] = records[1]
+            for (let tampered of [altered, removed, reordered]) {
+                const target = writeLines('tampered.json', tampered.join('\n') + '\n')
+                assert.throws(() => RAAM.fromFile(target, {filePassword: 'secret'}), /Integrity check failed/)
+            }
+        })
+
+        it('completes a truncated encrypted file', async () => {
+            const truncated = writeLines('encryptedTruncated.json', records.slice(0, 6).join('\n') + '\n')
+            assert.throws(() => RAAM.fromFile(truncated, {filePassword: 'secret'}), /incomplete/)
+            await RAAM.completeFile(truncated, {seed: SEED, height: 2, filePassword: 'secret'})
+            const raam = RAAM.fromFile(truncated, {filePassword: 'secret'})
+            assert.strictEqual(converter.trytes(raam.channelRoot), channelRoot)
+        })
+    })
+})
@@ -0,0 +1,132 @@
+const http = require('http')
+const zmq = require('zeromq')
+const converter = require('@iota/converter')
+const {asTransactionObject} = require('@iota/transaction-converter')
+
+const EMPTY_HASH = '9'.repeat(81)
+const TRUNK_START = 2430
+const BRANCH_START = 2511
+const ATTACHMENT_START = 2619
+const NONCE_START = 2646
+
+/**
+ * Starts a stand-in for an IRI node, which answers the HTTP commands used by RAAM and publishes stored
+ * transactions on a ZMQ tx_trytes socket. Attached transactions are chained like IRI does, but no POW is done.
+ *
+ * @param {object} [options] - Optional parameters.
+ * @param {number} [options.port = 0] - The port of the HTTP API. By default a free port is chosen.
+ * @param {number} [options.zmqPort = 5557] - The port of the ZMQ publisher.
+ * @returns {Promise} resolving to <code>{provider, zmqURL, transactions, confirm, close}</code>. Transactions are
+ * unconfirmed until they are confirmed by calling <code>confirm</code> with their hashes.
+ */
+async function startMockNode({port = 0, zmqPort = 5557} = {}) {
+    const transactions = new Map()
+    const confirmed = new Set()
+    const zmqURL = `tcp://127.0.0.1:${zmqPort}`
+    const publisher = zmq.socket('pub')
+    publisher.bindSync(zmqURL)
+
+    const store = trytes => trytes.forEach(t => {
+        const tx = asTransactionObject(t)
+        if (!transactions.has(tx.hash)) {
+            transactions.set(tx.hash, t)
+            publisher.send(`tx_trytes ${t} ${tx.hash}`)
+        }
+    })
+
+    const commands = {
+        findTransactions({addresses, bundles, tags}) {
+            const matches = (values, value) => values == undefined || values.includes(value)
+            const hashes = Array.from(transactions.entries())
+                .map(([hash, t]) => asTransactionObject(t, hash))
+                .filter(tx => matches(addresses, tx.address) && matches(bundles, tx.bundle)
+                    && matches(tags, tx.tag))
+                .map(tx => tx.hash)
+            return {hashes}
+        },
+        getTrytes({hashes}) {
+            return {trytes: hashes.map(h => transactions.get(h) || '9'.repeat(2673))}
+        },
+        getTransactionsToApprove({reference}) {
+            const tips = Array.from(transactions.keys())
+            const tip = tips.length > 0 ? tips[tips.length - 1] : EMPTY_HASH
+            return {trunkTransaction: tip, branchTransaction: reference || tip}
+        },
+        getInclusionStates({transactions: hashes}) {
+            return {states: hashes.map(hash => confirmed.has(hash))}
+        },
+        attachToTangle({trunkTransaction, branchTransaction, trytes}) {
+            let previous
+            return {trytes: trytes.map(t => {
+                const attached = t.slice(0, TRUNK_START)
+                    .concat(previous || trunkTransaction)
+                    .concat(previous ? trunkTransaction : branchTransaction)
+                    .concat(t.slice(BRANCH_START + 81, ATTACHMENT_START))
+                    .concat(valueTrytes(Date.now(), 9))
+                    .concat(valueTrytes(0, 9))
+                    .concat(valueTrytes((Math.pow(3, 27) - 1) / 2, 9))
+                    .concat(t.slice(NONCE_START))
+                previous = asTransactionObject(attached).hash
+                return attached
+            })}
+        },
+        storeTransactions({trytes}) {
+            store(trytes)
+            return {}
+        },
+        broadcastTransactions() {
+            return {}
+        },
+        getNodeInfo() {
+            const milestone = EMPTY_HASH
+            return {appName: 'IRI', appVersion: 'mock', latestMilestone: milestone, latestSolidSubtangleMilestone: milestone}
+        }
+    }
+
+    const server = http.createServer((req, res) => {
+        let body = ''
+        req.on('data', chunk => body += chunk)
+        req.on('end', () => {
+            let status = 200
+            let response
+            try {
+                const request = JSON.parse(body)
+                if (!commands[request.command]) {
+                    status = 400
+                    response = {error: `Command [${request.command}] is unknown`}
+                } else {
+                    response = commands[request.command](request)
+                }
+            } catch (e) {
+                status = 500
+                response = {error: e.message}
+            }
+            res.writeHead(status, {'Content-Type': 'application/json'})
+            res.end(JSON.stringify(response))
+        })
+    })
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve))
+
+    return {
+        provider: `http://127.0.0.1:${server.address().port}`,
+        zmqURL,
+        transactions,
+        confirm(...hashes) {
+            hashes.forEach(hash => confirmed.add(hash))
+        },
+        close() {
+            publisher.close()
+            return new Promise(resolve => server.close(resolve))
+        }
+    }
+}
+
+function valueTrytes(value, length) {
+    const trits = new Int8Array(length * 3)
+    trits.set(converter.trits(value))
+    return converter.trytes(trits)
+}
+
+module.exports = {
+    startMockNode
+}
@@ -0,0 +1,126 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {execFile} = require('child_process')
+const ledgers = require('../lib/ledger')
+
+const digestOf = tryte => tryte.repeat(81)
+
+// consumes the indexes from 0 to count - 1 in another process and resolves to the indexes it could consume
+function consumeInProcess(fileName, digest, count) {
+    const script = `
+        const ledger = require(${JSON.stringify(require.resolve('../lib/ledger'))})
+            .createFileLedger(${JSON.stringify(fileName)})
+        const consumed = []
+        for (let i = 0; i < ${count}; i++) {
+            if (ledger.consume(i, '${digest}')) {
+                consumed.push(i)
+            }
+        }
+        console.log(JSON.stringify(consumed))`
+    return new Promise((resolve, reject) => execFile(process.execPath, ['-e', script],
+        (error, stdout) => error ? reject(error) : resolve(JSON.parse(stdout))))
+}
+
+describe('ledgers', function () {
+    this.timeout(60000)
+    let dir
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'raam-'))
+    })
+
+    after(() => {
+        fs.readdirSync(dir).forEach(name => fs.unlinkSync(path.join(dir, name)))
+        fs.rmdirSync(dir)
+    })
+
+    for (let [name, create] of [['memory', () => ledgers.createMemoryLedger()],
+        ['file', () => ledgers.createFileLedger(path.join(dir, 'refuse.ledger'))]]) {
+        it(`refuses to consume an index again for another digest in a ${name} ledger`, () => {
+            const ledger = create()
+            assert.ok(!ledger.isConsumed(3))
+            assert.ok(ledger.consume(3, digestOf('A')))
+            assert.ok(ledger.isConsumed(3))
+            assert.ok(ledger.consume(3, digestOf('A')))
+            assert.ok(!ledger.consume(3, digestOf('B')))
+            assert.ok(!ledger.isConsumed(4))
+            assert.deepStrictEqual(ledger.areConsumed([2, 3, 4]), [false, true, false])
+        })
+    }
+
+    it('keeps the entries of a file ledger for other instances', () => {
+        const fileName = path.join(dir, 'shared.ledger')
+        assert.ok(ledgers.createFileLedger(fileName).consume(7, digestOf('A')))
+        const ledger = ledgers.createFileLedger(fileName)
+        assert.ok(ledger.isConsumed(7))
+        assert.ok(!ledger.consume(7, digestOf('B')))
+    })
+
+    it('reads only the entries appended since the last call', () => {
+        const fileName = path.join(dir, 'growing.ledger')
+        const ledger = ledgers.createFileLedger(fileName)
+        for (let index = 0; index < 500; index++) {
+            assert.ok(ledger.consume(index, digestOf('A')))
+        }
+        const other = ledgers.createFileLedger(fileName)
+        assert.ok(other.isConsumed(499))
+        assert.ok(other.consume(500, digestOf('B')))
+
+        const readSync = fs.readSync
+        let read = 0
+        fs.readSync = (fd, buffer, ...rest) => {
+            read += buffer.length
+            return readSync(fd, buffer, ...rest)
+        }
+        try {
+            assert.ok(!ledger.consume(500, digestOf('A')))
+            assert.ok(ledger.consume(501, digestOf('A')))
+        } finally {
+            fs.readSync = readSync
+        }
+        // the entry of the other instance and the own one, besides the last byte checked before appending
+        assert.ok(read < 3 * 86, `${read} bytes read`)
+    })
+
+    it('reads a line being appended by another process once it is complete', () => {
+        const fileName = path.join(dir, 'appending.ledger')
+        const line = `5 ${digestOf('A')}\n`
+        fs.writeFileSync(fileName, line.slice(0, 30))
+        const ledger = ledgers.createFileLedger(fileName)
+        assert.ok(!ledger.isConsumed(5))
+        fs.appendFileSync(fileName, line.slice(30))
+        assert.ok(ledger.isConsumed(5))
+        assert.ok(!ledger.consume(5, digestOf('B')))
+    })
+
+    it('lets exactly one of several processes consume an index', async () => {
+        const fileName = path.join(dir, 'concurrent.ledger')
+        const digests = ['A', 'B', 'C', 'D'].map(digestOf)
+        const results = await Promise.all(digests.map(digest => consumeInProcess(fileName, digest, 300)))
+        const ledger = ledgers.createFileLedger(fileName)
+        for (let index = 0; index < 300; index++) {
+            const winners = digests.filter((digest, i) => results[i].includes(index))
+            assert.strictEqual(winners.length, 1, `index ${index} was consumed by ${winners.length} processes`)
+            assert.ok(ledger.consume(index, winners[0]))
+        }
+    })
+
+    it('ends a line left incomplete by a crash before appending', () => {
+        const fileName = path.join(dir, 'crashed.ledger')
+        fs.writeFileSync(fileName, `1 ${digestOf('A')}\n2 ${digestOf('B').slice(0, 40)}`)
+        const ledger = ledgers.createFileLedger(fileName)
+        // the index of the incomplete entry wasn't signed, since signing only starts after the entry was written
+        assert.ok(!ledger.isConsumed(2))
+        assert.ok(ledger.consume(3, digestOf('C')))
+        assert.ok(ledger.isConsumed(1))
+
+        const reopened = ledgers.createFileLedger(fileName)
+        assert.ok(reopened.isConsumed(3))
+        assert.ok(!reopened.consume(3, digestOf('D')))
+        assert.ok(reopened.consume(2, digestOf('B')))
+        assert.deepStrictEqual(fs.readFileSync(fileName).toString().split('\n').slice(2),
+            [`3 ${digestOf('C')}`, `2 ${digestOf('B')}`, ''])
+    })
+})
@@ -0,0 +1,98 @@
+const assert = require('assert')
+const converter = require('@iota/converter')
+const merkle = require('../lib/merkle')
+const sign = require('../lib/sign')
+const ledgers = require('../lib/ledger')
+
+const SEED = 'MERKLETESTSEED'.padEnd(81, '9')
+const HEIGHT = 3
+
+describe('merkle tree', function () {
+    this.timeout(60000)
+    let tree
+
+    before(async () => {
+        tree = await merkle.createTree(SEED, HEIGHT, {security: 1})
+    })
+
+    const authPathOf = index => merkle.getAuthPath(index, HEIGHT)
+        .map((i, level) => converter.trytes(tree.hashes[level][i].hash))
+
+    it('traverses the signing keys and authentication paths of all leafs', async () => {
+        const traversal = await merkle.createTraversal(SEED, HEIGHT, {security: 1})
+        assert.strictEqual(converter.trytes(traversal.root), converter.trytes(tree.root))
+        for (let index = 0; index < Math.pow(2, HEIGHT); index++) {
+            const {signingKey, verifyingKey, authPathHashes} = merkle.traverseTo(traversal, index)
+            assert.strictEqual(converter.trytes(signingKey), converter.trytes(tree.leafs[index].private))
+            assert.strictEqual(converter.trytes(verifyingKey), converter.trytes(tree.leafs[index].public))
+            assert.deepStrictEqual(authPathHashes.map(hash => converter.trytes(hash)), authPathOf(index))
+        }
+    })
+
+    it('skips indexes, but refuses to traverse backwards', async () => {
+        const traversal = await merkle.createTraversal(SEED, HEIGHT, {security: 1})
+        assert.deepStrictEqual(merkle.traverseTo(traversal, 5).authPathHashes.map(hash => converter.trytes(hash)),
+            authPathOf(5))
+        assert.throws(() => merkle.traverseTo(traversal, 4), /already passed/)
+        assert.throws(() => merkle.traverseTo(traversal, Math.pow(2, HEIGHT)), /to big/)
+    })
+
+    it('streams the same nodes while traversing as when building the tree', async () => {
+        const leafs = [], hashes = Array.from({length: HEIGHT + 1}, () => [])
+        await merkle.createTraversal(SEED, HEIGHT, {security: 1, progressCallback: (newLeafs, newHashes) => {
+            leafs.push(...newLeafs)
+            newHashes.forEach((level, height) => hashes[height].push(...level))
+        }})
+        assert.deepStrictEqual(leafs.map(leaf => converter.trytes(leaf.public)),
+            tree.leafs.map(leaf => converter.trytes(leaf.public)))
+        assert.deepStrictEqual(hashes.map(level => level.map(node => converter.trytes(node.hash))),
+            tree.hashes.map(level => level.map(node => converter.trytes(node.hash))))
+    })
+
+    it('builds the same tree with parallel workers', async () => {
+        const reported = []
+        const parallel = await merkle.createTreeParallel(SEED, HEIGHT, {security: 1, workers: 2,
+            progressCallback: (leafs, hashes) => reported.push(...hashes.map(level => level.length))})
+        assert.strictEqual(converter.trytes(parallel.root), converter.trytes(tree.root))
+        assert.deepStrictEqual(parallel.leafs.map(leaf => [leaf.index, converter.trytes(leaf.private)]),
+            tree.leafs.map(leaf => [leaf.index, converter.trytes(leaf.private)]))
+        assert.deepStrictEqual(parallel.hashes.map(level => level.map(node => [node.index, converter.trytes(node.hash)])),
+            tree.hashes.map(level => level.map(node => [node.index, converter.trytes(node.hash)])))
+        // every node is reported once, so that the key file doesn't contain duplicates
+        assert.strictEqual(reported.reduce((a, b) => a + b, 0), Math.pow(2, HEIGHT + 1) - 1)
+    })
+
+    it('stops the parallel workers when reporting the progress fails', async () => {
+        const unhandled = []
+        const listener = reason => unhandled.push(reason)
+        process.on('unhandledRejection', listener)
+        let calls = 0
+        try {
+            await assert.rejects(merkle.createTreeParallel(SEED, HEIGHT, {security: 1, workers: 2, timeout: 0,
+                progressCallback: async () => {
+                    if (++calls == 1) {
+                        throw new Error('disk full')
+                    }
+                }}), /disk full/)
+            await new Promise(resolve => setTimeout(resolve, 100))
+        } finally {
+            process.removeListener('unhandledRejection', listener)
+        }
+        assert.deepStrictEqual(unhandled, [])
+        // nothing is reported after the failure
+        assert.strictEqual(calls, 1)
+    })
+
+    it('signs only one digest with the key of an index', async () => {
+        const ledger = ledgers.createMemoryLedger()
+        const signer = merkle.createSigner(SEED, {security: 1, ledger})
+        const [digest, other] = ['A', 'B'].map(tryte => tryte.repeat(81))
+        const signature = await signer.sign(3, digest)
+        assert.ok(sign.verifyMessage(signature, digest, tree.leafs[3].public))
+        assert.deepStrictEqual(await signer.sign(3, digest), signature)
+        await assert.rejects(signer.sign(3, other), /already used/)
+        assert.ok(sign.verifyMessage(await signer.sign(4, other), other, tree.leafs[4].public))
+        // another signer sharing the ledger, e.g. after a restart, refuses as well
+        await assert.rejects(merkle.createSigner(SEED, {security: 1, ledger}).sign(4, digest), /already used/)
+    })
+})
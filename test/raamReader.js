@@ -0,0 +1,118 @@
+const assert = require('assert')
+const prepareTransfers = require('@iota/core').createPrepareTransfers()
+const converter = require('@iota/converter')
+const RAAM = require('../lib/raam')
+const {getAddress} = require('../lib/message')
+const {intToTrytes} = require('../lib/helpers')
+
+const SEED = 'READERTESTSEED'.padEnd(81, '9')
+const HEIGHT = 5
+const HEAD = 19
+
+describe('RAAMReader', function () {
+    this.timeout(120000)
+    let iota, channel, fetches
+
+    // counts the requests to the node
+    const counting = {
+        async fetchTransactions(addresses) {
+            fetches++
+            return await iota.fetchTransactions(addresses)
+        }
+    }
+
+    const addressOf = index => getAddress(channel.channelRoot, undefined, converter.trits(intToTrytes(index)))
+
+    const spam = async index => {
+        const transfers = [{address: addressOf(index), value: 0, message: 'SPAM'}]
+        await iota.attachTrytes(await prepareTransfers('9'.repeat(81), transfers))
+    }
+
+    const messageOf = index => `MESSAGE${intToTrytes(index)}`
+
+    before(async () => {
+        iota = RAAM.createMemoryBackend()
+        channel = await RAAM.fromSeed(SEED, {height: HEIGHT, security: 1, iota})
+        for (let i = 0; i <= HEAD; i++) {
+            await channel.publish(messageOf(i))
+        }
+        await spam(HEAD + 1)
+    })
+
+    describe('head search', () => {
+        beforeEach(() => {
+            fetches = 0
+        })
+
+        it('finds the last message of a channel with O(log n) requests', async () => {
+            const head = await RAAM.RAAMReader.findHead(counting, channel.channelRoot, {height: HEIGHT})
+            assert.strictEqual(head, HEAD)
+            assert.ok(fetches <= 2 * HEIGHT, `${fetches} requests`)
+        })
+
+        it('starts the search after the messages stored locally', async () => {
+            const reader = new RAAM.RAAMReader(channel.channelRoot, {iota: counting, height: HEIGHT})
+            await reader.fetch({start: 0, end: 9})
+            fetches = 0
+            assert.strictEqual(await reader.findHead(), HEAD)
+            assert.ok(fetches <= 2 * Math.log2(HEAD - 9) + 1, `${fetches} requests`)
+        })
+
+        it('finds no head in an empty channel', async () => {
+            const empty = await RAAM.fromSeed('EMPTY'.padEnd(81, '9'), {height: 1, security: 1})
+            assert.strictEqual(await RAAM.RAAMReader.findHead(iota, empty.channelRoot), -1)
+            const reader = new RAAM.RAAMReader(empty.channelRoot, {iota})
+            const {messages} = await reader.fetchLatest(3)
+            assert.deepStrictEqual(messages, [])
+            assert.strictEqual(reader.cursor, 0)
+        })
+
+        it('reads the last messages and sets the cursor after them', async () => {
+            const reader = new RAAM.RAAMReader(channel.channelRoot, {iota})
+            const {messages} = await reader.fetchLatest(3)
+            assert.deepStrictEqual(messages, [17, 18, 19].map(messageOf))
+            assert.strictEqual(reader.cursor, HEAD + 1)
+        })
+    })
+
+    describe('fetching ranges', () => {
+        beforeEach(() => {
+            fetches = 0
+        })
+
+        it('queries a range in batches and leaves missing indexes empty', async () => {
+            const indexes = []
+            const {messages, errors} = await RAAM.RAAMReader.fetchMessages(counting, channel.channelRoot, 
+                {start: 15, end: 25, batchSize: 4, concurrency: 2, callback: (error, index) => indexes.push(index)})
+            assert.strictEqual(fetches, 3)
+            assert.deepStrictEqual(messages, [15, 16, 17, 18, 19].map(messageOf))
+            assert.deepStrictEqual(errors, [])
+            // the callback is called in the order of the indexes, although batches are queried in parallel
+            assert.deepStrictEqual(indexes, Array.from({length: 11}, (_, i) => 15 + i))
+        })
+
+        it('records the failure of a batch for its indexes only', async () => {
+            const failing = {
+                async fetchTransactions(addresses) {
+                    if (addresses.includes(addressOf(8))) {
+                        throw new Error('node unavailable')
+                    }
+                    return await iota.fetchTransactions(addresses)
+                }
+            }
+            const {messages, errors} = await RAAM.RAAMReader.fetchMessages(failing, channel.channelRoot, 
+                {start: 0, end: 11, batchSize: 4})
+            assert.deepStrictEqual(Object.keys(messages).map(Number), [0, 1, 2, 3, 4, 5, 6, 7])
+            assert.deepStrictEqual(errors.map(error => error.message), new Array(4).fill('node unavailable'))
+        })
+
+        it('stores a fetched range in the reader', async () => {
+            const reader = new RAAM.RAAMReader(channel.channelRoot, {iota: counting})
+            await reader.fetch({start: 18, end: 21, batchSize: 2})
+            assert.strictEqual(fetches, 2)
+            assert.strictEqual(reader.messages[18], messageOf(18))
+            assert.strictEqual(reader.messages[19], messageOf(19))
+            assert.strictEqual(reader.messages[20], undefined)
+        })
+    })
+})
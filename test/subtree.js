@@ -0,0 +1,67 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const RAAM = require('../lib/raam')
+const ledgers = require('../lib/ledger')
+
+const SEED = 'SUBTREETESTSEED'.padEnd(81, '9')
+
+describe('subtrees', function () {
+    this.timeout(60000)
+    let dir, tree
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'raam-'))
+        tree = await RAAM.fromSeed(SEED, {height: 3, security: 1})
+    })
+
+    after(() => {
+        fs.readdirSync(dir).forEach(name => fs.unlinkSync(path.join(dir, name)))
+        fs.rmdirSync(dir)
+    })
+
+    const channel = ledger => new RAAM(tree.leafs, tree.hashes, 3, {iota: RAAM.createMemoryBackend(), ledger})
+
+    it('refuses to export indexes which were delegated or used before', async () => {
+        const raam = channel(ledgers.createMemoryLedger())
+        raam.exportSubtree(2, 3)
+        assert.throws(() => raam.exportSubtree(2, 3), /index 2 was already used or delegated/)
+        assert.throws(() => raam.exportSubtree(0, 2), /index 2 was already used or delegated/)
+        await raam.publish('USED', {index: 4})
+        assert.throws(() => raam.exportSubtree(4, 5), /index 4 was already used or delegated/)
+        assert.ok(!raam.ledger.isConsumed(5))
+        raam.exportSubtree(5, 7)
+    })
+
+    it('records the range only after the file was written', () => {
+        const raam = channel(ledgers.createMemoryLedger())
+        assert.throws(() => raam.exportSubtree(0, 1, {fileName: path.join(dir, 'missing', 'sensor.json')}), /ENOENT/)
+        assert.ok(!raam.ledger.isConsumed(0))
+
+        const fileName = path.join(dir, 'sensor.json')
+        raam.exportSubtree(0, 1, {fileName})
+        assert.ok(fs.existsSync(fileName))
+        assert.ok(raam.ledger.isConsumed(0) && raam.ledger.isConsumed(1))
+    })
+
+    it('removes the file if another process used an index in the meantime', () => {
+        const ledger = ledgers.createMemoryLedger()
+        // the index is used by another process after it was checked
+        const racing = Object.assign({}, ledger, {
+            consume: (index, digest) => index != 1 && ledger.consume(index, digest)
+        })
+        const fileName = path.join(dir, 'raced.json')
+        assert.throws(() => channel(racing).exportSubtree(0, 1, {fileName}), /index 1 was already used/)
+        assert.ok(!fs.existsSync(fileName))
+    })
+
+    it('leaves an existing file untouched', () => {
+        const raam = channel(ledgers.createMemoryLedger())
+        const fileName = path.join(dir, 'existing.json')
+        fs.writeFileSync(fileName, 'precious\n')
+        assert.throws(() => raam.exportSubtree(0, 1, {fileName}), /already exists/)
+        assert.strictEqual(fs.readFileSync(fileName).toString(), 'precious\n')
+        assert.ok(!raam.ledger.isConsumed(0))
+    })
+})
@@ -0,0 +1,137 @@
+const assert = require('assert')
+const converter = require('@iota/converter')
+const {createPrepareTransfers} = require('@iota/core')
+const merkle = require('../lib/merkle')
+const sign = require('../lib/sign')
+const sender = require('../lib/message')
+const {encrypt, decrypt} = require('../lib/encrypt')
+const readKeys = require('../lib/readKeys')
+const {intToTrytes, hashTrytes} = require('../lib/helpers')
+const RAAM = require('../lib/raam')
+const RAAMReader = require('../lib/raamReader')
+const vectors = require('./vectors/vectors.json')
+
+const optional = value => value == null ? undefined : value
+
+describe('protocol test vectors', function () {
+    this.timeout(60000)
+
+    describe('merkle trees', () => {
+        vectors.trees.forEach(vector => {
+            it(`height ${vector.height}, security ${vector.security}, offset ${vector.offset}`, async () => {
+                const {seed, height, security, offset} = vector
+                const {leafs, hashes, root} = await merkle.createTree(seed, height, {security, offset})
+                assert.strictEqual(converter.trytes(root), vector.root)
+                leafs.forEach((leaf, i) => {
+                    assert.strictEqual(hashTrytes(converter.trytes(leaf.private)), vector.leafs[i].privateKeyHash)
+                    assert.strictEqual(converter.trytes(leaf.public), vector.leafs[i].public)
+                    const authPath = merkle.getAuthPath(i, height).map((j, level) => converter.trytes(hashes[level][j].hash))
+                    assert.deepStrictEqual(authPath, vector.authPaths[i])
+                    assert.ok(merkle.verifyMerkleTree(converter.trits(vector.root), leaf.public, i,
+                        vector.authPaths[i].map(h => converter.trits(h))))
+                })
+            })
+        })
+    })
+
+    describe('addresses and keys', () => {
+        vectors.addresses.forEach(vector => {
+            const {root, index} = vector
+            const channelPassword = optional(vector.channelPassword)
+            const messagePassword = optional(vector.messagePassword)
+            it(`index ${index} of ${root.slice(0, 9)} with${channelPassword ? '' : 'out'} channel password`, () => {
+                const indexTrits = converter.trits(intToTrytes(index))
+                const rootTrits = converter.trits(root)
+                assert.strictEqual(sender.getAddress(rootTrits, channelPassword, indexTrits), vector.address)
+                assert.strictEqual(sender.getKey(rootTrits, channelPassword, indexTrits, messagePassword), vector.key)
+                assert.strictEqual(sender.publicPassword(rootTrits, index), vector.publicPassword)
+            })
+        })
+    })
+
+    describe('encryption', () => {
+        vectors.encryption.forEach(vector => {
+            const salt = optional(vector.salt)
+            it(`${vector.plaintext.length} trytes with${salt ? '' : 'out'} salt`, () => {
+                assert.strictEqual(encrypt(vector.plaintext, vector.key, salt), vector.ciphertext)
+                assert.strictEqual(decrypt(vector.ciphertext, vector.key, salt), vector.plaintext)
+            })
+        })
+    })
+
+    describe('signatures', () => {
+        vectors.signatures.forEach(vector => {
+            it(`security ${vector.security}`, () => {
+                const {private: privateKey, public: publicKey} = sign.createKeyPair(vector.seed, vector.security)
+                assert.strictEqual(converter.trytes(publicKey), vector.public)
+                assert.strictEqual(converter.trytes(sign.createSignature(privateKey, vector.digest)), vector.signature)
+                assert.ok(sign.verifyMessage(converter.trits(vector.signature), vector.digest, publicKey))
+            })
+        })
+    })
+
+    describe('read keys', () => {
+        vectors.readKeys.forEach(vector => {
+            const {readKey, height, start, end} = vector
+            it(`range ${start} to ${end} of a tree of height ${height}`, () => {
+                const rangeKey = readKeys.createRangeKey(readKey, height, start, end)
+                assert.strictEqual(rangeKey, vector.rangeKey)
+                vector.messagePasswords.forEach((password, i) => {
+                    assert.strictEqual(readKeys.getMessagePassword(rangeKey, start + i), password)
+                })
+                assert.strictEqual(readKeys.getMessagePassword(rangeKey, end + 1), undefined)
+            })
+        })
+    })
+
+    describe('messages', () => {
+        vectors.messages.forEach(vector => {
+            const {seed, height, security, index, codec, compression, timestamp} = vector
+            const message = codec == 'binary' ? Buffer.from(vector.message) : vector.message
+            const channelPassword = optional(vector.channelPassword)
+            const messagePassword = optional(vector.messagePassword)
+            const nextRoot = vector.nextRoot ? converter.trits(vector.nextRoot) : undefined
+            const tag = optional(vector.tag)
+            const metadata = optional(vector.metadata)
+            const authenticated = vector.authenticated
+            const nonce = vector.nonce || false
+            const recipients = optional(vector.recipients)
+            const contentKey = optional(vector.contentKey)
+
+            it(`index ${index} with codec ${codec} and compression ${compression}`, async () => {
+                const raam = await RAAM.fromSeed(seed, {height, security, channelPassword})
+                assert.strictEqual(converter.trytes(raam.channelRoot), vector.root)
+                const {transfers, chunks} = raam.createMessageTransfers(message, {index, tag, messagePassword, nextRoot, 
+                    codec, compression, metadata, authenticated, nonce, recipients, contentKey})
+                assert.deepStrictEqual(transfers.map(({address, message}) => ({address, message})), vector.transfers)
+                const prepareTransfers = createPrepareTransfers(undefined, () => timestamp)
+                assert.deepStrictEqual(await prepareTransfers('9'.repeat(81), transfers), vector.bundle)
+                assert.strictEqual(chunks.length, vector.chunks.length)
+                for (let i = 0; i < chunks.length; i++) {
+                    assert.strictEqual(sender.getChunkAddress(vector.transfers[0].address, i + 1), vector.chunks[i].address)
+                    assert.ok(chunks[i].every(({address}) => address == vector.chunks[i].address))
+                    assert.deepStrictEqual(await prepareTransfers('9'.repeat(81), chunks[i]), vector.chunks[i].bundle)
+                }
+            })
+
+            it(`reads index ${index} from the bundle`, async () => {
+                const iota = RAAM.createMemoryBackend()
+                for (let chunk of vector.chunks) {
+                    await iota.attachTrytes(chunk.bundle, {})
+                }
+                await iota.attachTrytes(vector.bundle, {})
+                for (let recipient of recipients || []) {
+                    const {messages} = await RAAMReader.fetchMessages(iota, converter.trits(vector.root),
+                        {index, channelPassword, messagePassword: recipient, height, security})
+                    assert.deepStrictEqual(messages, [message])
+                }
+                const {messages, branches, metadata: fetchedMetadata} = await RAAMReader.fetchMessages(iota, converter.trits(vector.root),
+                    {index, channelPassword, messagePassword: recipients ? recipients[0] : messagePassword, height, security})
+                assert.deepStrictEqual(messages, [message])
+                assert.deepStrictEqual(fetchedMetadata[0], metadata)
+                const branch = branches[0] && branches[0].length > 0 ? converter.trytes(branches[0]) : null
+                assert.strictEqual(branch, vector.nextRoot)
+            })
+        })
+    })
+})
@@ -0,0 +1,213 @@
+// Generates the protocol test vectors in vectors.json. Run with `npm run vectors` after an intended change
+// of the protocol and commit the result together with the change.
+const fs = require('fs')
+const path = require('path')
+const converter = require('@iota/converter')
+const {createPrepareTransfers} = require('@iota/core')
+const merkle = require('../../lib/merkle')
+const sign = require('../../lib/sign')
+const sender = require('../../lib/message')
+const {encrypt} = require('../../lib/encrypt')
+const readKeys = require('../../lib/readKeys')
+const {intToTrytes, hashTrytes} = require('../../lib/helpers')
+const RAAM = require('../../lib/raam')
+
+const VERSION = 1
+const TIMESTAMP = 1546300800
+const SEEDS = ['VECTORSEEDONE', 'VECTORSEEDTWO', 'VECTORSEEDTHREE'].map(s => s.padEnd(81, '9'))
+
+async function createTreeVectors() {
+    const configs = [
+        {seed: SEEDS[0], height: 1, security: 1, offset: 0},
+        {seed: SEEDS[1], height: 2, security: 2, offset: 0},
+        {seed: SEEDS[2], height: 3, security: 1, offset: 5}
+    ]
+    const vectors = []
+    for (let {seed, height, security, offset} of configs) {
+        const {leafs, hashes, root} = await merkle.createTree(seed, height, {security, offset})
+        vectors.push({
+            seed,
+            height,
+            security,
+            offset,
+            leafs: leafs.map(leaf => ({
+                index: leaf.index,
+                privateKeyHash: hashTrytes(converter.trytes(leaf.private)),
+                public: converter.trytes(leaf.public)
+            })),
+            root: converter.trytes(root),
+            authPaths: leafs.map(leaf => merkle.getAuthPath(leaf.index, height)
+                .map((i, level) => converter.trytes(hashes[level][i].hash)))
+        })
+    }
+    return vectors
+}
+
+function createAddressVectors(roots) {
+    const configs = [
+        {index: 0},
+        {index: 1, channelPassword: 'CHANNELPASSWORD'},
+        {index: 7, messagePassword: 'MESSAGEPASSWORD'},
+        {index: 27, channelPassword: 'CHANNELPASSWORD', messagePassword: 'MESSAGEPASSWORD'},
+        {index: 1000}
+    ]
+    const vectors = []
+    roots.forEach(root => configs.forEach(({index, channelPassword, messagePassword}) => {
+        const indexTrits = converter.trits(intToTrytes(index))
+        const rootTrits = converter.trits(root)
+        vectors.push({
+            root,
+            index,
+            channelPassword: channelPassword || null,
+            messagePassword: messagePassword || null,
+            address: sender.getAddress(rootTrits, channelPassword, indexTrits),
+            key: sender.getKey(rootTrits, channelPassword, indexTrits, messagePassword),
+            publicPassword: sender.publicPassword(rootTrits, index)
+        })
+    }))
+    return vectors
+}
+
+function createEncryptionVectors() {
+    const configs = [
+        {key: 'KEY', plaintext: 'A'},
+        {key: SEEDS[0], plaintext: 'HELLOIOTA'.repeat(9)},
+        {key: SEEDS[1], salt: 'SALT', plaintext: 'RAAM'.repeat(30)},
+        {key: SEEDS[2], salt: SEEDS[0], plaintext: '9ABCDEFGHIJKLMNOPQRSTUVWXYZ'.repeat(81)}
+    ]
+    return configs.map(({key, salt, plaintext}) => ({
+        key,
+        salt: salt || null,
+        plaintext,
+        ciphertext: encrypt(plaintext, key, salt)
+    }))
+}
+
+function createSignatureVectors() {
+    const configs = [
+        {seed: SEEDS[0], security: 1, digest: 'MESSAGE'},
+        {seed: SEEDS[1], security: 2, digest: 'DIGEST'.repeat(20)},
+        {seed: SEEDS[2], security: 3, digest: ''}
+    ]
+    return configs.map(({seed, security, digest}) => {
+        const {private: privateKey, public: publicKey} = sign.createKeyPair(seed, security)
+        return {
+            seed,
+            security,
+            digest,
+            public: converter.trytes(publicKey),
+            signature: converter.trytes(sign.createSignature(privateKey, digest))
+        }
+    })
+}
+
+function createReadKeyVectors() {
+    const configs = [
+        {readKey: 'READKEY'.padEnd(81, '9'), height: 1, start: 0, end: 1},
+        {readKey: 'READKEY'.padEnd(81, '9'), height: 3, start: 2, end: 2},
+        {readKey: SEEDS[0], height: 3, start: 1, end: 6},
+        {readKey: SEEDS[1], height: 5, start: 8, end: 23}
+    ]
+    return configs.map(({readKey, height, start, end}) => {
+        const rangeKey = readKeys.createRangeKey(readKey, height, start, end)
+        return {
+            readKey,
+            height,
+            start,
+            end,
+            rangeKey,
+            messagePasswords: Array.from({length: end - start + 1}, (_, i) => 
+                readKeys.getMessagePassword(rangeKey, start + i))
+        }
+    })
+}
+
+async function createMessageVectors() {
+    const {channelRoot} = await RAAM.fromSeed(SEEDS[2], {height: 1, security: 1})
+    const configs = [
+        {seed: SEEDS[0], height: 1, security: 1, index: 0, message: 'HELLOIOTA'},
+        {seed: SEEDS[1], height: 2, security: 2, index: 3, message: 'RAAM'.repeat(600),
+            channelPassword: 'CHANNELPASSWORD', messagePassword: 'MESSAGEPASSWORD', tag: 'VECTOR'},
+        {seed: SEEDS[0], height: 1, security: 1, index: 1, message: '', nextRoot: converter.trytes(channelRoot)},
+        {seed: SEEDS[2], height: 1, security: 1, index: 0, message: 'Grüße aus RAAM', codec: 'utf8'},
+        {seed: SEEDS[2], height: 1, security: 1, index: 1, message: {index: 1, values: [1.5, 'two', null]}, codec: 'json'},
+        {seed: SEEDS[1], height: 2, security: 2, index: 0, message: [0, 1, 127, 128, 255], codec: 'binary',
+            messagePassword: 'MESSAGEPASSWORD'},
+        {seed: SEEDS[2], height: 1, security: 1, index: 0, message: 'METADATA', 
+            metadata: {timestamp: TIMESTAMP, contentType: 'text/plain', headers: {origin: 'vectors'}}},
+        {seed: SEEDS[1], height: 2, security: 2, index: 1, message: 'AUTHENTICATED', 
+            messagePassword: 'MESSAGEPASSWORD', authenticated: true},
+        {seed: SEEDS[0], height: 1, security: 1, index: 0, message: 'SALTED', nonce: 'NONCE'.padEnd(81, '9')},
+        {seed: SEEDS[0], height: 1, security: 1, index: 1, message: 'SALTEDANDAUTHENTICATED', nonce: 'NONCE'.padEnd(81, '9'), 
+            authenticated: true},
+        {seed: SEEDS[2], height: 1, security: 1, index: 1, message: 'Compressed by RAAM. '.repeat(50), codec: 'utf8', 
+            compression: 'deflate'},
+        {seed: SEEDS[1], height: 2, security: 2, index: 2, message: 'CHUNKED'.repeat(3000), 
+            messagePassword: 'MESSAGEPASSWORD'},
+        {seed: SEEDS[2], height: 1, security: 1, index: 0, message: 'FORALICEANDBOB', recipients: ['ALICE', 'BOB'], 
+            contentKey: 'CONTENTKEY'.padEnd(81, '9'), nonce: 'NONCE'.padEnd(81, '9'), authenticated: true}
+    ]
+    const prepareTransfers = createPrepareTransfers(undefined, () => TIMESTAMP)
+    const vectors = []
+    for (let config of configs) {
+        const {seed, height, security, index, message, channelPassword, messagePassword, nextRoot, tag, metadata, 
+            authenticated = false, nonce, recipients, contentKey} = config
+        const codec = config.codec || 'trytes'
+        const compression = config.compression || 'none'
+        const raam = await RAAM.fromSeed(seed, {height, security, channelPassword})
+        const {transfers, chunks} = raam.createMessageTransfers(codec == 'binary' ? Buffer.from(message) : message,
+            {index, tag, messagePassword, nextRoot: nextRoot ? converter.trits(nextRoot) : undefined, codec, compression, 
+                metadata, authenticated, nonce: nonce || false, recipients, contentKey})
+        vectors.push({
+            seed,
+            height,
+            security,
+            index,
+            message,
+            codec,
+            compression,
+            channelPassword: channelPassword || null,
+            messagePassword: messagePassword || null,
+            nextRoot: nextRoot || null,
+            tag: tag || null,
+            metadata: metadata || null,
+            authenticated,
+            nonce: nonce || null,
+            recipients: recipients || null,
+            contentKey: contentKey || null,
+            root: converter.trytes(raam.channelRoot),
+            timestamp: TIMESTAMP,
+            transfers: transfers.map(({address, message}) => ({address, message})),
+            bundle: await prepareTransfers('9'.repeat(81), transfers),
+            chunks: await Promise.all(chunks.map(async chunk => ({
+                address: chunk[0].address,
+                bundle: await prepareTransfers('9'.repeat(81), chunk)
+            })))
+        })
+    }
+    return vectors
+}
+
+async function createVectors() {
+    const trees = await createTreeVectors()
+    return {
+        version: VERSION,
+        trees,
+        addresses: createAddressVectors(trees.map(({root}) => root)),
+        encryption: createEncryptionVectors(),
+        signatures: createSignatureVectors(),
+        readKeys: createReadKeyVectors(),
+        messages: await createMessageVectors()
+    }
+}
+
+if (require.main === module) {
+    createVectors().then(vectors => {
+        const fileName = path.join(__dirname, 'vectors.json')
+        fs.writeFileSync(fileName, JSON.stringify(vectors, null, 2) + '\n')
+        console.log('Written to', fileName)
+    }).catch(e => {
+        console.error(e)
+        process.exit(1)
+    })
+}
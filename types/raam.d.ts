@@ -1,6 +1,8 @@
+/// <reference types="node" />
+import {EventEmitter} from 'events';
 import {API} from '@iota/core';
 import {Trytes, Transfer, Hash, Transaction} from '@iota/core/typings/types';
-import {RAAMReader, Security} from './raamReader';
+import {RAAMReader, Security, Backend, Payload, Codec, Compression, Metadata} from './raamReader';
 
 /**
  * An object containing public and private key for one-time signing a message.
@@ -31,15 +33,141 @@ export class Node {
     public readonly height: number;
 }
 
+/**
+ * The state of a merkle tree traversal. Only the seed, the current authentication path and a small amount of
+ * nodes needed to compute the following authentication paths are held, so that the memory needed doesn't
+ * grow with the amount of leafs. Indexes can only be signed in ascending order.
+ * @typedef {object} Traversal
+ * @property {Trytes} seed - The seed from which the signing keys are created.
+ * @property {number} height - The height of the merkle tree.
+ * @property {number} security - The security of the signing keys as a number between 1 and 4.
+ * @property {number} offset - The starting index used for building the subroots from which the keys are created.
+ * @property {Int8Array} root - The merkle root as trits.
+ * @property {number} index - The index of the leaf the current authentication path belongs to.
+ */
+export class Traversal {
+    public readonly seed: Trytes;
+    public readonly height: number;
+    public readonly security: Security;
+    public readonly offset: number;
+    public readonly root: Int8Array;
+    public readonly index: number;
+}
+
+/**
+ * A binary key file opened for reading single leafs and nodes of a merkle tree.
+ * @typedef {object} KeyFile
+ * @property {number} height - The height of the stored merkle tree.
+ * @property {number} security - The security of the stored signing keys.
+ * @property {Function} readLeaf - Reads the leaf with the given index. Returns undefined if it's not stored.
+ * @property {Function} readNode - Reads the node with the given height and index. Returns undefined if it's not stored.
+ * @property {Function} close - Closes the file.
+ */
+export class KeyFile {
+    public readonly height: number;
+    public readonly security: Security;
+
+    public readLeaf(index: number): Leaf | undefined;
+    public readNode(height: number, index: number): Node | undefined;
+    public close(): void;
+}
+
+/**
+ * A ledger recording the indexes of which the one-time signing keys were used. An index is recorded before
+ * its signature is created. Since the methods are called while creating a message, they have to be synchronous.
+ * @typedef {object} Ledger
+ * @property {Function} consume - Called with the index and a hash of the signed digest. Records the index and 
+ * returns true, if the index isn't recorded yet or was recorded with the same digest. Otherwise returns false. 
+ * Checking and recording has to be atomic.
+ * @property {Function} isConsumed - Returns whether the given index is recorded.
+ * @property {Function} [areConsumed] - Optional. Returns for an array of indexes whether each index is recorded. 
+ * Is used to check a batch of indexes at once.
+ */
+export interface Ledger {
+    consume(index: number, digest: Trytes): boolean;
+    isConsumed(index: number): boolean;
+    areConsumed?(indexes: number[]): boolean[];
+}
+
+/**
+ * A signer creating the signatures of messages outside of this process, e.g. in a signing daemon or a secure 
+ * element. It's either a function or an object with a method <code>sign</code>, which is called with the index
+ * and the digest of a message as trytes and resolves to the signature created with the signing key of the index, 
+ * as trits or trytes. A signer for a seed is created with {@link RAAM.createSigner}.
+ * @typedef {Function|object} Signer
+ */
+export type SignCallback = (index: number, digest: Trytes) => Promise<Int8Array | Trytes>;
+export type Signer = SignCallback | {sign: SignCallback};
+
+/**
+ * A tracker recording the bundles of published messages. It polls whether their tails are confirmed, promotes 
+ * bundles which aren't confirmed after a while and reattaches them after a longer while. It's an EventEmitter 
+ * emitting the events <code>confirmed</code>, <code>promoted</code>, <code>reattached</code>, 
+ * <code>abandoned</code> and <code>failed</code>, each with the index of the message. Created by 
+ * {@link RAAM.createTracker}.
+ * @typedef {EventEmitter} Tracker
+ * @property {Function} track - Called with the index of a message, the bundles of the message and its chunks and 
+ * an object <code>{iota, depth, mwm}</code>. Records the bundles until they are confirmed.
+ * @property {Function} check - Checks all recorded bundles once. Resolves after promoting and reattaching them.
+ * @property {Function} getPending - Returns the indexes of the messages which aren't confirmed yet.
+ * @property {Function} start - Resumes polling.
+ * @property {Function} stop - Stops polling until it's resumed. Otherwise polling runs while bundles are recorded.
+ * Polling doesn't keep the process alive. If a check fails as a whole, the error is emitted as <code>error</code> 
+ * to the listeners of this event, iff any, and polling goes on.
+ */
+export interface Tracker extends EventEmitter {
+    track(index: number | undefined, bundles: Transaction[][], {iota, depth, mwm}?: 
+        {iota?: API | Backend, depth?: number, mwm?: number}): void;
+    check(): Promise<void>;
+    getPending(): Array<number | undefined>;
+    start(): void;
+    stop(): void;
+}
+
 /**
  * An object representing a message as transfers for a iota transaction bundle.
  * @typedef {object} MessageTransfers
  * @property {Array.<Transfer>} transfers - The array of transfers forming the transactions of a IOTA bundle.
+ * @property {Array.<Array.<Transfer>>} chunks - The transfers of the bundles holding the chunks of a message, which
+ * is too long for a single bundle. Empty for other messages.
  * @property {Message} message - The compiled RAAM message with all neccessary information to create its transfers.
  */
 export class MessageTransfers {
     public readonly message: Message;
     public readonly transfers: Transfer[];
+    public readonly chunks: Transfer[][];
+}
+
+/**
+ * An extract of a merkle tree with the signing keys of a range of indexes and the nodes needed for their 
+ * authentication paths.
+ * @typedef {object} Subtree
+ * @property {number} height - The height of the merkle tree of the channel.
+ * @property {number} start - The first index of the range.
+ * @property {number} end - The last index of the range.
+ * @property {Array.<Leaf>} leafs - The leafs of the range at their indexes.
+ * @property {Array.<Array.<Node>>} hashes - The nodes of the authentication paths of the range and the merkle root 
+ * at their heights and indexes.
+ */
+export class Subtree {
+    public readonly height: number;
+    public readonly start: number;
+    public readonly end: number;
+    public readonly leafs: Leaf[];
+    public readonly hashes: Node[][];
+}
+
+/**
+ * A signed message of a package, which can be published with {@link RAAM#publishMessageTransfers}.
+ * @typedef {object} PackagedMessage
+ * @property {number} index - The index of the message in the channel.
+ * @property {Array.<Transfer>} transfers - The array of transfers forming the transactions of a IOTA bundle.
+ * @property {Array.<Array.<Transfer>>} chunks - The transfers of the bundles holding the chunks of the message.
+ */
+export class PackagedMessage {
+    public readonly index: number;
+    public readonly transfers: Transfer[];
+    public readonly chunks: Transfer[][];
 }
 
 /** 
@@ -49,7 +177,13 @@ export class MessageTransfers {
  * @property {number} height - A number between 1 and 26 representing the height 
  * of the merkle tree used for this channel.
  * @property {number} security - The security of the signing and encryption keys as a number between 1 and 4. 
- * @property {Trytes} message - The message to attach to the channel as trytes.
+ * @property {Trytes} message - The message to attach to the channel encoded as trytes.
+ * @property {string} codec - The name of the codec the message was encoded with.
+ * @property {string} compression - The name of the compression applied to the message before its transport.
+ * @property {Trytes} metadata - The signed metadata of the message encoded as JSON in trytes, iff any.
+ * @property {boolean} authenticated - Whether the encrypted payload is authenticated by a tag.
+ * @property {Trytes} nonce - The nonce salting the encryption of the message, iff any.
+ * @property {Array.<Trytes>} recipients - The passwords of the recipients of the message, iff any.
  * @property {Int8Array} signature - The signature created from the message digest with signing key from the merkle tree.
  * @property {Int8Array} verifyingKey - The key to verify the signature and to verify its membership of the merkle tree.
  * @property {Array.<Int8Array>} authPathHashes - The other merkle tree nodes to rebuild the merkle root.
@@ -60,12 +194,101 @@ export class Message {
     public readonly height: number;
     public readonly security: Security;
     public readonly message: Trytes;
+    public readonly codec: Codec;
+    public readonly compression: Compression;
+    public readonly metadata?: Trytes;
+    public readonly authenticated: boolean;
+    public readonly nonce?: Trytes;
+    public readonly recipients?: Trytes[];
     public readonly signature: Int8Array;
     public readonly verifyingKey: Int8Array;
     public readonly authPathHashes: Int8Array[];
 }
 
-export {RAAMReader} from './raamReader';
+export {RAAMReader, Backend, Payload, Codec, Compression, Metadata} from './raamReader';
+
+/**
+ * A backend holding a tangle in memory. Bundles are attached without POW.
+ * @typedef {Backend} MemoryBackend
+ * @property {Function} getTransactions - Returns all stored transaction objects.
+ * @property {Function} clear - Removes all stored transactions.
+ */
+export interface MemoryBackend extends Backend {
+    getTransactions(): Transaction[];
+    clear(): void;
+}
+
+/**
+ * Does the POW of a transaction. It's called with the trytes of the transaction and the min weight magnitude and 
+ * resolves to a nonce of 27 trytes, so that the hash of the transaction ends with as many zero trits.
+ * @typedef {Function} PowProvider
+ */
+export type PowProvider = (trytes: Trytes, mwm: number) => Promise<Trytes>;
+
+/**
+ * Wraps a composed IOTA API into a backend.
+ * 
+ * @param {API} iota - A composed IOTA API for communication with a full node.
+ * @param {object} [options] - Optional parameters.
+ * @param {PowProvider} [options.pow] - A provider doing the POW locally, like {@link localPow} or a binding of a 
+ * native or WASM implementation of Curl. Bundles are then attached locally and the node only stores and broadcasts 
+ * them, so that nodes without remote POW can be used. By default the POW is done by the node.
+ * @returns {Backend}
+ */
+export function createIotaBackend(iota: API, {pow}?: {pow?: PowProvider}): Backend;
+
+/**
+ * Does the POW of a transaction in javascript. 32 nonces are searched in parallel, but every further trit of the min 
+ * weight magnitude triples the expected work: a transaction takes about 0.15 seconds for a min weight magnitude of 9 
+ * and about half a minute for 14, the min weight magnitude of the mainnet. It's meant for testnets and occasional messages.
+ * 
+ * @param {Trytes} trytes - The trytes of the transaction.
+ * @param {number} mwm - The min weight magnitude.
+ * @returns {Promise}
+ * @fulfil {Trytes} - The nonce of the transaction.
+ */
+export function localPow(trytes: Trytes, mwm: number): Promise<Trytes>;
+
+/**
+ * Creates a tracker of the confirmations of published messages. It's passed to a channel with the option 
+ * <code>tracker</code>.
+ * 
+ * @param {object} [options] - Optional parameters.
+ * @param {number} [options.interval = 30000] - The milliseconds between two checks of the recorded bundles.
+ * @param {number} [options.promoteAfter = 60000] - The milliseconds after attaching a bundle, after which it's promoted
+ * on every check until it's confirmed.
+ * @param {number} [options.reattachAfter = 600000] - The milliseconds after attaching a bundle, after which it's 
+ * reattached.
+ * @param {number} [options.maxReattachments = 3] - The number of reattachments of a bundle, after which a message is 
+ * abandoned.
+ * @returns {Tracker}
+ */
+export function createTracker({interval, promoteAfter, reattachAfter, maxReattachments}?: 
+    {interval?: number, promoteAfter?: number, reattachAfter?: number, maxReattachments?: number}): Tracker;
+
+/**
+ * Creates a backend holding a tangle in memory, e.g. for running an application offline or for tests.
+ * 
+ * @returns {MemoryBackend}
+ */
+export function createMemoryBackend(): MemoryBackend;
+
+/**
+ * Creates a signer for the channel of a seed, e.g. to run it in a separate process holding the seed. The signer 
+ * records the digest it signed for every index in a ledger and refuses to sign another digest for the same index, 
+ * since the signing keys are one-time keys. Signing the same digest again returns the same signature.
+ * 
+ * @param {Trytes} seed - The seed the channel was created from.
+ * @param {object} [options] - Optional parameters.
+ * @param {Trytes} [options.channelPassword] - The password of the channel, iff any.
+ * @param {number} [options.security = 2] - The security of the signing keys as a number between 1 and 4.
+ * @param {number} [options.offset = 0] - The starting index used for building the subroots from which the keys are created.
+ * @param {Ledger|string} [options.ledger] - The ledger recording the signed indexes or the name of a file used as ledger. 
+ * Defaults to a ledger held in memory, which only protects the keys as long as the signer is running.
+ * @returns {Signer}
+ */
+export function createSigner(seed: Trytes, {channelPassword, security, offset, ledger}?: 
+    {channelPassword?: Trytes, security?: Security, offset?: number, ledger?: Ledger | string}): Signer;
 
 /**
  * Callback function that is called after a given timeout to report the progress in channel creation. 
@@ -82,8 +305,14 @@ export type ProgressCallback = (leafs: Leaf[], hashes: Node[]) => void;
  * @typicalname raam
  */
 export class RAAM extends RAAMReader {
-    public readonly leafs: Leaf[];
-    public readonly hashes: Node[];
+    public readonly leafs?: Leaf[];
+    public readonly hashes?: Node[];
+    public readonly traversal?: Traversal;
+    public readonly keyFile?: KeyFile;
+    public readonly ledger: Ledger;
+    public refuseOccupied: boolean;
+    public readonly signer?: Signer;
+    public readonly tracker?: Tracker;
 
     /**
      * @constructs RAAM
@@ -92,52 +321,140 @@ export class RAAM extends RAAMReader {
      * @param {Array.<Node>} hashes - The nodes of the merkle tree which will be used for the 
      * authentication path of the messages.
      * @param {object} [options] - Optional parameters.
-     * @param {API} [options.iota] - A composed IOTA API for communication with a full node providing POW.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for communication with a full node providing POW.
      * @param {Trytes} [options.channelPassword] - The optional password for the channel as trytes.
-     * @throws {Error} if tree is incomplete.
+     * @param {Traversal} [options.traversal] - A merkle tree traversal from which signing keys and authentication
+     * paths are regenerated on demand. If it's passed leafs and hashes are not needed.
+     * @param {KeyFile} [options.keyFile] - An opened binary key file from which signing keys and nodes of the merkle
+     * tree are read on demand. If it's passed leafs and hashes are not needed.
+     * @param {Ledger} [options.ledger] - The ledger recording the indexes of which the signing keys were used. 
+     * Defaults to a ledger held in memory.
+     * @param {boolean} [options.refuseOccupied = false] - whether to check the tangle for a signed message before publishing
+     * a message and to refuse publishing if one is found at the same index.
+     * @param {Trytes} [options.readKey] - A secret of 81 trytes from which a tree of keys over the indexes of the channel
+     * is derived. If it's set, messages are encrypted with the password derived for their index, unless another message
+     * password is passed, and range keys granting access to ranges of indexes can be derived.
+     * @param {Signer} [options.signer] - A signer holding the signing keys outside of this process. If it's passed only 
+     * the nodes of the merkle tree are needed as hashes, but no leafs. Messages are then signed with 
+     * {@link RAAM#signMessageTransfers} or published with {@link RAAM#publish}.
+     * @param {Tracker} [options.tracker] - A tracker, which records the bundles of published messages and promotes or 
+     * reattaches them until they are confirmed. See {@link RAAM.createTracker}.
+     * @throws 
+     * - if tree is incomplete.
+     * - if read key isn't 81 trytes.
      */
-    public constructor(leafs: Leaf[], hashes: Node[], height: number, 
-        {iota, channelPassword}?: {iota?: API, channelPassword?: Trytes});
+    public constructor(leafs: Leaf[] | undefined, hashes: Node[] | undefined, height: number, 
+        {iota, channelPassword, traversal, keyFile, ledger, refuseOccupied, readKey, signer, tracker}?: {iota?: API | Backend, 
+            channelPassword?: Trytes, traversal?: Traversal, keyFile?: KeyFile, ledger?: Ledger, refuseOccupied?: boolean, 
+            readKey?: Trytes, signer?: Signer, tracker?: Tracker});
 
     /**
      * Compiles the authentication path and a signature using the correct signing key. Converts the encrypted payload
      * of the message into transaction transfers. This message can be decoded by only using its address.
      * 
-     * @param {Trytes} message - The message to attach to the channel as trytes.
+     * @param {Payload} message - The message to attach to the channel. It's encoded by the codec.
      * @param {object} [options] - Optional parameters.
      * @param {number} [options.index = this.cursor] - The index of the message in the channel.
      * @param {Trytes} [options.tag = 'RAAM'] - Tag
      * @param {Int8Array} [options.nextRoot] - The root of another channel, used for branching or when channel is exausted.
+     * @param {string} [options.codec] - The codec encoding the message: 'trytes', 'utf8', 'json' or 'binary'. By default
+     * trytes are encoded with 'trytes', other strings with 'utf8', Buffers with 'binary' and other values with 'json'.
+     * @param {string} [options.compression = 'none'] - The compression of the encoded message: 'none' or 'deflate'. 
+     * Compressed messages can't be read by versions of RAAM without support for compression. Readers decompress at 
+     * most 1 MiB, so larger messages can't be compressed.
+     * @param {object} [options.metadata] - Key value pairs, which are signed and published together with the message, 
+     * like <code>{timestamp: Date.now(), contentType: 'application/json'}</code>.
+     * @param {boolean} [options.authenticated = false] - Whether a tag authenticating the encrypted payload is attached, 
+     * so that readers with a wrong password fail with a distinct error and altered messages are rejected before parsing.
+     * Authenticated messages can't be read by versions of RAAM without support for authentication.
+     * @param {boolean|Trytes} [options.nonce = true] - Whether the encryption is salted by a random nonce, which is 
+     * published in cleartext with the message, so that rebuilding a message never reuses a key stream. 81 trytes are 
+     * used as the nonce instead. Messages with a nonce can't be read by versions of RAAM without support for nonces, 
+     * so messages for them are created with false.
      *
      * @returns {MessageTransfers} 
      * @throws
-     * - if message isn't formatted as trytes.
+     * - if message can't be encoded by the codec, e.g. isn't formatted as trytes for the codec 'trytes'.
+     * - if message is compressed and larger than 1 MiB before compression.
+     * - if metadata isn't an object or is too long.
+     * - if nonce is neither a boolean nor 81 trytes.
      * - if index is not between zero and the maximal index of the channel.
      * - if a message was already found at this index.
      * - if channel password is set.
      */
-    public createPublicMessageTransfers(message: Trytes, {index, tag, nextRoot}?: 
-        {index?: number, tag?: Trytes, nextRoot?: Int8Array}): MessageTransfers;
+    public createPublicMessageTransfers(message: Payload, {index, tag, nextRoot, codec, compression, metadata, authenticated, nonce}?: 
+        {index?: number, tag?: Trytes, nextRoot?: Int8Array, codec?: Codec, compression?: Compression, metadata?: Metadata, authenticated?: boolean, nonce?: boolean | Trytes}): MessageTransfers;
 
     /**
      * Compiles the authentication path and a signature using the correct signing key. Converts the encrypted payload
      * of the message into transaction transfers.
      * 
-     * @param {Trytes} message - The message to attach to the channel as trytes.
+     * @param {Payload} message - The message to attach to the channel. It's encoded by the codec.
      * @param {object} [options] - Optional parameters.
      * @param {number} [options.index = this.cursor] - The index of the message in the channel.
      * @param {Trytes} [options.tag = 'RAAM'] - Tag
-     * @param {Trytes} [options.messagePassword] - The password to encrypt this message with.
+     * @param {Trytes} [options.messagePassword] - The password to encrypt this message with. Defaults to the password
+     * derived from the read key for the index, iff the read key is set.
      * @param {Int8Array} [options.nextRoot] - The root of another channel, used for branching or when channel is exausted.
+     * @param {string} [options.codec] - The codec encoding the message: 'trytes', 'utf8', 'json' or 'binary'. By default
+     * trytes are encoded with 'trytes', other strings with 'utf8', Buffers with 'binary' and other values with 'json'.
+     * @param {string} [options.compression = 'none'] - The compression of the encoded message: 'none' or 'deflate'. 
+     * Compressed messages can't be read by versions of RAAM without support for compression. Readers decompress at 
+     * most 1 MiB, so larger messages can't be compressed.
+     * @param {object} [options.metadata] - Key value pairs, which are signed and published together with the message, 
+     * like <code>{timestamp: Date.now(), contentType: 'application/json'}</code>.
+     * @param {boolean} [options.authenticated = false] - Whether a tag authenticating the encrypted payload is attached, 
+     * so that readers with a wrong password fail with a distinct error and altered messages are rejected before parsing.
+     * Authenticated messages can't be read by versions of RAAM without support for authentication.
+     * @param {boolean|Trytes} [options.nonce = true] - Whether the encryption is salted by a random nonce, which is 
+     * published in cleartext with the message, so that rebuilding a message never reuses a key stream. 81 trytes are 
+     * used as the nonce instead. Messages with a nonce can't be read by versions of RAAM without support for nonces, 
+     * so messages for them are created with false.
+     * @param {Array.<Trytes>} [options.recipients] - The passwords of the recipients of the message. The message is
+     * encrypted with a random key, which is enclosed in an envelope for every recipient, so that every recipient reads 
+     * the message with its own password. The message password isn't used then. Messages for recipients can't be read by 
+     * versions of RAAM without support for recipients.
+     * @param {Trytes} [options.contentKey] - 81 trytes used as the key of a message for recipients instead of a random
+     * key. It must be as secret as the message and never be used for another message.
      *
      * @returns {MessageTransfers} 
      * @throws
-     * - if message isn't formatted as trytes.
+     * - if message can't be encoded by the codec, e.g. isn't formatted as trytes for the codec 'trytes'.
+     * - if message is compressed and larger than 1 MiB before compression.
+     * - if metadata isn't an object or is too long.
+     * - if nonce is neither a boolean nor 81 trytes.
+     * - if recipients aren't a non-empty array of passwords.
+     * - if content key isn't 81 trytes.
+     * - if message is too long, even when split into chunks.
      * - if index is not between zero and the maximal index of the channel.
      * - if a message was already found at this index.
+     * - if the signing key of the index was already used for another message.
+     * - if the traversal of the merkle tree has already passed the index.
+     * - if the signing key of the index isn't held, e.g. because it's outside of a delegated range.
+     * - if the channel was created with an external signer.
      */
-    public createMessageTransfers(message: Trytes, {index, tag, messagePassword, nextRoot}?: 
-        {index?: number, tag?: Trytes, messagePassword?: Trytes, nextRoot?: Int8Array}): MessageTransfers;
+    public createMessageTransfers(message: Payload, {index, tag, messagePassword, nextRoot, codec, compression, metadata, 
+        authenticated, nonce, recipients, contentKey}?: {index?: number, tag?: Trytes, messagePassword?: Trytes, 
+            nextRoot?: Int8Array, codec?: Codec, compression?: Compression, metadata?: Metadata, authenticated?: boolean, 
+            nonce?: boolean | Trytes, recipients?: Trytes[], contentKey?: Trytes}): MessageTransfers;
+
+    /**
+     * Does the same as {@link RAAM#createMessageTransfers}, but signs the message asynchronously. If the channel was
+     * created with an external signer, it's asked for the signature, which is verified before the transfers are built.
+     * 
+     * @param {Payload} message - The message to attach to the channel. It's encoded by the codec.
+     * @param {object} [options] - Optional parameters. The same as for {@link RAAM#createMessageTransfers}.
+     *
+     * @returns {Promise}
+     * @fulfil {MessageTransfers}
+     * @reject {Error}
+     * - for the same reasons as {@link RAAM#createMessageTransfers}.
+     * - if the signer returns an invalid signature.
+     */
+    public signMessageTransfers(message: Payload, {index, tag, messagePassword, nextRoot, codec, compression, metadata, 
+        authenticated, nonce, recipients, contentKey}?: {index?: number, tag?: Trytes, messagePassword?: Trytes, 
+            nextRoot?: Int8Array, codec?: Codec, compression?: Compression, metadata?: Metadata, authenticated?: boolean, 
+            nonce?: boolean | Trytes, recipients?: Trytes[], contentKey?: Trytes}): Promise<MessageTransfers>;
 
     /**
      * Takes transaction transfers and converts them into a transaction bundle, which is then attached 
@@ -147,17 +464,36 @@ export class RAAM extends RAAMReader {
      * @param {object} [options] - Optional parameters.
      * @param {Message} [options.message] - The compiled RAAM message with all neccessary information to create its transfers.
      * If it's passed message will be stored locally after publishing.
+     * @param {Array.<Array.<Transfer>>} [options.chunks] - The transfers of the chunks of the message. They are attached
+     * before the transfers of the message.
      * @param {number} [options.depth = 3] - Depth
      * @param {number} [options.mwm = 14] - Min weight magnitude
-     * @param {API} [options.iota = this.iota] - A composed IOTA API for communication with a full node providing POW.
+     * @param {API|Backend} [options.iota = this.iota] - A composed IOTA API or a backend for communication with a full node providing POW.
+     * @param {Trytes} [options.messagePassword] - The password the message is encrypted with. Is only used to check for
+     * messages at the same index if refuseOccupied is set and the channel is signed by an external signer.
      * 
      * @returns {Promise}
      * @fulfil {Transaction[]} - The bundle of the attached message.
      * @reject {Error} 
      * - if message is too long
+     * - if refuseOccupied is set and a message signed for the same index was found.
      */
-    public publishMessageTransfers(transfers: Transfer[], {message, depth, mwm, iota}?: 
-        {message?: Message, depth?: number, mwm?: number, iota?: API}): Promise<Transaction[]>;
+    public publishMessageTransfers(transfers: Transfer[], {message, chunks, depth, mwm, iota, messagePassword}?: 
+        {message?: Message, chunks?: Transfer[][], depth?: number, mwm?: number, iota?: API | Backend, 
+            messagePassword?: Trytes}): Promise<Transaction[]>;
+
+    /**
+     * Serializes signed messages, which were created with {@link RAAM#createMessageTransfers}, into a package, which
+     * can be transported as a string or file to a machine with network access and published there with
+     * {@link RAAM.publishPackage}. That way the machine holding the signing keys never needs network access.
+     * The package only contains the encrypted transfers of the messages, but neither their plaintexts nor passwords.
+     *
+     * @param {MessageTransfers|Array.<MessageTransfers>} messageTransfers - The signed message or messages to export.
+     *
+     * @returns {string} The package as JSON.
+     * @throws if no messages are passed.
+     */
+    public exportPackage(messageTransfers: MessageTransfers | MessageTransfers[]): string;
 
     /**
      * Compiles the authentication path and a signature using the correct signing key. Converts the encrypted payload
@@ -165,26 +501,44 @@ export class RAAM extends RAAMReader {
      * Increases the cursor, so that it points to the next index where a message can be attached.  Message is stored 
      * locally after publishing. This message can be decoded by only using its address.
      * 
-     * @param {Trytes} message - The message to attach to the channel as trytes.
+     * @param {Payload} message - The message to attach to the channel. It's encoded by the codec.
      * @param {object} [options] - Optional parameters.
      * @param {number} [options.index = this.cursor] - The index of the message in the channel.
      * @param {Trytes} [options.tag = 'RAAM'] - Tag
      * @param {number} [options.depth = 3] - Depth
      * @param {number} [options.mwm = 14] - Min weight magnitude
-     * @param {API} [options.iota = this.iota] - A composed IOTA API for communication with a full node providing POW.
+     * @param {API|Backend} [options.iota = this.iota] - A composed IOTA API or a backend for communication with a full node providing POW.
      * @param {Int8Array} [options.nextRoot] - The root of another channel, used for branching or when channel is exausted.
+     * @param {string} [options.codec] - The codec encoding the message: 'trytes', 'utf8', 'json' or 'binary'. By default
+     * trytes are encoded with 'trytes', other strings with 'utf8', Buffers with 'binary' and other values with 'json'.
+     * @param {string} [options.compression = 'none'] - The compression of the encoded message: 'none' or 'deflate'. 
+     * Compressed messages can't be read by versions of RAAM without support for compression. Readers decompress at 
+     * most 1 MiB, so larger messages can't be compressed.
+     * @param {object} [options.metadata] - Key value pairs, which are signed and published together with the message, 
+     * like <code>{timestamp: Date.now(), contentType: 'application/json'}</code>.
+     * @param {boolean} [options.authenticated = false] - Whether a tag authenticating the encrypted payload is attached, 
+     * so that readers with a wrong password fail with a distinct error and altered messages are rejected before parsing.
+     * Authenticated messages can't be read by versions of RAAM without support for authentication.
+     * @param {boolean|Trytes} [options.nonce = true] - Whether the encryption is salted by a random nonce, which is 
+     * published in cleartext with the message, so that rebuilding a message never reuses a key stream. 81 trytes are 
+     * used as the nonce instead. Messages with a nonce can't be read by versions of RAAM without support for nonces, 
+     * so messages for them are created with false.
      *
      * @returns {Promise}
      * @fulfil {Transaction[]} - The bundle of the attached message.
      * @reject {Error} 
      * - if message is too long
-     * - if message isn't formatted as trytes.
+     * - if message can't be encoded by the codec, e.g. isn't formatted as trytes for the codec 'trytes'.
+     * - if message is compressed and larger than 1 MiB before compression.
+     * - if metadata isn't an object or is too long.
+     * - if nonce is neither a boolean nor 81 trytes.
      * - if index is not between zero and the maximal index of the channel.
      * - if a message was already found at this index.
      * - if channel password is set.
      */
-    public publishPublic(message: Trytes, {index, tag, depth, mwm, iota, nextRoot}?: 
-        {index?: number, tag?: Trytes, depth?: number, mwm?: number, iota?: API, nextRoot?: Int8Array}): Promise<Transaction[]>;
+    public publishPublic(message: Payload, {index, tag, depth, mwm, iota, nextRoot, codec, compression, metadata, authenticated, nonce}?: 
+        {index?: number, tag?: Trytes, depth?: number, mwm?: number, iota?: API | Backend, nextRoot?: Int8Array, 
+            codec?: Codec, compression?: Compression, metadata?: Metadata, authenticated?: boolean, nonce?: boolean | Trytes}): Promise<Transaction[]>;
 
     /**
      * Compiles the authentication path and a signature using the correct signing key. Converts the encrypted payload
@@ -192,28 +546,115 @@ export class RAAM extends RAAMReader {
      * Increases the cursor, so that it points to the next index where a message can be attached.  Message is stored 
      * locally after publishing.
      * 
-     * @param {Trytes} message - The message to attach to the channel as trytes.
+     * @param {Payload} message - The message to attach to the channel. It's encoded by the codec.
      * @param {object} [options] - Optional parameters.
      * @param {number} [options.index = this.cursor] - The index of the message in the channel.
      * @param {Trytes} [options.tag = 'RAAM'] - Tag
      * @param {number} [options.depth = 3] - Depth
      * @param {number} [options.mwm = 14] - Min weight magnitude
-     * @param {API} [options.iota = this.iota] - A composed IOTA API for communication with a full node providing POW.
-     * @param {Trytes} [options.messagePassword] - The password to encrypt this message with.
+     * @param {API|Backend} [options.iota = this.iota] - A composed IOTA API or a backend for communication with a full node providing POW.
+     * @param {Trytes} [options.messagePassword] - The password to encrypt this message with. Defaults to the password
+     * derived from the read key for the index, iff the read key is set.
      * @param {Int8Array} [options.nextRoot] - The root of another channel, used for branching or when channel is exausted.
+     * @param {string} [options.codec] - The codec encoding the message: 'trytes', 'utf8', 'json' or 'binary'. By default
+     * trytes are encoded with 'trytes', other strings with 'utf8', Buffers with 'binary' and other values with 'json'.
+     * @param {string} [options.compression = 'none'] - The compression of the encoded message: 'none' or 'deflate'. 
+     * Compressed messages can't be read by versions of RAAM without support for compression. Readers decompress at 
+     * most 1 MiB, so larger messages can't be compressed.
+     * @param {object} [options.metadata] - Key value pairs, which are signed and published together with the message, 
+     * like <code>{timestamp: Date.now(), contentType: 'application/json'}</code>.
+     * @param {boolean} [options.authenticated = false] - Whether a tag authenticating the encrypted payload is attached, 
+     * so that readers with a wrong password fail with a distinct error and altered messages are rejected before parsing.
+     * Authenticated messages can't be read by versions of RAAM without support for authentication.
+     * @param {boolean|Trytes} [options.nonce = true] - Whether the encryption is salted by a random nonce, which is 
+     * published in cleartext with the message, so that rebuilding a message never reuses a key stream. 81 trytes are 
+     * used as the nonce instead. Messages with a nonce can't be read by versions of RAAM without support for nonces, 
+     * so messages for them are created with false.
+     * @param {Array.<Trytes>} [options.recipients] - The passwords of the recipients of the message. The message is
+     * encrypted with a random key, which is enclosed in an envelope for every recipient, so that every recipient reads 
+     * the message with its own password. The message password isn't used then. Messages for recipients can't be read by 
+     * versions of RAAM without support for recipients.
+     * @param {Trytes} [options.contentKey] - 81 trytes used as the key of a message for recipients instead of a random
+     * key. It must be as secret as the message and never be used for another message.
      *
      * @returns {Promise}
      * @fulfil {Transaction[]} - The bundle of the attached message.
      * @reject {Error} 
      * - if message is too long
-     * - if message isn't formatted as trytes.
+     * - if message can't be encoded by the codec, e.g. isn't formatted as trytes for the codec 'trytes'.
+     * - if message is compressed and larger than 1 MiB before compression.
+     * - if metadata isn't an object or is too long.
+     * - if nonce is neither a boolean nor 81 trytes.
+     * - if recipients aren't a non-empty array of passwords.
+     * - if content key isn't 81 trytes.
      * - if index is not between zero and the maximal index of the channel.
      * - if a message was already found at this index.
      */
-    public publish(message: Trytes, {index, tag , depth, mwm , iota, messagePassword, nextRoot}?: 
-        {index?: number, tag?: Trytes, depth?: number, mwm?: number, iota?: API, 
-            messagePassword?: Trytes, nextRoot?: Int8Array}): Promise<Transaction[]>;
+    public publish(message: Payload, {index, tag , depth, mwm , iota, messagePassword, nextRoot, codec, compression, metadata, 
+        authenticated, nonce, recipients, contentKey}?: {index?: number, tag?: Trytes, depth?: number, mwm?: number, 
+            iota?: API | Backend, messagePassword?: Trytes, nextRoot?: Int8Array, codec?: Codec, compression?: Compression, 
+            metadata?: Metadata, authenticated?: boolean, nonce?: boolean | Trytes, recipients?: Trytes[], 
+            contentKey?: Trytes}): Promise<Transaction[]>;
     
+    /**
+     * Checks whether a message signed with the key of the given index can be found on the tangle. The signature is 
+     * recognized without decrypting the message, so messages encrypted with any message password are found. Only 
+     * for a channel of an external signer, which doesn't reveal the signing keys, the message has to be read.
+     * 
+     * @param {number} index - The index of the message in the channel.
+     * @param {object} [options] - Optional parameters.
+     * @param {API|Backend} [options.iota = this.iota] - A composed IOTA API or a backend for communication with a full node.
+     * @param {Trytes} [options.messagePassword] - The password the message is encrypted with, if it has to be read. 
+     * Defaults to the password derived from the read key for the index, iff the read key is set.
+     * 
+     * @returns {Promise}
+     * @fulfil {boolean} - whether a signed message was found.
+     */
+    public isOccupied(index: number, {iota, messagePassword}?: {iota?: API | Backend, messagePassword?: Trytes}): Promise<boolean>;
+
+    /**
+     * Determines the first index where neither a bundle of this channel is found on the tangle at the address of the 
+     * index nor the signing key was recorded as used by the ledger. A bundle only counts if it's signed with the 
+     * signing key of the index, so that spam at an address doesn't block the index. Bundles are detected even if they 
+     * can't be decrypted. Channels signing with a signer only count messages which can be read.
+     * The addresses are fetched in batches. The cursor is set to the determined index.
+     * 
+     * @param {object} [options] - Optional parameters.
+     * @param {API|Backend} [options.iota = this.iota] - A composed IOTA API or a backend for communication with a full node.
+     * @param {number} [options.start = 0] - The index from which the channel is probed.
+     * @param {number} [options.batchSize = 100] - The number of addresses fetched at once.
+     * 
+     * @returns {Promise}
+     * @fulfil {number} - The new cursor.
+     */
+    public recoverCursor({iota, start, batchSize}?: {iota?: API | Backend, start?: number, batchSize?: number}): Promise<number>;
+
+    /**
+     * Exports the signing keys of a range of indexes together with the nodes of the merkle tree needed to authenticate 
+     * them, so that another device can publish messages at these indexes in this channel without holding the whole 
+     * tree. The writer is created from the subtree with {@link RAAM.fromSubtree}. The indexes of the range are recorded
+     * as used in the ledger after the file was written, so that they aren't signed by this channel anymore. A range 
+     * containing an index recorded before, also by an earlier export, is refused.
+     * 
+     * @param {number} start - The first index of the range.
+     * @param {number} end - The last index of the range.
+     * @param {object} [options] - Optional parameters.
+     * @param {string} [options.fileName] - The name of a file the subtree is written to in the JSON format of key files.
+     * The file must not exist yet.
+     * @param {string} [options.filePassword] - A passphrase from which the key for encrypting the file is derived. If 
+     * it's not passed, the file is stored unencrypted.
+     * 
+     * @returns {Subtree}
+     * @throws
+     * - if the range isn't within the channel.
+     * - if the signing keys are held by a traversal or an external signer.
+     * - if tree is incomplete.
+     * - if the signing key of an index of the range was already used or delegated.
+     * - if the file already exists.
+     */
+    public exportSubtree(start: number, end: number, {fileName, filePassword}?: 
+        {fileName?: string, filePassword?: string}): Subtree;
+
     /**
      * Creates a RAAM channel from a seed. For that a merkle tree is created consisting of all one-time signing keys that
      * sign the messages of the channel. For bigger values of height/amount this can take a while.
@@ -227,47 +668,229 @@ export class RAAM extends RAAMReader {
      * @param {number} [options.amount] - The maximum amount of messages that can be published in this channel.
      * @param {number} [options.height = Math.ceil(Math.log2(amount))] - A number between 1 and 26 representing the height 
      * of the merkle tree used for this channel.
-     * @param {API} [options.iota = this.iota] - A composed IOTA API for communication with a full node providing POW.
+     * @param {API|Backend} [options.iota = this.iota] - A composed IOTA API or a backend for communication with a full node providing POW.
      * @param {Trytes} [options.channelPassword] - The optional password for the channel as trytes.
      * @param {number} [options.security = 2] - The security of the signing and encryption keys as a number between 1 and 4. 
      * @param {number} [options.offset = 0] - The starting index used for building the subroots from which the keys are created.
      * @param {boolean} [options.saveToFile = false] - whether to save the created merkle tree to a file, which can be used for
      * fast reinitializing the channel.
      * @param {string} [options.fileName = channelKeys.json] - The filename of the file where the merkle tree is saved.
+     * @param {string} [options.fileFormat = json] - The format of the file. Either <code>json</code> or <code>binary</code>. 
+     * Binary files are smaller and can be opened with {@link RAAM.fromBinaryFile} without reading them completely.
+     * @param {string} [options.filePassword] - A passphrase from which the key for encrypting the file is derived. If it's
+     * not passed, the file is stored unencrypted. Only JSON files can be encrypted.
      * @param {ProgressCallback} [options.progressCallback] - A callback function called after the given timeout reporting the
      * progress of the channel creation.
      * @param {number} [options.timeout = 5000] - The timeout after the progressCallback is triggered.
+     * @param {boolean} [options.traversal = false] - whether to keep only the seed and a small traversal state instead of
+     * the whole merkle tree in memory. Signing keys and authentication paths are then regenerated on demand, but messages
+     * can only be created in ascending order of their indexes.
+     * @param {number} [options.workers = 1] - The amount of worker threads building subtrees of the merkle tree in 
+     * parallel. Is not used in combination with traversal.
+     * @param {Ledger|string} [options.ledger] - The ledger recording the used indexes or the name of a file used as ledger.
+     * Defaults to a file next to the key file iff saveToFile is set. 
+     * Otherwise a ledger held in memory is used.
+     * @param {boolean} [options.recover = false] - whether to probe the channel on the tangle after initialization and set
+     * the cursor to the first free index. See {@link RAAM#recoverCursor}.
+     * @param {boolean} [options.refuseOccupied = false] - whether to check the tangle for a signed message before publishing
+     * a message and to refuse publishing if one is found at the same index.
+     * @param {Trytes} [options.readKey] - A secret of 81 trytes from which the passwords of the messages and range keys 
+     * are derived. See {@link RAAM#deriveRangeKey}.
+     * @param {Tracker} [options.tracker] - A tracker, which records the bundles of published messages and promotes or 
+     * reattaches them until they are confirmed. See {@link RAAM.createTracker}.
      * @returns {Promise}
      * @fulfil {RAAM}
      */
     public static fromSeed(seed: Trytes, {amount, height,
         iota, channelPassword, security , offset, saveToFile, 
-        fileName, progressCallback, timeout}?: {amount?: number, height?: number,
-            iota?: API, channelPassword?: Trytes, security?: Security , offset?: number, saveToFile?: boolean, 
-            fileName?: string, progressCallback?: ProgressCallback, timeout?: number}): Promise<RAAM>;
+        fileName, fileFormat, filePassword, progressCallback, timeout, traversal, workers, ledger, recover, 
+        refuseOccupied, readKey, tracker}?: {amount?: number, height?: number, iota?: API | Backend, channelPassword?: Trytes, security?: Security, 
+            offset?: number, saveToFile?: boolean, fileName?: string, fileFormat?: 'json' | 'binary', filePassword?: string, 
+            ledger?: Ledger | string, recover?: boolean, refuseOccupied?: boolean, progressCallback?: ProgressCallback, 
+            timeout?: number, traversal?: boolean, workers?: number, readKey?: Trytes, tracker?: Tracker}): Promise<RAAM>;
     
     /**
-     * Initializes a RAAM channel from a file containing the signing keys for this channel. 
+     * Initializes a RAAM channel from a file containing the signing keys for this channel. Files which are incomplete, 
+     * e.g. because the creation of the channel was interrupted, are refused. They are completed with 
+     * {@link RAAM.completeFile}.
      * 
      * @param {string} fileName - The name of the file to load.
      * @param {object} [options] - Optional parameters.
-     * @param {API} [options.iota = this.iota] - A composed IOTA API for communication with a full node providing POW.
+     * @param {string} [options.filePassword] - The passphrase the file was encrypted with, iff any.
+     * @param {API|Backend} [options.iota = this.iota] - A composed IOTA API or a backend for communication with a full node providing POW.
      * @param {Trytes} [options.channelPassword] - The optional password for the channel as trytes.
      * @param {number} [options.amount] - The maximum amount of messages that can be published in this channel.
      * @param {number} [options.height = Math.ceil(Math.log2(amount))] - A number between 1 and 26 representing the height 
-     * of the merkle tree used for this channel.
-     * @param {Trytes} [options.seed] - The seed from which the signing keys are created.
+     * of the merkle tree used for this channel. Defaults to the height of the tree stored in the file.
+     * @param {Ledger|string} [options.ledger] - The ledger recording the used indexes or the name of a file used as ledger.
+     * Defaults to a file next to the key file.
+     * @param {boolean} [options.refuseOccupied = false] - whether to check the tangle for a signed message before publishing
+     * a message and to refuse publishing if one is found at the same index.
+     * @param {Trytes} [options.readKey] - A secret of 81 trytes from which the passwords of the messages and range keys 
+     * are derived. See {@link RAAM#deriveRangeKey}.
+     * @param {Tracker} [options.tracker] - A tracker, which records the bundles of published messages and promotes or 
+     * reattaches them until they are confirmed. See {@link RAAM.createTracker}.
+     * @returns {RAAM}
+     * @throws
+     * - if tree is incomplete.
+     * - if the file contains a higher tree than the passed height.
+     * - if file is encrypted and the password is wrong or missing.
+     * - if integrity check of the encrypted file fails.
+     */
+    public static fromFile(fileName: string, 
+        {iota, channelPassword, amount, height, filePassword, ledger, refuseOccupied, readKey, tracker}?: 
+            {iota?: API | Backend, channelPassword?: Trytes, amount?: number, height?: number, filePassword?: string, 
+                ledger?: Ledger | string, refuseOccupied?: boolean, readKey?: Trytes, tracker?: Tracker}): RAAM;
+
+    /**
+     * Initializes a RAAM channel from a file containing the signing keys for this channel, which may be incomplete, 
+     * e.g. because the creation of the channel was interrupted. Only the missing leafs and nodes of the merkle tree 
+     * are created from the seed and appended to the file. Complete files are neither completed nor written to.
+     * 
+     * @param {string} fileName - The name of the file to complete.
+     * @param {object} options - Parameters.
+     * @param {Trytes} options.seed - The seed from which the missing signing keys are created.
+     * @param {number} [options.amount] - The maximum amount of messages that can be published in this channel.
+     * @param {number} [options.height = Math.ceil(Math.log2(amount))] - A number between 1 and 26 representing the height 
+     * of the merkle tree used for this channel. Either the height or the amount has to be passed, since a truncated 
+     * file can't tell the height of the tree.
+     * @param {string} [options.filePassword] - The passphrase the file was encrypted with, iff any.
+     * @param {API|Backend} [options.iota = this.iota] - A composed IOTA API or a backend for communication with a full node providing POW.
+     * @param {Trytes} [options.channelPassword] - The optional password for the channel as trytes.
+     * @param {number} [options.security = 2] - The security of the signing keys as a number between 1 and 4. Is only used
+     * if the file doesn't contain any leafs.
      * @param {number} [options.offset = 0] - The starting index used for building the subroots from which the keys are created.
      * @param {ProgressCallback} [options.progressCallback] - A callback function called after the given timeout reporting the
      * progress of the channel creation.
      * @param {number} [options.timeout = 5000] - The timeout after the progressCallback is triggered.
+     * @param {Ledger|string} [options.ledger] - The ledger recording the used indexes or the name of a file used as ledger.
+     * Defaults to a file next to the key file.
+     * @param {boolean} [options.recover = false] - whether to probe the channel on the tangle after initialization and set
+     * the cursor to the first free index. See {@link RAAM#recoverCursor}.
+     * @param {boolean} [options.refuseOccupied = false] - whether to check the tangle for a signed message before publishing
+     * a message and to refuse publishing if one is found at the same index.
+     * @param {Trytes} [options.readKey] - A secret of 81 trytes from which the passwords of the messages and range keys 
+     * are derived. See {@link RAAM#deriveRangeKey}.
+     * @param {Tracker} [options.tracker] - A tracker, which records the bundles of published messages and promotes or 
+     * reattaches them until they are confirmed. See {@link RAAM.createTracker}.
+     * @returns {Promise}
+     * @fulfil {RAAM}
+     * @reject {Error} 
+     * - if the seed or the height and amount aren't passed.
+     * - if the file contains a higher tree than the passed height.
+     * - if file is encrypted and the password is wrong or missing.
+     * - if integrity check of the encrypted file fails.
+     */
+    public static completeFile(fileName: string, 
+        {iota, channelPassword, seed, amount, height, security, offset, filePassword, progressCallback, timeout, ledger,
+            recover, refuseOccupied, readKey, tracker}: 
+            {iota?: API | Backend, channelPassword?: Trytes, seed: Trytes, amount?: number, height?: number, 
+                security?: Security, offset?: number, filePassword?: string, progressCallback?: ProgressCallback, 
+                timeout?: number, ledger?: Ledger | string, recover?: boolean, refuseOccupied?: boolean, 
+                readKey?: Trytes, tracker?: Tracker}): Promise<RAAM>;
+
+    /**
+     * Initializes a RAAM channel from a binary file containing the signing keys for this channel. The file is not
+     * read completely, but only the signing key and the nodes of the merkle tree needed for a message are read when 
+     * the message is created.
+     * 
+     * @param {string} fileName - The name of the binary file to open.
+     * @param {object} [options] - Optional parameters.
+     * @param {API|Backend} [options.iota = this.iota] - A composed IOTA API or a backend for communication with a full node providing POW.
+     * @param {Trytes} [options.channelPassword] - The optional password for the channel as trytes.
+     * @param {Ledger|string} [options.ledger] - The ledger recording the used indexes or the name of a file used as ledger.
+     * Defaults to a file next to the key file.
+     * @param {boolean} [options.refuseOccupied = false] - whether to check the tangle for a signed message before publishing
+     * a message and to refuse publishing if one is found at the same index.
+     * @param {Trytes} [options.readKey] - A secret of 81 trytes from which the passwords of the messages and range keys 
+     * are derived. See {@link RAAM#deriveRangeKey}.
+     * @param {Tracker} [options.tracker] - A tracker, which records the bundles of published messages and promotes or 
+     * reattaches them until they are confirmed. See {@link RAAM.createTracker}.
      * @returns {RAAM}
+     * @throws
+     * - if file is not a binary key file.
+     * - if tree is incomplete.
+     */
+    public static fromBinaryFile(fileName: string, {iota, channelPassword, ledger, refuseOccupied, readKey, tracker}?: 
+        {iota?: API | Backend, channelPassword?: Trytes, ledger?: Ledger | string, refuseOccupied?: boolean, 
+            readKey?: Trytes, tracker?: Tracker}): RAAM;
+
+    /**
+     * Creates a writer from a subtree exported with {@link RAAM#exportSubtree}. It publishes messages in the channel 
+     * the subtree was exported from, but can only sign the indexes of the range of the subtree. The cursor is set to 
+     * the first index of the range.
      * 
+     * @param {Subtree|string} subtree - The subtree or the name of the file it was written to.
+     * @param {object} [options] - Optional parameters.
+     * @param {string} [options.filePassword] - The passphrase the file was encrypted with, iff any.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for communication with a full node providing POW.
+     * @param {Trytes} [options.channelPassword] - The optional password for the channel as trytes.
+     * @param {Ledger|string} [options.ledger] - The ledger recording the used indexes or the name of a file used as ledger.
+     * Defaults to a file next to the file of the subtree or to a ledger held in memory.
+     * @param {boolean} [options.recover = false] - whether to probe the range on the tangle after initialization and set
+     * the cursor to the first free index. See {@link RAAM#recoverCursor}.
+     * @param {boolean} [options.refuseOccupied = false] - whether to check the tangle for a signed message before publishing
+     * a message and to refuse publishing if one is found at the same index.
+     * @param {Trytes} [options.readKey] - A secret of 81 trytes from which the passwords of the messages and range keys 
+     * are derived. See {@link RAAM#deriveRangeKey}.
+     * @param {Tracker} [options.tracker] - A tracker, which records the bundles of published messages and promotes or 
+     * reattaches them until they are confirmed. See {@link RAAM.createTracker}.
+     * @returns {Promise}
+     * @fulfil {RAAM}
+     * @reject {Error}
+     * - if the file can't be read.
+     * - if the subtree contains no signing keys.
+     * - if tree is incomplete.
      */
-    public static fromFile(fileName: string, 
-        {iota, channelPassword, seed, amount, height, offset, progressCallback, timeout}?: 
-            {iota?: API, channelPassword?: Trytes, seed?: Trytes, amount?: number, height?: number, 
-                offset?: number, progressCallback?: ProgressCallback, timeout?: number}): RAAM;
+    public static fromSubtree(subtree: Subtree | string, {iota, channelPassword, filePassword, ledger, recover, 
+        refuseOccupied, readKey, tracker}?: {iota?: API | Backend, channelPassword?: Trytes, filePassword?: string, 
+            ledger?: Ledger | string, recover?: boolean, refuseOccupied?: boolean, readKey?: Trytes, 
+                tracker?: Tracker}): Promise<RAAM>;
+
+    /**
+     * Converts a file created with the JSON format into a binary file, which can be opened with 
+     * {@link RAAM.fromBinaryFile}.
+     * 
+     * @param {string} fileName - The name of the JSON file to convert.
+     * @param {string} binaryFileName - The name of the binary file to write.
+     * @param {object} [options] - Optional parameters.
+     * @param {string} [options.filePassword] - The passphrase the JSON file was encrypted with, iff any.
+     */
+    public static convertToBinaryFile(fileName: string, binaryFileName: string, {filePassword}?: {filePassword?: string}): void;
+
+    /**
+     * Parses a package created with {@link RAAM#exportPackage}.
+     *
+     * @param {string|Buffer} data - The package as JSON, e.g. read from a file.
+     *
+     * @returns {{channelRoot: Int8Array, messages: Array.<PackagedMessage>}} The root of the channel the messages were
+     * signed for and the messages.
+     * @throws
+     * - if the package is malformed or contains no messages.
+     * - if the version of the package format isn't supported.
+     */
+    public static importPackage(data: string | Buffer): {channelRoot: Int8Array, messages: PackagedMessage[]};
+
+    /**
+     * Publishes the messages of a package created with {@link RAAM#exportPackage} in the order they were exported.
+     * No signing keys are needed for this. POW is done remotely.
+     *
+     * @param {string|Buffer} data - The package as JSON, e.g. read from a file.
+     * @param {object} options - Parameters.
+     * @param {API|Backend} options.iota - A composed IOTA API or a backend for communication with a full node providing POW.
+     * @param {number} [options.depth = 3] - Depth
+     * @param {number} [options.mwm = 14] - Min weight magnitude
+     * @param {Tracker} [options.tracker] - A tracker, which records the bundles of the published messages and promotes or 
+     * reattaches them until they are confirmed. See {@link RAAM.createTracker}.
+     *
+     * @returns {Promise}
+     * @fulfil {Array.<Transaction[]>} - The bundles of the attached messages.
+     * @reject {Error}
+     * - if the package is malformed or contains no messages.
+     * - if the version of the package format isn't supported.
+     */
+    public static publishPackage(data: string | Buffer, {iota, depth, mwm, tracker}: 
+        {iota: API | Backend, depth?: number, mwm?: number, tracker?: Tracker}): Promise<Transaction[][]>;
 }
 
 export default RAAM;
\ No newline at end of file
@@ -1,27 +1,68 @@
+/// <reference types="node" />
 import {API} from '@iota/core';
-import {Trytes} from '@iota/core/typings/types';
+import {Trytes, Hash, Transaction} from '@iota/core/typings/types';
 
 export as namespace RAAMReader;
 
 export type Security = 1 | 2 | 3 | 4;
 
+/**
+ * A message of a channel. Depending on the codec it was encoded with, it's trytes, a string, a Buffer or
+ * a value represented as JSON.
+ * @typedef {Trytes|string|Buffer|object} Payload
+ */
+export type Payload = Trytes | string | Buffer | number | boolean | object | null;
+
+export type Codec = 'trytes' | 'utf8' | 'json' | 'binary';
+
+export type Compression = 'none' | 'deflate';
+
+/**
+ * Key value pairs, which are signed and published together with a message, like a timestamp or a content type.
+ * @typedef {object} Metadata
+ */
+export type Metadata = {[key: string]: any};
+
+/**
+ * A backend giving access to a tangle. A composed IOTA API is wrapped into a backend automatically, so that a 
+ * backend and an IOTA API can be passed interchangeably. Other implementations can e.g. hold the tangle in memory 
+ * or read from archives.
+ * @typedef {object} Backend
+ * @property {Function} fetchTransactions - Called with an array of addresses. Resolves to an array of all 
+ * transaction objects found at these addresses.
+ * @property {Function} attachTrytes - Called with the trytes of a bundle and an object 
+ * <code>{depth, mwm, reference}</code>. Attaches the bundle to the tangle, approving the transaction with the hash 
+ * reference iff it's set, and resolves to its transaction objects.
+ * @property {Function} [getConfirmations] - Called with an array of transaction hashes. Resolves to an array of 
+ * booleans stating whether each transaction is confirmed. Only needed for tracking confirmations.
+ */
+export interface Backend {
+    fetchTransactions(addresses: Trytes[]): Promise<Transaction[]>;
+    attachTrytes(trytes: Trytes[], {depth, mwm, reference}: {depth: number, mwm: number, reference?: Hash}): 
+        Promise<Transaction[]>;
+    getConfirmations?(hashes: Hash[]): Promise<boolean[]>;
+}
+
 /**
  * Callback function that is called after each message request.
  * @callback ReadCallback
  * @param {Error} error - Error that occured while getting the message iff any.
  * @param {number} index - The index of the message.
- * @param {Trytes} message - The fetched message if the request was successful.
+ * @param {Payload} message - The fetched message if the request was successful.
  * @param {Array.<object>} skipped - An array containing skipped bundles that 
  * were found at the same address that the message has. Elements <code>{bundle, error}</code> contain 
  * the bundle hash and the error causing the skipping.
  * @param {Int8Array} nextRoot - The nextRoot of the message iff any.
+ * @param {Int8Array} channelRoot - The channelRoot of the message.
+ * @param {object} metadata - The signed metadata of the message iff any.
  */
-export type ReadCallback = (error: Error, index: number, message: Trytes, skipped: any[], nextRoot: Int8Array) => void;
+export type ReadCallback = (error: Error, index: number, message: Payload, skipped: any[], nextRoot: Int8Array, 
+    channelRoot: Int8Array, metadata?: Metadata) => void;
 
 /**
  * Conainer class for the result of a fetch request.
  * @typedef {object} FetchResult
- * @property {Array.<Trytes>} messages - Array of found messages, where the message at start index is 
+ * @property {Array.<Payload>} messages - Array of found messages, where the message at start index is 
  * the first message in the array. Elements where no message was found will be left empty.
  * @property {Array.<Error>} errors - Array of errors that occured while fetching messages.
  * @property {Array.<Array.<object>>} skipped - An array containing skipped bundles that 
@@ -29,14 +70,16 @@ export type ReadCallback = (error: Error, index: number, message: Trytes, skippe
  * <code>{bundle, error}</code> consisting of the bundle hash and the error causing the skipping.
  * If no bundles where skipped for a message the array element is empty.
  * @property {Array.<Int8Array>} branches - The nextRoot, iff any, provided by a certain message.
+ * @property {Array.<object>} metadata - The signed metadata, iff any, of a certain message.
  */
 export class FetchResult {
-    public readonly messages: Trytes[];
+    public readonly messages: Payload[];
     public readonly errors: Error[];
     public readonly skipped: any[][];
     public readonly branches: Int8Array[];
+    public readonly metadata: Metadata[];
 
-    constructor(messages: Trytes[], errors: Error[], skipped: any[][], branches: Int8Array[]);
+    constructor(messages: Payload[], errors: Error[], skipped: any[][], branches: Int8Array[], metadata: Metadata[]);
 }
 
 /**
@@ -64,22 +107,25 @@ export class Subscription {
 /**
  * Container class for the result of a single fetched message.
  * @typedef {object} SingleResult
- * @property {Trytes} message - The fetched message, iff any.
+ * @property {Payload} message - The fetched message, iff any.
  * @property {number} index - The index of the fetched message.
  * @property {Int8Array} nextRoot - The nextRoot, iff any, provided by the message.
  * @property {Array.<object>} skipped - An array containing skipped bundles that 
  * were found at the same address that the message has. Elements <code>{bundle, error}</code> contain 
  * the bundle hash and the error causing the skipping.
  * @property {Int8Array} channelRoot - The channelRoot of the message.
+ * @property {object} metadata - The signed metadata of the message, iff any.
  */
 export class SingleResult {
-    public readonly message?: Trytes;
+    public readonly message?: Payload;
     public readonly index: number;
     public readonly nextRoot?: Int8Array;
     public readonly skipped: any[];
     public readonly channelRoot: Int8Array;
+    public readonly metadata?: Metadata;
 
-    constructor(message: Trytes | undefined, index: number, nextRoot: Int8Array | undefined, skipped: any[] | undefined, channelRoot: Int8Array);
+    constructor(message: Payload | undefined, index: number, nextRoot: Int8Array | undefined, skipped: any[] | undefined, 
+        channelRoot: Int8Array, metadata?: Metadata);
 }
 
 /**
@@ -113,16 +159,18 @@ export class RAAMReader {
     public readonly security: Security;
     public readonly channelRoot: Int8Array;
     public channelPassword?: Trytes;
-    public iota?: API;
+    public iota?: API | Backend;
+    public rangeKey?: Trytes;
     public cursor: number;
-    public readonly messages: Trytes[];
+    public readonly messages: Payload[];
     public readonly branches: Int8Array[];
+    public readonly metadata: Metadata[];
 
     /**
      * @constructs RAAMReader
      * @param {Int8Array} channelRoot - The channel root by that the channel is identified as trits.
      * @param {object} [options] - Optional parameters.
-     * @param {API} [options.iota] - A composed IOTA API for communication with a full node.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for communication with a full node.
      * @param {Trytes} [options.channelPassword] - The optional password for the channel as trytes.
      * @param {number} [options.security] - The security of the signing and encryption keys as a number between 1 and 4. 
      * This is parameter is only used as an extra verification information.
@@ -130,17 +178,19 @@ export class RAAMReader {
      * From this the height of the channel can be calculated. This is parameter is only used as an extra verification information.
      * @param {number} [options.height] - The height as a number between 1 and 26 of the channel yielding the maximum 
      * amount of messages of the channel. This is parameter is only used as an extra verification information.
+     * @param {Trytes} [options.rangeKey] - A key granting access to a range of indexes, from which the message 
+     * passwords of these indexes are derived. See {@link RAAMReader#deriveRangeKey}.
      */
     public constructor(channelRoot: Int8Array, {iota, channelPassword, security, 
-        amount, height}: {iota?: API, channelPassword?: Trytes, security?: Security, 
-            amount?: number, height?: number});
+        amount, height, rangeKey}: {iota?: API | Backend, channelPassword?: Trytes, security?: Security, 
+            amount?: number, height?: number, rangeKey?: Trytes});
 
     /**
      * Reads messages from the channel until the index where no message is found. Alle found messages will be stored locally
      * and be returned. Sets the cursor to the first index where no message was found.
      * 
      * @param {Object} [options] - Optional parameters.
-     * @param {API} [options.iota] - A composed IOTA API for communication with a full node.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for communication with a full node.
      * @param {ReadCallback} [options.callback] - Callback function that is called after each message request.
      * @param {Trytes} [options.messagePassword] - The default message password which will be used to decrypt 
      * all found messages.
@@ -151,7 +201,47 @@ export class RAAMReader {
      * @fulfil {FetchResult}
      */
     public syncChannel({iota, callback, messagePassword, messagePasswords}?: 
-        {iota?: API, callback?: ReadCallback, messagePassword?: Trytes, 
+        {iota?: API | Backend, callback?: ReadCallback, messagePassword?: Trytes, 
+            messagePasswords?: Trytes[]}): Promise<FetchResult>;
+    
+    /**
+     * Determines the index of the last message of the channel without reading all messages. For that indexes are
+     * probed by an exponential search followed by a binary search, starting after the last message stored locally.
+     * This requires O(log n) requests for a channel with n messages. It's assumed that there are no gaps
+     * between the messages of the channel. Probed messages are stored locally.
+     * 
+     * @param {Object} [options] - Optional parameters.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for communication with a full node.
+     * @param {Trytes} [options.messagePassword] - The default message password which will be used to decrypt 
+     * all found messages.
+     * @param {Array.<Trytes>} [options.messagePasswords] - An array containing different message passwords for 
+     * different messages. The ith element is the password for the ith message in the channel.
+     * 
+     * @returns {Promise}
+     * @fulfil {number} - The index of the last message or -1 if the channel contains no messages.
+     */
+    public findHead({iota, messagePassword, messagePasswords}?: 
+        {iota?: API | Backend, messagePassword?: Trytes, messagePasswords?: Trytes[]}): Promise<number>;
+
+    /**
+     * Reads the last messages of the channel. The last message is located by {@link RAAMReader#findHead}, so
+     * that only the requested messages and O(log n) further messages are queried. Sets the cursor to the index 
+     * following the last message.
+     * 
+     * @param {number} [amount = 1] - The amount of messages to read.
+     * @param {Object} [options] - Optional parameters.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for communication with a full node.
+     * @param {ReadCallback} [options.callback] - Callback function that is called after each message request.
+     * @param {Trytes} [options.messagePassword] - The default message password which will be used to decrypt 
+     * all found messages.
+     * @param {Array.<Trytes>} [options.messagePasswords] - An array containing different message passwords for 
+     * different messages. The ith element is the password for the ith message in the channel.
+     * 
+     * @returns {Promise}
+     * @fulfil {FetchResult}
+     */
+    public fetchLatest(amount?: number, {iota, callback, messagePassword, messagePasswords}?: 
+        {iota?: API | Backend, callback?: ReadCallback, messagePassword?: Trytes, 
             messagePasswords?: Trytes[]}): Promise<FetchResult>;
     
     /**
@@ -162,7 +252,7 @@ export class RAAMReader {
      * errors are returned per index as arrays.
      * 
      * @param {Object} [options] - Optional parameters.
-     * @param {API} [options.iota] - A composed IOTA API for communication with a full node.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for communication with a full node.
      * @param {number} [options.index] - The index in the channel of the message to fetch. 
      * If start is set too, index is not used. 
      * @param {number} [options.start] - The start index in the channel of the messages to fetch.
@@ -174,13 +264,18 @@ export class RAAMReader {
      * all found messages.
      * @param {Array.<Trytes>} [options.messagePasswords] - An array containing different message passwords for 
      * different messages. The ith element is the password for the ith message in the channel.
+     * @param {Trytes} [options.rangeKey = this.rangeKey] - A key granting access to a range of indexes. It's used iff 
+     * neither messagePassword nor messagePasswords are passed. Messages outside of its range can't be decrypted.
+     * @param {number} [options.batchSize = 100] - The amount of messages queried by a single request if end is set.
+     * @param {number} [options.concurrency = 4] - The maximum amount of parallel requests if end is set.
      * 
      * @returns {Promise}
      * @fulfil {FetchResult}
      */
-    public fetch({iota, index, start, end, messagePassword, messagePasswords, callback}?: 
-        {iota?: API, index?: number, start?: number, end?: number, messagePassword?: Trytes, 
-            messagePasswords?: Trytes[], callback?: ReadCallback}): Promise<FetchResult>;
+    public fetch({iota, index, start, end, messagePassword, messagePasswords, rangeKey, callback, batchSize, concurrency}?: 
+        {iota?: API | Backend, index?: number, start?: number, end?: number, messagePassword?: Trytes, 
+            messagePasswords?: Trytes[], rangeKey?: Trytes, callback?: ReadCallback, batchSize?: number, 
+            concurrency?: number}): Promise<FetchResult>;
 
     /**
      * Reads a single lpublic message with given index or an amount of public messages by giving start and index from 
@@ -190,7 +285,7 @@ export class RAAMReader {
      * errors are returned per index as arrays.
      * 
      * @param {Object} [options] - Optional parameters.
-     * @param {API} [options.iota] - A composed IOTA API for communication with a full node.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for communication with a full node.
      * @param {number} [options.index] - The index in the channel of the message to fetch. 
      * If start is set too, index is not used. 
      * @param {number} [options.start] - The start index in the channel of the messages to fetch.
@@ -198,12 +293,32 @@ export class RAAMReader {
      * @param {number} [options.end] - The end index in the channel of the messages to fetch.
      * If end is undefined messages will be fetched until an index where no message is found is reached.
      * @param {ReadCallback} [options.callback] - Callback function that is called after each message request.
+     * @param {number} [options.batchSize = 100] - The amount of messages queried by a single request if end is set.
+     * @param {number} [options.concurrency = 4] - The maximum amount of parallel requests if end is set.
      * 
      * @returns {Promise}
      * @fulfil {FetchResult}
      */
-    public fetchPublic({iota, index, start, end, callback}?: 
-        {iota?: API, index?: number, start?: number, end?: number, callback?: ReadCallback}): Promise<FetchResult>;
+    public fetchPublic({iota, index, start, end, callback, batchSize, concurrency}?: 
+        {iota?: API | Backend, index?: number, start?: number, end?: number, callback?: ReadCallback, batchSize?: number, 
+            concurrency?: number}): Promise<FetchResult>;
+
+    /**
+     * Derives a key granting access to the messages of a range of indexes from the range key of this instance, 
+     * which is derived from the read key for channels. The range key can be handed to readers, who can't derive the 
+     * passwords of messages outside of the range from it. A range key for a part of the range can be derived from it 
+     * again, e.g. a key per day from a key per month.
+     * 
+     * @param {number} start - The first index of the range.
+     * @param {number} end - The last index of the range.
+     * 
+     * @returns {Trytes} The range key.
+     * @throws
+     * - if this instance has neither a range key nor a read key.
+     * - if the range isn't ascending.
+     * - if the range key of this instance doesn't grant access to the whole range, e.g. since it exceeds the channel.
+     */
+    public deriveRangeKey(start: number, end: number): Trytes;
 
     /**
      * Subscribes to a given set of public messages in the channel. A callback will be called when a message arrives.
@@ -227,15 +342,17 @@ export class RAAMReader {
      * If end is undefined messages will be fetched until an index where no message is found is reached.
      * @param {boolean} [options.subscribeFollowing] - if set to true, when a subscribed message arrives, the 
      * next message will be subscribed, if it's not already present locally and not yet subscribed.
+     * @param {Trytes} [options.rangeKey = this.rangeKey] - A key granting access to a range of indexes. It's used iff 
+     * neither messagePassword nor messagePasswords are passed. Messages outside of its range can't be decrypted.
      * 
      * @returns {Subscription} An object containing information about the created subscription, including the 
      * function to end the subscription.
      * @throws {Error} if the serverURL is not passed and hasn't been set already.
      */
     public subscribe(callback: ReadCallback, {serverURL, index, start, end, subscribeFollowing, 
-        messagePassword, messagePasswords}?: {serverURL?: string, index?: number, 
+        messagePassword, messagePasswords, rangeKey}?: {serverURL?: string, index?: number, 
             start?: number, end?: number, subscribeFollowing?: boolean, messagePassword?: Trytes, 
-            messagePasswords?: Trytes[]}): Subscription | Error;
+            messagePasswords?: Trytes[], rangeKey?: Trytes}): Subscription | Error;
 
     public subscribePublic(callback: ReadCallback, {serverURL, index, start, end, subscribeFollowing}?: 
         {serverURL?: string, index?: number, start?: number, end?: number, subscribeFollowing?: boolean}): Subscription | Error;
@@ -245,7 +362,7 @@ export class RAAMReader {
      * SingleResult objects. Also skipped bundles at the queried addresses, channel roots of provided branches and
      * errors are returned in the SingleResults.
      * 
-     * @param {API} iota - A composed IOTA API for communication with a full node.
+     * @param {API|Backend} iota - A composed IOTA API or a backend for communication with a full node.
      * @param {Array.<Trytes>} address - An array of IOTA addresses used to locate the messages.
      * @param {Object} [options] - Optional parameters.
      * @param {ReadCallback} [options.callback] - Callback function that is called after each message request.
@@ -259,7 +376,7 @@ export class RAAMReader {
      * @returns {Promise}
      * @fulfil {Map.<Trytes, SingleResult>}
      */
-    public static fetchPublicMessages(iota: API, addresses: Trytes[], {callback, channelRoot, height, security}?: 
+    public static fetchPublicMessages(iota: API | Backend, addresses: Trytes[], {callback, channelRoot, height, security}?: 
         {callback?: ReadCallback, channelRoot?: Int8Array, height?: number, security?: Security}): Promise<Map<Trytes, SingleResult>>;
 
     /**
@@ -268,7 +385,7 @@ export class RAAMReader {
      * message was found will be left empty. Also skipped bundles at the queried addresses, channel roots 
      * of provided branches and errors are returned per index as arrays.
      * 
-     * @param {API} iota - A composed IOTA API for communication with a full node.
+     * @param {API|Backend} iota - A composed IOTA API or a backend for communication with a full node.
      * @param {Int8Array} channelRoot - The channel root by that the channel is identified as trits.
      * @param {Object} [options] - Optional parameters.
      * @param {number} [options.index] - The index in the channel of the message to fetch. 
@@ -287,20 +404,51 @@ export class RAAMReader {
      * This is parameter is only used as an extra verification information.
      * @param {number} [options.height] - The height as a number between 1 and 26 of the channel yielding the maximum 
      * amount of messages of the channel. This is parameter is only used as an extra verification information.
+     * @param {number} [options.batchSize = 100] - The amount of messages queried by a single request if end is set.
+     * @param {number} [options.concurrency = 4] - The maximum amount of parallel requests if end is set.
      * 
      * @returns {Promise}
      * @fulfil {FetchResult}
      */
-    public static fetchMessages(iota: API, channelRoot: Int8Array, 
-        {index, start, end, channelPassword, messagePassword, messagePasswords, callback, height, security}?: 
+    public static fetchMessages(iota: API | Backend, channelRoot: Int8Array, 
+        {index, start, end, channelPassword, messagePassword, messagePasswords, callback, height, security, batchSize,
+            concurrency}?: 
         {index?: number, start?: number, end?: number, channelPassword?: Trytes, messagePassword?: Trytes, 
-            messagePasswords: Trytes[], callback?: ReadCallback, height?: number, security?: Security}): Promise<FetchResult>;
+            messagePasswords: Trytes[], callback?: ReadCallback, height?: number, security?: Security, 
+            batchSize?: number, concurrency?: number}): Promise<FetchResult>;
+
+    /**
+     * Determines the index of the last message of the channel with the given channel root without reading 
+     * all messages. For that indexes are probed by an exponential search followed by a binary search. This requires 
+     * O(log n) requests for a channel with n messages. It's assumed that there are no gaps between the messages 
+     * of the channel.
+     * 
+     * @param {API|Backend} iota - A composed IOTA API or a backend for communication with a full node.
+     * @param {Int8Array} channelRoot - The channel root by that the channel is identified as trits.
+     * @param {Object} [options] - Optional parameters.
+     * @param {Trytes} [options.channelPassword] - The optional password for the channel as trytes.
+     * @param {Trytes} [options.messagePassword] - The default message password which will be used to decrypt 
+     * all found messages.
+     * @param {Array.<Trytes>} [options.messagePasswords] - An array containing different message passwords for 
+     * different messages. The ith element is the password for the ith message in the channel.
+     * @param {number} [options.security] - The security of the signing and encryption keys as a number between 1 and 4. 
+     * This is parameter is only used as an extra verification information.
+     * @param {number} [options.height] - The height as a number between 1 and 26 of the channel yielding the maximum 
+     * amount of messages of the channel. If it's passed, no indexes beyond the channel are probed.
+     * 
+     * @returns {Promise}
+     * @fulfil {number} - The index of the last message or -1 if the channel contains no messages.
+     */
+    public static findHead(iota: API | Backend, channelRoot: Int8Array, 
+        {channelPassword, messagePassword, messagePasswords, height, security}?: 
+        {channelPassword?: Trytes, messagePassword?: Trytes, messagePasswords?: Trytes[], height?: number, 
+            security?: Security}): Promise<number>;
 
     /**
      * Reads a single message with given index from the channel with the given channel root. Returns the
      * found message iff any, the index, skipped bundles at the queried address and errors.
      * 
-     * @param {API} iota - A composed IOTA API for communication with a full node.
+     * @param {API|Backend} iota - A composed IOTA API or a backend for communication with a full node.
      * @param {Int8Array} channelRoot - The channel root by that the channel is identified as trits.
      * @param {number} index - The index in the channel of the message to fetch. 
      * If start is set too index is not used. 
@@ -316,7 +464,7 @@ export class RAAMReader {
      * @returns {Promise}
      * @fulfil {SingleResult}
      */
-    public static fetchSingle(iota: API, channelRoot: Int8Array, index: number, 
+    public static fetchSingle(iota: API | Backend, channelRoot: Int8Array, index: number, 
         {channelPassword, messagePassword, height, security}?: {channelPassword?: Trytes, 
             messagePassword?: Trytes, height?: number, security?: Security}): Promise<SingleResult>;
 
@@ -324,7 +472,7 @@ export class RAAMReader {
      * Reads a single public message from the given address. Returns the
      * found message iff any, the index, skipped bundles at the queried address and errors.
      * 
-     * @param {API} iota - A composed IOTA API for communication with a full node.
+     * @param {API|Backend} iota - A composed IOTA API or a backend for communication with a full node.
      * @param {Trytes} address - An IOTA address used to locate the message.
      * @param {Object} [options] - Optional parameters.
      * @param {number} [options.index] - The index in the channel of the message to fetch. Not used for locating message. 
@@ -339,7 +487,7 @@ export class RAAMReader {
      * @returns {Promise}
      * @fulfil {SingleResult}
      */
-    public static fetchPublic(iota: API, address: Trytes, {index, channelRoot, height, security}?: 
+    public static fetchPublic(iota: API | Backend, address: Trytes, {index, channelRoot, height, security}?: 
         {index?: number, channelRoot?: Int8Array, height?: number, security?: Security}): Promise<SingleResult>;
 
     /**
@@ -365,14 +513,17 @@ export class RAAMReader {
      * This is parameter is only used as an extra verification information.
      * @param {number} [options.height] - The height as a number between 1 and 26 of the channel yielding the maximum 
      * amount of messages of the channel. This is parameter is only used as an extra verification information.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for fetching the chunks of messages, 
+     * which are too long for a single bundle. Without it such messages are reported as errors.
      * 
      * @returns {Subscription} An object containing information about the created subscription, including the 
      * function to end the subscription.
      * @throws {Error} if the serverURL is not passed and hasn't been set already.
      */
     public static subscribeIndex(channelRoot: Int8Array, index: number, callback: ReadCallback, 
-        {serverURL, subscribeFollowing, channelPassword, messagePassword, height, security}?: 
-            {serverURL?: string, subscribeFollowing?: boolean, channelPassword?: Trytes, messagePassword?: Trytes, height?: number, security?: Security}): SingleSubscription;
+        {serverURL, subscribeFollowing, channelPassword, messagePassword, height, security, iota}?: 
+            {serverURL?: string, subscribeFollowing?: boolean, channelPassword?: Trytes, messagePassword?: Trytes, height?: number, 
+                security?: Security, iota?: API | Backend}): SingleSubscription;
     
     /**
      * Subscribes to public RAAM messages on a given address. A callback will be called when a message arrives.
@@ -397,11 +548,14 @@ export class RAAMReader {
      * This is parameter is only used as an extra verification information.
      * @param {number} [options.height] - The height as a number between 1 and 26 of the channel yielding the maximum 
      * amount of messages of the channel. This is parameter is only used as an extra verification information.
+     * @param {API|Backend} [options.iota] - A composed IOTA API or a backend for fetching the chunks of messages, 
+     * which are too long for a single bundle. Without it such messages are reported as errors.
      * 
      * @returns {SingleSubscription} An object containing information about the created subscription, including the 
      * function to end the subscription.
      * @throws {Error} if the serverURL is not passed and hasn't been set already.
      */
-    public static subscribePublic(address: Trytes, callback: ReadCallback, {serverURL, subscribeFollowing, index, channelRoot, height, security}?: 
-        {serverURL?: string, subscribeFollowing?: boolean, index: number, channelRoot?: Int8Array, height?: number, security?: Security}): SingleSubscription;
+    public static subscribePublic(address: Trytes, callback: ReadCallback, {serverURL, subscribeFollowing, index, channelRoot, height, security, iota}?: 
+        {serverURL?: string, subscribeFollowing?: boolean, index: number, channelRoot?: Int8Array, height?: number, security?: Security, 
+            iota?: API | Backend}): SingleSubscription;
 }
\ No newline at end of file